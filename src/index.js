@@ -8,6 +8,11 @@ import { dashboardPage } from "./templates/dashboard.js";
 import { SKILL_MARKDOWN } from "./templates/skill.js";
 import { connectPage } from "./templates/connect.js";
 import { oauthErrorPage } from "./templates/oauth.js";
+import { signinPage, signinConfirmPage, signinDonePage } from "./templates/signin.js";
+import { signupUsernamePage } from "./templates/signup.js";
+import { submissionEmail, submissionDigestEmail, notifyConfirmEmail, notifyLinkPage } from "./templates/notify.js";
+import { formErrorPage } from "./templates/forms.js";
+import { FORM_CHALLENGE_SCRIPT } from "./templates/challenge.js";
 import { handleMCP } from "./mcp.js";
 import { emailBody } from "./templates/design.js";
 import {
@@ -34,20 +39,151 @@ function isValidUsername(username) {
   return /^[a-z0-9][a-z0-9_-]{2,19}$/.test(username);
 }
 
-// Look up user by API key
+// API keys are stored only as SHA-256 hashes, under `keyhash:<hex>`. The
+// user record keeps the primary key's hash and its first few characters so
+// it can be recognised but not recovered. Records from before hashing used
+// `key:<sk_…>` and a plaintext `user:<name>.key`; they're rewritten the
+// first time they're read.
+//
+// When a key was last used is kept under its own KV key: rewriting the whole
+// record for it could bring back a record revoked a moment earlier.
+//
+// KV keys:
+//   keyhash:<sha256 hex>   {username, prefix, created, ...scoped key fields}
+//     older records also carry lastUsed, read when key-used is absent
+//   key-used:<sha256 hex>  "<ISO time>"   (same expiry as the key)
+
+const KEY_LAST_USED_INTERVAL = 3600 * 1000; // write lastUsed at most hourly
+
+async function hashApiKey(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+function apiKeyPrefix(apiKey) {
+  return apiKey.slice(0, 7);
+}
+
+// KV options that drop a key's records when it expires. KV refuses
+// expirations less than 60 seconds ahead, so a key about to expire keeps
+// them a little longer; getUserByKey checks the expiry itself.
+function apiKeyExpiration(expires) {
+  return expires
+    ? { expiration: Math.max(Math.floor(Date.parse(expires) / 1000), Math.floor(Date.now() / 1000) + 60) }
+    : {};
+}
+
+async function putApiKeyRecord(env, keyHash, record) {
+  await env.USERS.put(`keyhash:${keyHash}`, JSON.stringify(record), apiKeyExpiration(record.expires));
+}
+
+async function deleteApiKeyRecord(env, keyHash) {
+  await env.USERS.delete(`keyhash:${keyHash}`);
+  await env.USERS.delete(`key-used:${keyHash}`);
+}
+
+// When the key with this hash (and this record) was last used, or null
+async function getKeyLastUsed(env, keyHash, record) {
+  return await env.USERS.get(`key-used:${keyHash}`) || record?.lastUsed || null;
+}
+
+// Move a plaintext primary key into a hashed record
+async function migratePrimaryKey(env, username, userData) {
+  const { key: apiKey, ...rest } = userData;
+  const keyHash = await hashApiKey(apiKey);
+  const migrated = { ...rest, keyHash, keyPrefix: apiKeyPrefix(apiKey) };
+
+  const existing = await env.USERS.get(`keyhash:${keyHash}`, 'json');
+  if (!existing) {
+    await putApiKeyRecord(env, keyHash, { username, prefix: migrated.keyPrefix, created: userData.created || null });
+  }
+  await env.USERS.put(`user:${username}`, JSON.stringify(migrated));
+  await env.USERS.delete(`key:${apiKey}`);
+  return migrated;
+}
+
+// Move a plaintext `key:<sk_…>` record (primary or scoped) to its hash
+async function migrateLegacyKey(env, apiKey, keyHash) {
+  const data = await env.USERS.get(`key:${apiKey}`, 'json');
+  if (!data) return null;
+
+  if (!data.id) {
+    // getUserByUsername rewrites the user record and the key record
+    await getUserByUsername(env, data.username);
+    return await env.USERS.get(`keyhash:${keyHash}`, 'json');
+  }
+
+  const prefix = apiKeyPrefix(apiKey);
+  const record = { ...data, prefix };
+  const { metadata } = await env.USERS.getWithMetadata(`user-key:${data.username}:${data.id}`);
+  if (metadata) {
+    await putScopedKeyIndex(env, data.username, data.id, keyHash, { ...metadata, ...record });
+  }
+  await putApiKeyRecord(env, keyHash, record);
+  await env.USERS.delete(`key:${apiKey}`);
+  return record;
+}
+
+// Look up user by API key. Scoped keys also carry {id, scopes, projects, expires}.
 async function getUserByKey(env, apiKey) {
   if (!apiKey || !apiKey.startsWith('sk_')) return null;
-  const data = await env.USERS.get(`key:${apiKey}`, 'json');
+  const keyHash = await hashApiKey(apiKey);
+  const data = await env.USERS.get(`keyhash:${keyHash}`, 'json')
+    || await migrateLegacyKey(env, apiKey, keyHash);
+  if (!data) return null;
+  if (data.expires && Date.parse(data.expires) <= Date.now()) return null;
+
+  const lastUsed = await getKeyLastUsed(env, keyHash, data);
+  if (!lastUsed || Date.now() - Date.parse(lastUsed) > KEY_LAST_USED_INTERVAL) {
+    await env.USERS.put(`key-used:${keyHash}`, new Date().toISOString(), apiKeyExpiration(data.expires));
+  }
   return data; // { username: "..." } or null
 }
 
-// Hybrid authentication: try machine ID first, then API key
+// OAuth consent and client creation hand out full-access credentials, so
+// they only take keys that could manage the account anyway.
+async function getAccountUserByKey(env, apiKey) {
+  const data = await getUserByKey(env, apiKey);
+  if (!data || !keyAllows(data, 'account')) return null;
+  return (await getSuspension(env, data.username)) ? null : data;
+}
+
+// Why an operator suspended this account (POST /admin/users/<name>/suspend),
+// as an error message, or null if it isn't suspended.
+async function getSuspension(env, username) {
+  const userData = await env.USERS.get(`user:${username}`, 'json');
+  if (!userData?.suspended) return null;
+  const reason = userData.suspended.reason;
+  return `This account has been suspended${reason ? `: ${reason}` : ''}. Contact the operator of this bassh server.`;
+}
+
+// Authenticate a request and refuse suspended accounts. Suspended users and
+// scoped keys that aren't allowed this request come back with `denied` set.
 async function authenticateRequest(request, env) {
-  // Try machine ID first (simplest for CLI users)
+  const user = await identifyRequest(request, env);
+  if (!user) return null;
+
+  const suspended = await getSuspension(env, user.username);
+  return suspended ? { ...user, denied: suspended } : user;
+}
+
+// Hybrid authentication: try a signed device credential first, then (during
+// the deprecation window) a bare machine ID, then API key.
+// A scoped key that isn't allowed this request comes back with `denied` set.
+async function identifyRequest(request, env) {
+  // Device signature (CLI on a registered machine)
+  if (request.headers.get('X-Device-ID')) {
+    const deviceUser = await getUserByDeviceSignature(request, env);
+    if (deviceUser) {
+      return deviceUser; // { username: "...", deviceId: "..." }
+    }
+  }
+
+  // Legacy machine ID, only for machines that were never issued a device credential
   const machineId = request.headers.get('X-Machine-ID');
-  if (machineId) {
+  if (machineId && machineIdAuthAllowed(env)) {
     const machineUser = await getUserByMachineId(env, machineId);
-    if (machineUser) {
+    if (machineUser && !machineUser.deviceId) {
       return machineUser; // { username: "..." }
     }
   }
@@ -57,7 +193,8 @@ async function authenticateRequest(request, env) {
   if (apiKey) {
     const keyUser = await getUserByKey(env, apiKey);
     if (keyUser) {
-      return keyUser;
+      const denied = await checkKeyAccess(request, env, keyUser);
+      return denied ? { ...keyUser, denied } : keyUser;
     }
   }
 
@@ -67,23 +204,27 @@ async function authenticateRequest(request, env) {
 // Look up user by username
 async function getUserByUsername(env, username) {
   const data = await env.USERS.get(`user:${username}`, 'json');
-  return data; // { key: "...", created: "..." } or null
+  if (data?.key) return await migratePrimaryKey(env, username, data);
+  return data; // { keyHash: "...", keyPrefix: "sk_…", created: "..." } or null
 }
 
 // Look up user by machine ID
 async function getUserByMachineId(env, machineId) {
   if (!machineId) return null;
   const data = await env.USERS.get(`machine:${machineId}`, 'json');
-  return data; // { username: "..." } or null
+  return data; // { username: "...", deviceId: "..." } or null
 }
 
 // Create a user record in KV. Shared between CLI registration (handleRegister)
-// and web magic-link signup (handleSignupVerify). Returns the API key.
-async function createUser(env, username, machineId = '') {
+// and web magic-link signup (handleSignupVerify). `extra` is merged into the
+// user record (e.g. the invite code used). Returns the API key.
+async function createUser(env, username, machineId = '', extra = {}) {
   const apiKey = generateApiKey();
+  const keyHash = await hashApiKey(apiKey);
+  const keyPrefix = apiKeyPrefix(apiKey);
   const created = new Date().toISOString();
-  await env.USERS.put(`user:${username}`, JSON.stringify({ key: apiKey, created, machineId }));
-  await env.USERS.put(`key:${apiKey}`, JSON.stringify({ username }));
+  await env.USERS.put(`user:${username}`, JSON.stringify({ ...extra, keyHash, keyPrefix, created, machineId }));
+  await putApiKeyRecord(env, keyHash, { username, prefix: keyPrefix, created });
   if (machineId) {
     await env.USERS.put(`machine:${machineId}`, JSON.stringify({ username }));
   }
@@ -98,9 +239,10 @@ async function handleRegister(request, env, corsHeaders) {
     const registrationCode = body.registrationCode || '';
     const machineId = body.machineId || '';
 
-    // Check registration code if configured
-    if (env.REGISTRATION_CODE && registrationCode !== env.REGISTRATION_CODE) {
-      return new Response(JSON.stringify({ error: 'Invalid registration code' }), {
+    // Check the invite code (or shared REGISTRATION_CODE) if registration is closed
+    const access = await checkInvite(env, registrationCode, { username });
+    if (access.error) {
+      return new Response(JSON.stringify({ error: access.error }), {
         status: 403,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
@@ -129,9 +271,9 @@ async function handleRegister(request, env, corsHeaders) {
       }
     }
 
-    // Check if username exists
+    // Check if username exists (or was just renamed away from)
     const existing = await getUserByUsername(env, username);
-    if (existing) {
+    if (existing || await isUsernameReserved(env, username)) {
       return new Response(JSON.stringify({ error: 'Username already taken' }), {
         status: 409,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -139,12 +281,22 @@ async function handleRegister(request, env, corsHeaders) {
     }
 
     // Generate API key and store user (shared with web signup path)
-    const apiKey = await createUser(env, username, machineId);
+    const apiKey = await createUser(env, username, machineId, access.invite ? { invite: access.code } : {});
+    if (access.invite) {
+      await consumeInvite(env, access.code);
+    }
+
+    // CLIs that can sign requests ask for a device credential up front.
+    // Old CLIs don't, and keep using the bare machine ID until the cutoff.
+    const device = body.device
+      ? await createDevice(env, username, machineId, normalizeDeviceName(body.deviceName))
+      : undefined;
 
     return new Response(JSON.stringify({
       success: true,
       username,
       key: apiKey,
+      device,
       message: 'Registration successful! Save your API key - it cannot be recovered.'
     }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -171,30 +323,66 @@ async function handleMe(request, env, corsHeaders) {
     });
   }
 
+  if (user.denied) {
+    return new Response(JSON.stringify({ error: user.denied }), {
+      status: 403,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
   const userData = await getUserByUsername(env, user.username);
 
-  // Build invite code if REGISTRATION_CODE is set
+  // A personal invite when the operator allows them, else the shared REGISTRATION_CODE
   let inviteCode = null;
-  if (env.REGISTRATION_CODE) {
-    const url = new URL(request.url);
-    // Extract subdomain from hostname (e.g., "bassh-api.bob-rietveld.workers.dev" -> "bob-rietveld")
-    const hostParts = url.hostname.split('.');
-    if (hostParts.length >= 3 && hostParts.slice(-2).join('.') === 'workers.dev') {
-      const subdomain = hostParts.slice(0, -2).join('.').replace(/^[^.]+\./, '');
-      inviteCode = `${subdomain}:${env.REGISTRATION_CODE}`;
-    }
+  let invite = null;
+  const personal = await getPersonalInvite(env, user.username);
+  if (personal) {
+    inviteCode = cliInviteString(request, personal.code) || personal.code;
+    invite = {
+      code: personal.code,
+      remaining: Math.max(personal.maxUses - personal.uses, 0),
+      expires: personal.expires
+    };
+  } else if (env.REGISTRATION_CODE) {
+    inviteCode = cliInviteString(request, env.REGISTRATION_CODE);
   }
 
   return new Response(JSON.stringify({
     success: true,
     username: user.username,
     created: userData?.created,
-    inviteCode: inviteCode
+    email: userData?.email || null,
+    inviteCode: inviteCode,
+    invite,
+    quotas: await quotaUsage(env, user.username)
   }), {
     headers: { ...corsHeaders, 'Content-Type': 'application/json' }
   });
 }
 
+// Replace a user's primary key; the old one stops working. Returns the new key.
+// Shared by POST /key and email sign-in (handleSigninVerify).
+async function regeneratePrimaryKey(env, username, userData) {
+  const oldHash = userData.keyHash;
+  const newKey = generateApiKey();
+  const keyHash = await hashApiKey(newKey);
+  const keyPrefix = apiKeyPrefix(newKey);
+
+  // Update user record with new key
+  await env.USERS.put(`user:${username}`, JSON.stringify({
+    ...userData,
+    keyHash,
+    keyPrefix
+  }));
+
+  // Delete old key record, create new one
+  if (oldHash) {
+    await deleteApiKeyRecord(env, oldHash);
+  }
+  await putApiKeyRecord(env, keyHash, { username, prefix: keyPrefix, created: new Date().toISOString() });
+  return newKey;
+}
+
 // Handle /key endpoint - get or regenerate API key
 async function handleKey(request, env, corsHeaders) {
   const user = await authenticateRequest(request, env);
@@ -208,6 +396,13 @@ async function handleKey(request, env, corsHeaders) {
     });
   }
 
+  if (user.denied) {
+    return new Response(JSON.stringify({ error: user.denied }), {
+      status: 403,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
   const username = user.username;
   const userData = await getUserByUsername(env, username);
 
@@ -218,32 +413,25 @@ async function handleKey(request, env, corsHeaders) {
     });
   }
 
-  // GET = show current key, POST = regenerate
+  // GET = describe current key (the key itself is only stored hashed), POST = regenerate
   if (request.method === 'GET') {
+    const keyData = userData.keyHash
+      ? await env.USERS.get(`keyhash:${userData.keyHash}`, 'json')
+      : null;
+
     return new Response(JSON.stringify({
       success: true,
       username,
-      key: userData.key
+      prefix: userData.keyPrefix || null,
+      created: keyData?.created || userData.created || null,
+      lastUsed: userData.keyHash ? await getKeyLastUsed(env, userData.keyHash, keyData) : null
     }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     });
   }
 
   if (request.method === 'POST') {
-    const oldKey = userData.key;
-    const newKey = generateApiKey();
-
-    // Update user record with new key
-    await env.USERS.put(`user:${username}`, JSON.stringify({
-      ...userData,
-      key: newKey
-    }));
-
-    // Delete old key mapping, create new one
-    if (oldKey) {
-      await env.USERS.delete(`key:${oldKey}`);
-    }
-    await env.USERS.put(`key:${newKey}`, JSON.stringify({ username }));
+    const newKey = await regeneratePrimaryKey(env, username, userData);
 
     return new Response(JSON.stringify({
       success: true,
@@ -261,6 +449,572 @@ async function handleKey(request, env, corsHeaders) {
   });
 }
 
+// ============================================================
+// DEVICE CREDENTIALS
+// ============================================================
+// A machine ID is a hardware identifier, not a secret, so on its own it no
+// longer proves anything. The CLI gets a per-device secret instead (at
+// /register, or later from POST /device) and signs every request with it:
+//
+//   X-Device-ID:        dev_<hex>
+//   X-Device-Timestamp: unix seconds, within DEVICE_SIGNATURE_WINDOW of now
+//   X-Device-Signature: hex HMAC-SHA256(secret, "<timestamp>\n<METHOD>\n<path+query>\n<body SHA-256 hex>")
+//
+// The body hash means a captured set of headers can't be replayed with a
+// different body inside the window. HMAC rather than a keypair so the bash
+// CLI can sign with nothing more than python3.
+// Bare X-Machine-ID auth keeps working for old CLIs until the deprecation
+// date (MACHINE_ID_AUTH_UNTIL overrides the default), but never for a
+// machine that already has a device credential.
+//
+// An account can hold several devices (laptop, desktop, VM...). Extra ones
+// enroll through POST /device with the account's API key, and GET/PATCH/DELETE
+// /devices list, name and revoke them.
+//
+// KV keys:
+//   device:<deviceId>                 {username, secret, machineId, name, created, lastUsed}
+//   machine:<machineId>               {username, deviceId}
+//   user-device:<username>:<deviceId> "" (index for listing and uninstall)
+
+const DEVICE_SIGNATURE_WINDOW = 300; // seconds
+const MAX_DEVICES_PER_USER = 20;
+const MAX_DEVICE_NAME_LENGTH = 60;
+const MACHINE_ID_AUTH_UNTIL = '2027-01-31T00:00:00Z';
+
+function machineIdAuthAllowed(env) {
+  return Date.now() < Date.parse(env.MACHINE_ID_AUTH_UNTIL || MACHINE_ID_AUTH_UNTIL);
+}
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return bytesToHex(new Uint8Array(signature));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function normalizeDeviceName(name) {
+  return String(name || '').replace(/[\x00-\x1f]/g, '').trim().slice(0, MAX_DEVICE_NAME_LENGTH);
+}
+
+// Issue a device credential and bind it to the machine, replacing any
+// credential the machine had before. The secret is only returned here.
+async function createDevice(env, username, machineId, name = '') {
+  const deviceId = `dev_${bytesToHex(crypto.getRandomValues(new Uint8Array(12)))}`;
+  const secret = bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+
+  if (machineId) {
+    const existing = await getUserByMachineId(env, machineId);
+    if (existing?.deviceId) {
+      const previous = await env.USERS.get(`device:${existing.deviceId}`, 'json');
+      name = name || previous?.name || '';
+      await env.USERS.delete(`device:${existing.deviceId}`);
+      await env.USERS.delete(`user-device:${existing.username}:${existing.deviceId}`);
+    }
+    await env.USERS.put(`machine:${machineId}`, JSON.stringify({ username, deviceId }));
+  }
+
+  await env.USERS.put(`device:${deviceId}`, JSON.stringify({
+    username,
+    secret,
+    machineId: machineId || null,
+    name: name || null,
+    created: new Date().toISOString(),
+    lastUsed: null
+  }));
+  await env.USERS.put(`user-device:${username}:${deviceId}`, '');
+
+  return { id: deviceId, secret };
+}
+
+async function listDeviceIds(env, username) {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `user-device:${username}:`, cursor });
+    for (const key of page.keys) {
+      ids.push(key.name.slice(`user-device:${username}:`.length));
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return ids;
+}
+
+// Revoke one device. Its machine is released too, so it can neither fall
+// back to bare machine-ID auth nor block a fresh enrollment.
+async function deleteDevice(env, username, deviceId) {
+  const device = await env.USERS.get(`device:${deviceId}`, 'json');
+  if (device?.machineId) {
+    const machine = await getUserByMachineId(env, device.machineId);
+    if (machine?.username === username && (!machine.deviceId || machine.deviceId === deviceId)) {
+      await env.USERS.delete(`machine:${device.machineId}`);
+    }
+  }
+  await env.USERS.delete(`device:${deviceId}`);
+  await env.USERS.delete(`user-device:${username}:${deviceId}`);
+}
+
+async function deleteUserDevices(env, username) {
+  for (const deviceId of await listDeviceIds(env, username)) {
+    await deleteDevice(env, username, deviceId);
+  }
+}
+
+// Verify X-Device-* headers. Returns { username, deviceId } or null.
+async function getUserByDeviceSignature(request, env) {
+  const deviceId = request.headers.get('X-Device-ID');
+  const timestamp = request.headers.get('X-Device-Timestamp') || '';
+  const signature = (request.headers.get('X-Device-Signature') || '').toLowerCase();
+  if (!deviceId || !/^\d+$/.test(timestamp) || !signature) return null;
+
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > DEVICE_SIGNATURE_WINDOW) return null;
+
+  const device = await env.USERS.get(`device:${deviceId}`, 'json');
+  if (!device) return null;
+
+  const url = new URL(request.url);
+  const body = await crypto.subtle.digest('SHA-256', await request.clone().arrayBuffer());
+  const message = `${timestamp}\n${request.method}\n${url.pathname}${url.search}\n${bytesToHex(new Uint8Array(body))}`;
+  const expected = await hmacHex(device.secret, message);
+  if (!timingSafeEqual(expected, signature)) return null;
+
+  if (!device.lastUsed || Date.now() - Date.parse(device.lastUsed) > KEY_LAST_USED_INTERVAL) {
+    device.lastUsed = new Date().toISOString();
+    await env.USERS.put(`device:${deviceId}`, JSON.stringify(device));
+  }
+  return { username: device.username, deviceId };
+}
+
+// Whether `username` may enroll this machine. Returns { status, error } or null.
+// Re-enrolling a machine replaces its credential, so only new machines count
+// towards the limit.
+async function checkDeviceEnrollment(env, username, machineId) {
+  let replacing = false;
+  if (machineId) {
+    const existing = await getUserByMachineId(env, machineId);
+    if (existing && existing.username !== username) {
+      return { status: 409, error: `This computer is registered to another account: ${existing.username}` };
+    }
+    replacing = Boolean(existing?.deviceId);
+  }
+
+  if (!replacing && (await listDeviceIds(env, username)).length >= MAX_DEVICES_PER_USER) {
+    return { status: 400, error: `You already have ${MAX_DEVICES_PER_USER} devices. Revoke one first.` };
+  }
+  return null;
+}
+
+// POST /device {machineId, name} - Issue a device credential for this machine.
+// Old CLIs call it once (authenticated by machine ID or API key) to upgrade,
+// and a new computer calls it with the account's API key to join the account.
+async function handleDeviceEnroll(request, env, corsHeaders, username) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const body = await request.json().catch(() => ({}));
+    const machineId = String(body.machineId || '').trim();
+    const name = normalizeDeviceName(body.name);
+
+    const refused = await checkDeviceEnrollment(env, username, machineId);
+    if (refused) {
+      return new Response(JSON.stringify({ error: refused.error }), { status: refused.status, headers: jsonHeaders });
+    }
+
+    const device = await createDevice(env, username, machineId, name);
+
+    return new Response(JSON.stringify({
+      success: true,
+      username,
+      device,
+      message: 'Device credential issued. Store the secret - it will not be shown again.'
+    }), { headers: jsonHeaders });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
+// GET /devices, PATCH /devices/<id> (name), DELETE /devices/<id>
+// `currentDeviceId` is the device that signed this request, if any.
+async function handleDevices(request, env, corsHeaders, username, path, currentDeviceId) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const id = path.split('/')[2] || '';
+
+    if (!id && request.method === 'GET') {
+      const devices = [];
+      for (const deviceId of await listDeviceIds(env, username)) {
+        const device = await env.USERS.get(`device:${deviceId}`, 'json');
+        if (!device) continue;
+        devices.push({
+          id: deviceId,
+          name: device.name || null,
+          created: device.created,
+          lastUsed: device.lastUsed || null,
+          current: deviceId === currentDeviceId
+        });
+      }
+      devices.sort((a, b) => (a.created || '').localeCompare(b.created || ''));
+
+      return new Response(JSON.stringify({ success: true, username, devices }), { headers: jsonHeaders });
+    }
+
+    if (id && (request.method === 'PATCH' || request.method === 'DELETE')) {
+      const device = await env.USERS.get(`device:${id}`, 'json');
+      if (!device || device.username !== username) {
+        return new Response(JSON.stringify({ error: `Device '${id}' not found` }), { status: 404, headers: jsonHeaders });
+      }
+
+      if (request.method === 'DELETE') {
+        await deleteDevice(env, username, id);
+        return new Response(JSON.stringify({ success: true, id, message: `Device '${id}' revoked` }), {
+          headers: jsonHeaders
+        });
+      }
+
+      const body = await request.json().catch(() => ({}));
+      const name = normalizeDeviceName(body.name);
+      if (!name) {
+        return new Response(JSON.stringify({ error: 'A name is required' }), { status: 400, headers: jsonHeaders });
+      }
+      device.name = name;
+      await env.USERS.put(`device:${id}`, JSON.stringify(device));
+
+      return new Response(JSON.stringify({ success: true, id, name }), { headers: jsonHeaders });
+    }
+
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
+// ============================================================
+// SCOPED API KEYS
+// ============================================================
+// Besides the primary key (`user:<name>.keyHash`, full access), a user can mint
+// extra keys for CI or teammates. Each carries a label, a list of scopes,
+// an optional project allowlist and an optional expiry. `account` covers
+// key management and uninstall, so a key with it can mint any other key.
+//
+// KV keys:
+//   keyhash:<sha256 hex>      {username, id, label, scopes, projects, expires, created, prefix}
+//   key-used:<sha256 hex>     "<ISO time>" when last used (see getUserByKey)
+//   user-key:<username>:<id>  "<sha256 hex>"
+//     metadata: {label, scopes, projectCount, expires, created, prefix} for listing;
+//     the project list itself is only in the keyhash record, as 20 full
+//     project names can outgrow KV's 1024-byte metadata limit
+
+const API_KEY_SCOPES = ['deploy', 'list', 'delete', 'forms:read', 'forms:write', 'account'];
+const MAX_KEY_PROJECTS = 20;
+const MAX_KEYS_PER_USER = 50;
+
+// Scope an authenticated route needs, and whether it targets one project.
+// Paths not listed here fall through to the list/delete/deploy routes.
+function routeAccess(path, method) {
+  if (path === '/me') return { scope: null, project: false };
+  if (path === '/key' || path === '/keys' || path.startsWith('/keys/')
+      || path === '/device' || path === '/devices' || path.startsWith('/devices/')
+      || path === '/email' || path === '/rename' || path === '/uninstall'
+      || path === '/teams' || path.startsWith('/teams/')) {
+    return { scope: 'account', project: false };
+  }
+  if (path === '/forms' || path === '/forms/notify' || path.startsWith('/forms/webhooks')
+      || path === '/forms/files' || path.startsWith('/forms/files/')
+      || path === '/forms/schema' || path === '/forms/challenge') {
+    return { scope: method === 'GET' ? 'forms:read' : 'forms:write', project: true };
+  }
+  if (path === '/deployments') return { scope: 'list', project: true };
+  if (path === '/previews') return { scope: method === 'GET' ? 'list' : 'delete', project: true };
+  if (method === 'GET') return { scope: 'list', project: false };
+  if (method === 'DELETE') return { scope: 'delete', project: true };
+  return { scope: 'deploy', project: true };
+}
+
+// Full name of the project a request targets, or null if it names none.
+// Deploys always prefix the username; the other routes also take full names.
+async function requestProject(request, env, username, path) {
+  const url = new URL(request.url);
+  let name = url.searchParams.get('project') || request.headers.get('X-Project-Name');
+  const deploy = request.method === 'POST' && path !== '/deployments/rollback' && !path.startsWith('/forms/');
+
+  if (path.startsWith('/upload/sessions/')) {
+    const session = await env.USERS.get(`upload-session:${path.split('/')[3]}`, 'json');
+    name = session?.projectName;
+  } else if (request.method === 'POST' && !archiveKind(request)) {
+    const body = await request.clone().json().catch(() => ({}));
+    name = body.projectName || body.project || name;
+  }
+
+  if (!name) return null;
+  return deploy || !name.startsWith(`${username}-`) ? `${username}-${name}` : name;
+}
+
+// Whether a key may use `scope`, on `fullProjectName` when given.
+// Primary keys and machine IDs have no scopes list and may do anything.
+function keyAllows(key, scope, fullProjectName) {
+  if (!key?.scopes) return true;
+  if (scope && !key.scopes.includes(scope)) return false;
+  if (fullProjectName !== undefined && key.projects?.length) {
+    return key.projects.includes(fullProjectName);
+  }
+  return true;
+}
+
+// Enforce a scoped key on a request. Returns an error message, or null.
+async function checkKeyAccess(request, env, key) {
+  if (!key.scopes) return null;
+
+  const path = new URL(request.url).pathname;
+  const { scope, project } = routeAccess(path, request.method);
+  if (!keyAllows(key, scope)) {
+    return `This API key doesn't have the '${scope}' scope`;
+  }
+
+  if (project && key.projects?.length) {
+    // Membership is checked later; here the team only decides the prefix
+    const fullProjectName = await requestProject(request, env, requestTeam(request) || key.username, path);
+    if (!fullProjectName) {
+      return 'This API key is limited to specific projects. Name the project explicitly.';
+    }
+    if (!keyAllows(key, scope, fullProjectName)) {
+      return `This API key can't access project '${fullProjectName}'`;
+    }
+  }
+  return null;
+}
+
+// Short names are the user's; full names may also be their teams' projects
+function normalizeKeyProjects(username, projects, teams = []) {
+  const prefixes = [username, ...teams].map(name => `${name}-`);
+  return projects.map(p => prefixes.some(prefix => p.startsWith(prefix)) ? p : `${username}-${p}`);
+}
+
+// What GET /keys shows of a key, from its record
+function scopedKeyMeta(record) {
+  return {
+    label: record.label,
+    scopes: record.scopes,
+    projects: record.projects?.length ? record.projects : null,
+    expires: record.expires || null,
+    created: record.created || null,
+    prefix: record.prefix || null
+  };
+}
+
+async function putScopedKeyIndex(env, username, id, keyHash, meta) {
+  const { projects, ...metadata } = scopedKeyMeta(meta);
+  await env.USERS.put(`user-key:${username}:${id}`, keyHash, {
+    ...apiKeyExpiration(meta.expires),
+    metadata: { ...metadata, projectCount: projects?.length || 0 }
+  });
+}
+
+// The index value is a hash, or the raw key for entries not yet migrated
+function scopedKeyRecordName(value) {
+  return value.startsWith('sk_') ? `key:${value}` : `keyhash:${value}`;
+}
+
+async function deleteScopedKeyRecord(env, value) {
+  if (value.startsWith('sk_')) {
+    await env.USERS.delete(`key:${value}`);
+  } else {
+    await deleteApiKeyRecord(env, value);
+  }
+}
+
+async function listScopedKeys(env, username) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `user-key:${username}:`, cursor });
+    for (const entry of page.keys) {
+      keys.push({ id: entry.name.slice(`user-key:${username}:`.length), ...(entry.metadata || {}) });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+async function deleteScopedKeys(env, username) {
+  for (const { id } of await listScopedKeys(env, username)) {
+    const value = await env.USERS.get(`user-key:${username}:${id}`);
+    if (value) await deleteScopedKeyRecord(env, value);
+    await env.USERS.delete(`user-key:${username}:${id}`);
+  }
+}
+
+// GET /keys, POST /keys, PATCH /keys/<id> (label), DELETE /keys/<id>
+async function handleKeys(request, env, corsHeaders, username, path) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const id = path.split('/')[2] || '';
+
+    if (!id && request.method === 'GET') {
+      const userData = await getUserByUsername(env, username);
+      const primary = userData?.keyHash
+        ? await env.USERS.get(`keyhash:${userData.keyHash}`, 'json')
+        : null;
+      const keys = [{
+        id: 'primary',
+        label: 'Primary key',
+        scopes: API_KEY_SCOPES,
+        projects: null,
+        expires: null,
+        created: primary?.created || userData?.created || null,
+        prefix: userData?.keyPrefix || null,
+        lastUsed: userData?.keyHash ? await getKeyLastUsed(env, userData.keyHash, primary) : null
+      }];
+      for (const { id: keyId, projectCount, ...key } of await listScopedKeys(env, username)) {
+        const value = await env.USERS.get(`user-key:${username}:${keyId}`);
+        const record = value ? await env.USERS.get(scopedKeyRecordName(value), 'json') : null;
+        const lastUsed = value && !value.startsWith('sk_') ? await getKeyLastUsed(env, value, record) : record?.lastUsed;
+        keys.push({
+          id: keyId,
+          ...key,
+          projects: record ? scopedKeyMeta(record).projects : key.projects || null,
+          lastUsed: lastUsed || null
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true, username, keys }), { headers: jsonHeaders });
+    }
+
+    if (!id && request.method === 'POST') {
+      const body = await request.json().catch(() => ({}));
+      const label = String(body.label || '').trim().slice(0, 60);
+      const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes)] : [];
+      const projects = Array.isArray(body.projects) ? [...new Set(body.projects.map(String))] : [];
+      const expiresInDays = body.expiresInDays == null ? null : Number(body.expiresInDays);
+
+      if (!label) {
+        return new Response(JSON.stringify({ error: 'A label is required' }), { status: 400, headers: jsonHeaders });
+      }
+      if (scopes.length === 0 || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+        return new Response(JSON.stringify({
+          error: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`
+        }), { status: 400, headers: jsonHeaders });
+      }
+      if (projects.length > MAX_KEY_PROJECTS) {
+        return new Response(JSON.stringify({
+          error: `A key can be limited to at most ${MAX_KEY_PROJECTS} projects`
+        }), { status: 400, headers: jsonHeaders });
+      }
+      if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= 3650)) {
+        return new Response(JSON.stringify({ error: 'expiresInDays must be a whole number from 1 to 3650' }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+
+      const existing = await listScopedKeys(env, username);
+      if (existing.length >= MAX_KEYS_PER_USER) {
+        return new Response(JSON.stringify({
+          error: `You already have ${MAX_KEYS_PER_USER} keys. Revoke one first.`
+        }), { status: 400, headers: jsonHeaders });
+      }
+
+      const apiKey = generateApiKey();
+      const keyId = bytesToHex(crypto.getRandomValues(new Uint8Array(4)));
+      const created = new Date().toISOString();
+      const expires = expiresInDays ? new Date(Date.now() + expiresInDays * 86400000).toISOString() : null;
+      const meta = {
+        label,
+        scopes,
+        projects: projects.length
+          ? normalizeKeyProjects(username, projects, (await listUserTeams(env, username)).map(t => t.name))
+          : null,
+        expires,
+        created,
+        prefix: apiKeyPrefix(apiKey)
+      };
+      const keyHash = await hashApiKey(apiKey);
+
+      await putApiKeyRecord(env, keyHash, { username, id: keyId, ...meta });
+      await putScopedKeyIndex(env, username, keyId, keyHash, meta);
+
+      return new Response(JSON.stringify({
+        success: true,
+        key: apiKey,
+        id: keyId,
+        ...meta,
+        message: 'Save this key now - it will not be shown again.'
+      }), { headers: jsonHeaders });
+    }
+
+    if (id === 'primary' && (request.method === 'PATCH' || request.method === 'DELETE')) {
+      return new Response(JSON.stringify({
+        error: 'The primary key can only be replaced (POST /key), not relabelled or revoked'
+      }), { status: 400, headers: jsonHeaders });
+    }
+
+    if (id && (request.method === 'PATCH' || request.method === 'DELETE')) {
+      let { value, metadata } = await env.USERS.getWithMetadata(`user-key:${username}:${id}`);
+      if (!value) {
+        return new Response(JSON.stringify({ error: `Key '${id}' not found` }), { status: 404, headers: jsonHeaders });
+      }
+
+      if (request.method === 'DELETE') {
+        await deleteScopedKeyRecord(env, value);
+        await env.USERS.delete(`user-key:${username}:${id}`);
+        return new Response(JSON.stringify({ success: true, id, message: `Key '${id}' revoked` }), {
+          headers: jsonHeaders
+        });
+      }
+
+      const body = await request.json().catch(() => ({}));
+      const label = String(body.label || '').trim().slice(0, 60);
+      if (!label) {
+        return new Response(JSON.stringify({ error: 'A label is required' }), { status: 400, headers: jsonHeaders });
+      }
+
+      if (value.startsWith('sk_')) {
+        const apiKey = value;
+        value = await hashApiKey(apiKey);
+        await migrateLegacyKey(env, apiKey, value);
+      }
+
+      const record = { ...metadata, ...await env.USERS.get(`keyhash:${value}`, 'json'), label };
+      await putApiKeyRecord(env, value, record);
+      await putScopedKeyIndex(env, username, id, value, record);
+
+      return new Response(JSON.stringify({ success: true, id, ...scopedKeyMeta(record) }), { headers: jsonHeaders });
+    }
+
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
 // ============================================================
 // ENCRYPTION (PageCrypt-style AES-256-GCM)
 // ============================================================
@@ -312,7 +1066,7 @@ async function encryptHTML(htmlContent, password) {
   return btoa(binary);
 }
 
-function getDecryptTemplate(encryptedData) {
+function getDecryptTemplate(encryptedData, assetKeyId = null) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -412,6 +1166,8 @@ function getDecryptTemplate(encryptedData) {
   <script>
     const ENCRYPTED = "${encryptedData}";
     const STORAGE_KEY = 'bassh-pw';
+    const ASSET_KEY_ID = ${JSON.stringify(assetKeyId)};
+${assetKeyId ? getAssetUnlockScript() : ''}
 
     async function decrypt(password) {
       try {
@@ -448,12 +1204,34 @@ function getDecryptTemplate(encryptedData) {
       }
     }
 
+    // Whole-site mode: the asset key is derived from the same password,
+    // salted with the key id
+    async function deriveAssetKey(password) {
+      const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+      );
+      return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: hexToBytes(ASSET_KEY_ID), iterations: 100000, hash: 'SHA-256' },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']
+      );
+    }
+
     async function tryDecrypt(password, saveOnSuccess) {
       const html = await decrypt(password);
       if (html) {
         if (saveOnSuccess) {
           sessionStorage.setItem(STORAGE_KEY, password);
         }
+        if (ASSET_KEY_ID) {
+          await unlockAssets(ASSET_KEY_ID, await deriveAssetKey(password));
+        }
         document.open();
         document.write(html);
         document.close();
@@ -542,7 +1320,7 @@ async function encryptHTMLWithKey(htmlContent, hexKey) {
 }
 
 // Template for email OTP protected pages
-function getOTPDecryptTemplate(encryptedData, projectName, apiUrl, allowedEmails) {
+function getOTPDecryptTemplate(encryptedData, projectName, apiUrl, allowedEmails, assetKeyId = null) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -658,6 +1436,22 @@ function getOTPDecryptTemplate(encryptedData, projectName, apiUrl, allowedEmails
       const ALLOWED = ${JSON.stringify(allowedEmails)};
       const SESSION_KEY = 'bassh_session_' + PROJECT;
       const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+      const ASSET_KEY_ID = ${JSON.stringify(assetKeyId)};
+${assetKeyId ? getAssetUnlockScript() : ''}
+      // Whole-site mode: assets are encrypted with the same project key
+      async function showContent(html, hexKey) {
+        if (ASSET_KEY_ID) {
+          const assetKey = await crypto.subtle.importKey(
+            'raw',
+            hexToBytes(hexKey),
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['decrypt']
+          );
+          await unlockAssets(ASSET_KEY_ID, assetKey);
+        }
+        replaceWithDecryptedContent(html);
+      }
 
       function showLoginForm() {
         document.body.style.visibility = 'visible';
@@ -699,7 +1493,7 @@ function getOTPDecryptTemplate(encryptedData, projectName, apiUrl, allowedEmails
               const html = await decrypt(session.key);
               if (html) {
                 // Session valid, show content immediately
-                replaceWithDecryptedContent(html);
+                await showContent(html, session.key);
                 return;
               }
             }
@@ -757,7 +1551,7 @@ function getOTPDecryptTemplate(encryptedData, projectName, apiUrl, allowedEmails
           if (html) {
             // Clear URL params and replace page
             window.history.replaceState({}, '', window.location.pathname);
-            replaceWithDecryptedContent(html);
+            await showContent(html, data.key);
           } else {
             document.getElementById('verifyError').textContent = 'Failed to decrypt content';
             document.getElementById('verifyError').style.display = 'block';
@@ -865,7 +1659,8 @@ function getOTPDecryptTemplate(encryptedData, projectName, apiUrl, allowedEmails
 async function handleOTPRequest(request, env, corsHeaders) {
   try {
     const body = await request.json();
-    const { email, project, pageUrl } = body;
+    const { email, pageUrl } = body;
+    const project = body.project && await resolveMovedProject(env, body.project);
 
     if (!email || !project || !pageUrl) {
       return new Response(JSON.stringify({ error: 'Missing required fields' }), {
@@ -924,39 +1719,27 @@ async function handleOTPRequest(request, env, corsHeaders) {
     // Build magic link
     const magicLink = `${pageUrl}?otp=${otp}`;
 
-    // Send email via Resend
-    if (!env.RESEND_API_KEY) {
-      return new Response(JSON.stringify({ error: 'Email service not configured. Set RESEND_API_KEY secret.' }), {
+    if (!emailConfigured(env)) {
+      return new Response(JSON.stringify({ error: 'Email service not configured. Set RESEND_API_KEY or bind SEND_EMAIL.' }), {
         status: 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
-    const senderEmail = env.EMAIL_FROM || 'access@bassh.io';
-
     try {
-      const resendResponse = await fetch('https://api.resend.com/emails', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${env.RESEND_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          from: `bassh <${senderEmail}>`,
-          to: [email],
-          subject: 'Your access link',
-          html: emailBody({
-            headline: 'Access requested',
-            bodyHtml: `<p>Click the button below to open the protected page. This link expires in 3 hours and can only be used once.</p>`,
-            cta: { href: magicLink, label: 'Open page' }
-          })
+      const sent = await sendEmail(env, {
+        to: email,
+        subject: 'Your access link',
+        html: emailBody({
+          headline: 'Access requested',
+          bodyHtml: `<p>Click the button below to open the protected page. This link expires in 3 hours and can only be used once.</p>`,
+          cta: { href: magicLink, label: 'Open page' }
         })
       });
 
-      if (!resendResponse.ok) {
-        const errorData = await resendResponse.json();
-        console.error('Resend error:', errorData);
-        return new Response(JSON.stringify({ error: 'Failed to send email', details: errorData.message }), {
+      if (!sent.ok) {
+        console.error('Email error:', sent.error);
+        return new Response(JSON.stringify({ error: 'Failed to send email', details: sent.error }), {
           status: 500,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
@@ -985,7 +1768,8 @@ async function handleOTPRequest(request, env, corsHeaders) {
 async function handleOTPVerify(request, env, corsHeaders) {
   try {
     const body = await request.json();
-    const { otp, project } = body;
+    const { otp } = body;
+    const project = body.project && await resolveMovedProject(env, body.project);
 
     if (!otp || !project) {
       return new Response(JSON.stringify({ error: 'Missing required fields' }), {
@@ -1032,25 +1816,362 @@ async function handleOTPVerify(request, env, corsHeaders) {
   }
 }
 
+// ============================================================
+// WHOLE-SITE PROTECTION (encrypted assets + service worker)
+// ============================================================
+// Password and OTP protection normally encrypt only .html files. With
+// wholeSite every other asset is encrypted too, using a key derived from the
+// same password (or the project's OTP key). Once a visitor unlocks a gate
+// page, it stores that key in IndexedDB and installs a service worker that
+// decrypts assets as the page requests them.
+//
+// Encrypted asset:  "BSH1" | keyId (16) | iv (12) | AES-GCM( typeLength (2) | contentType | bytes )
+//
+// keyId is the PBKDF2 salt in password mode and a hash of the project key in
+// OTP mode, so the service worker can look up the matching key.
+
+const ASSET_WORKER_PATH = '/bassh-sw.js';
+const ASSET_MAGIC = [0x42, 0x53, 0x48, 0x31]; // "BSH1"
+
+// Pages config files, read by Cloudflare rather than the browser
+const PLAINTEXT_PATHS = ['/_headers', '/_redirects', '/_routes.json'];
+
+// True when a file is encrypted server-side, so the client can't send it as
+// a hash reference. Shared by /deploy/check, deployFiles and upload sessions.
+function isEncryptedPath(path, { password, otpEmails, wholeSite }) {
+  if (!password && !otpEmails) return false;
+  if (path.endsWith('.html')) return true;
+  return !!wholeSite && !PLAINTEXT_PATHS.includes(path.startsWith('/') ? path : '/' + path);
+}
+
+// Build the key non-HTML assets are encrypted with for one deploy.
+// Returns { keyId (hex), key (CryptoKey) }.
+async function createAssetKey({ password, otpKey }) {
+  if (password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    const key = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt']
+    );
+    return { keyId: bytesToHex(salt), key };
+  }
+
+  const keyBytes = new Uint8Array(otpKey.match(/.{2}/g).map(b => parseInt(b, 16)));
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', keyBytes));
+  const key = await crypto.subtle.importKey(
+    'raw',
+    keyBytes,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt']
+  );
+  return { keyId: bytesToHex(digest.subarray(0, 16)), key };
+}
+
+async function encryptAsset(bytes, contentType, assetKey) {
+  const type = new TextEncoder().encode(contentType);
+  const plain = new Uint8Array(2 + type.length + bytes.length);
+  plain[0] = type.length >> 8;
+  plain[1] = type.length & 0xff;
+  plain.set(type, 2);
+  plain.set(bytes, 2 + type.length);
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    assetKey.key,
+    plain
+  ));
+
+  const keyId = new Uint8Array(assetKey.keyId.match(/.{2}/g).map(b => parseInt(b, 16)));
+  const out = new Uint8Array(4 + 16 + 12 + encrypted.length);
+  out.set(ASSET_MAGIC, 0);
+  out.set(keyId, 4);
+  out.set(iv, 20);
+  out.set(encrypted, 32);
+  return out;
+}
+
+// Browser half, embedded in both gate templates. Saves the asset key where
+// the service worker can read it and waits until the worker controls the
+// page, so the content's images and scripts are fetched through it.
+function getAssetUnlockScript() {
+  return `
+    const ASSET_KEY_TTL = 24 * 60 * 60 * 1000;
+
+    function hexToBytes(hex) {
+      return new Uint8Array(hex.match(/.{2}/g).map(b => parseInt(b, 16)));
+    }
+
+    function openKeyStore() {
+      return new Promise((resolve, reject) => {
+        const req = indexedDB.open('bassh-keys', 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('keys');
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+
+    async function unlockAssets(keyId, key) {
+      if (!('serviceWorker' in navigator)) return;
+      try {
+        const db = await openKeyStore();
+        await new Promise((resolve, reject) => {
+          const tx = db.transaction('keys', 'readwrite');
+          tx.objectStore('keys').put({ key, expires: Date.now() + ASSET_KEY_TTL }, keyId);
+          tx.oncomplete = resolve;
+          tx.onerror = () => reject(tx.error);
+        });
+
+        await navigator.serviceWorker.register('${ASSET_WORKER_PATH}', { scope: '/' });
+        await navigator.serviceWorker.ready;
+        if (!navigator.serviceWorker.controller) {
+          await Promise.race([
+            new Promise(resolve => navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true })),
+            new Promise(resolve => setTimeout(resolve, 3000))
+          ]);
+        }
+      } catch (e) {
+        console.error('Could not unlock site assets:', e);
+      }
+    }
+`;
+}
+
+// Deployed at ASSET_WORKER_PATH. Passes everything through except
+// same-origin responses that start with the encrypted-asset magic.
+function getAssetWorkerScript() {
+  return `// bassh asset decryption worker - installed by the protected page gate
+const MAGIC = ${JSON.stringify(ASSET_MAGIC)};
+const keys = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || request.mode === 'navigate' ||
+      url.origin !== self.location.origin || url.pathname === '${ASSET_WORKER_PATH}') {
+    return;
+  }
+  event.respondWith(decryptResponse(url));
+});
+
+function toHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function loadKey(keyId) {
+  if (keys.has(keyId)) return Promise.resolve(keys.get(keyId));
+  return new Promise((resolve) => {
+    const req = indexedDB.open('bassh-keys', 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('keys');
+    req.onerror = () => resolve(null);
+    req.onsuccess = () => {
+      const get = req.result.transaction('keys').objectStore('keys').get(keyId);
+      get.onerror = () => resolve(null);
+      get.onsuccess = () => {
+        const entry = get.result;
+        if (!entry || entry.expires < Date.now()) return resolve(null);
+        keys.set(keyId, entry.key);
+        resolve(entry.key);
+      };
+    };
+  });
+}
+
+async function decryptResponse(url) {
+  // Fetch the whole file: range requests can't be decrypted piecewise
+  const response = await fetch(url.href, { credentials: 'same-origin' });
+  if (!response.ok) return response;
+
+  const data = new Uint8Array(await response.clone().arrayBuffer());
+  if (data.length < 32 || MAGIC.some((b, i) => data[i] !== b)) return response;
+
+  const key = await loadKey(toHex(data.subarray(4, 20)));
+  if (!key) return new Response('Locked', { status: 403 });
+
+  try {
+    const plain = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.subarray(20, 32) },
+      key,
+      data.subarray(32)
+    ));
+    const typeLength = (plain[0] << 8) | plain[1];
+    const contentType = new TextDecoder().decode(plain.subarray(2, 2 + typeLength));
+    return new Response(plain.subarray(2 + typeLength), {
+      headers: { 'Content-Type': contentType }
+    });
+  } catch (e) {
+    return new Response('Locked', { status: 403 });
+  }
+}
+`;
+}
+
+// ============================================================
+// EMAIL TRANSPORT
+// ============================================================
+// Every email the worker sends goes through sendEmail. With a send_email
+// binding named SEND_EMAIL it goes out through Cloudflare Email Routing,
+// otherwise through Resend (RESEND_API_KEY). EMAIL_FROM is the sender either
+// way; for the binding it must be an address on a zone with Email Routing,
+// and recipients must be verified destinations unless the binding allows any.
+
+function emailConfigured(env) {
+  return !!(env.SEND_EMAIL || env.RESEND_API_KEY);
+}
+
+async function sendWithBinding(env, from, { to, subject, html, replyTo }) {
+  const message = createMimeMessage();
+  message.setSender({ name: 'bassh', addr: from });
+  message.setRecipient(to);
+  message.setSubject(subject);
+  if (replyTo) message.setHeader('Reply-To', replyTo);
+  message.addMessage({ contentType: 'text/html', data: html });
+  try {
+    await env.SEND_EMAIL.send(new EmailMessage(from, to, message.asRaw()));
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+async function sendWithResend(env, from, { to, subject, html, replyTo }) {
+  const resendResponse = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: `bassh <${from}>`,
+      to: [to],
+      subject,
+      html,
+      ...(replyTo ? { reply_to: replyTo } : {})
+    })
+  });
+  if (!resendResponse.ok) {
+    const errorData = await resendResponse.json().catch(() => ({}));
+    return { ok: false, error: errorData.message };
+  }
+  return { ok: true };
+}
+
+// Send one email to one address. Returns { ok, error }.
+async function sendEmail(env, message) {
+  const from = env.EMAIL_FROM || 'access@bassh.io';
+  if (env.SEND_EMAIL) return sendWithBinding(env, from, message);
+  return sendWithResend(env, from, message);
+}
+
 // ============================================================
 // WEB SIGNUP (magic link)
 // ============================================================
 // Lets non-terminal users get a bassh API key from a browser.
-// Reuses the same Resend integration that powers the per-page OTP flow.
+// Sends through the same email transport as the per-page OTP flow.
+//
+// WEB_SIGNUP decides who gets in (see webSignupMode). In `approval` mode a
+// verified address joins a queue; the operator approves it through
+// /admin/signups, which mails the applicant a link to finish.
+//
+// KV keys:
+//   signup:<token>           {email, invite, approved, ts}   (1h TTL, 7 days once approved)
+//   signup-pending:<email>   {email, requested}              (30 day TTL)
+//     metadata: the same record, so listing needs no extra reads
+
+const SIGNUP_APPROVED_TTL = 7 * 86400;  // seconds
+const SIGNUP_PENDING_TTL = 30 * 86400;  // seconds
 
 function isValidEmail(email) {
   return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
-// Rate-limit signup magic-link requests: 3 per hour per email.
-async function checkSignupRateLimit(env, email) {
-  const key = `signup-rate:${email}`;
+// Rate-limit magic-link emails (signup, sign-in, email confirmation): 3 per hour per address.
+async function checkEmailRateLimit(env, email) {
+  const key = `email-rate:${email}`;
   const current = parseInt(await env.USERS.get(key) || '0');
   if (current >= 3) return false;
   await env.USERS.put(key, String(current + 1), { expirationTtl: 3600 });
   return true;
 }
 
+// How web signup admits new accounts. WEB_SIGNUP is one of:
+//   open      anyone who verifies an email address
+//   domains   only addresses at SIGNUP_DOMAINS (comma-separated)
+//   approval  verified addresses wait for the operator to approve them
+//   off       nobody
+// Unset, it follows CLI registration: off when REGISTRATION_CODE or
+// INVITE_ONLY is set, open otherwise. An unknown value counts as off.
+function webSignupMode(env) {
+  if (!env.WEB_SIGNUP) return registrationClosed(env) ? 'off' : 'open';
+  const mode = env.WEB_SIGNUP.toLowerCase().trim();
+  return ['open', 'domains', 'approval', 'off'].includes(mode) ? mode : 'off';
+}
+
+// Whether `email` may sign up on the web without an invite. Returns {} to go
+// ahead, { pending: true } when the operator has to approve it, or { error }.
+function checkWebSignup(env, email) {
+  const mode = webSignupMode(env);
+  if (mode === 'off') {
+    return { error: 'Signup is closed. Ask the operator for an invite.' };
+  }
+  if (mode === 'domains') {
+    const domains = (env.SIGNUP_DOMAINS || '').toLowerCase().split(',').map(d => d.trim().replace(/^@/, '')).filter(Boolean);
+    if (!domains.includes(email.split('@')[1])) {
+      return { error: 'Signup is limited to approved email domains. Ask the operator for an invite.' };
+    }
+  }
+  if (mode === 'approval') {
+    return { pending: true };
+  }
+  return {};
+}
+
+// Why `username` can't be had, or null if it's free
+async function usernameProblem(env, username, holder = null) {
+  if (!isValidUsername(username)) {
+    return 'Use 3-20 lowercase letters, digits, - or _, starting with a letter or digit.';
+  }
+  if (await getUserByUsername(env, username) || await isUsernameReserved(env, username, holder)) {
+    return `${username} is taken`;
+  }
+  return null;
+}
+
+// GET /signup/username?token=…&name=… - Live availability for the username
+// chooser. Needs an unused signup token so it can't be used to probe names.
+async function handleSignupUsername(request, env, corsHeaders) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  const url = new URL(request.url);
+  const token = url.searchParams.get('token');
+  const name = (url.searchParams.get('name') || '').toLowerCase().trim();
+
+  if (!token || !(await env.USERS.get(`signup:${token}`))) {
+    return new Response(JSON.stringify({ error: 'This verification link is invalid or has expired.' }), {
+      status: 403,
+      headers: jsonHeaders
+    });
+  }
+
+  const problem = await usernameProblem(env, name);
+  return new Response(JSON.stringify({ username: name, available: !problem, error: problem }), {
+    headers: jsonHeaders
+  });
+}
+
 // Derive a username from an email local-part. Suffix with digits if taken.
 async function deriveUsername(env, email) {
   const local = email.split('@')[0].toLowerCase().replace(/[^a-z0-9_-]/g, '');
@@ -1058,70 +2179,93 @@ async function deriveUsername(env, email) {
   for (let i = 0; i < 100; i++) {
     const candidate = i === 0 ? base : `${base}${i + 1}`;
     if (candidate.length > 20) continue;
-    if (!isValidUsername(candidate)) continue;
-    const existing = await getUserByUsername(env, candidate);
-    if (!existing) return candidate;
+    if (!(await usernameProblem(env, candidate))) return candidate;
   }
   return null; // give up after 100 tries
 }
 
-// POST /signup/request — body {email}. Sends magic link via Resend.
+// POST /signup/request — body {email, invite?}. Sends magic link via Resend.
 async function handleSignupRequest(request, env, corsHeaders, origin) {
   try {
     const body = await request.json().catch(() => ({}));
     const email = (body.email || '').toLowerCase().trim();
+    const inviteCode = body.invite ? String(body.invite).trim() : null;
     if (!isValidEmail(email)) {
       return new Response(JSON.stringify({ error: 'Please enter a valid email address.' }), {
         status: 400,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
-    if (!(await checkSignupRateLimit(env, email))) {
+    // An invite (from an ?invite= link) gets past WEB_SIGNUP; it's checked
+    // here and used up when the account is created
+    let gate = checkWebSignup(env, email);
+    if (inviteCode) {
+      const access = await checkInvite(env, inviteCode, { email });
+      if (access.error || !access.invite) {
+        return new Response(JSON.stringify({ error: access.error || 'Invalid invite code' }), {
+          status: 403,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      gate = {};
+    }
+    if (gate.error) {
+      return new Response(JSON.stringify({ error: gate.error }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    if (!(await checkEmailRateLimit(env, email))) {
       return new Response(JSON.stringify({ error: 'Too many requests for this email. Try again in an hour.' }), {
         status: 429,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
-    if (!env.RESEND_API_KEY) {
+    if (!emailConfigured(env)) {
       return new Response(JSON.stringify({ error: 'Email service not configured.' }), {
         status: 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
+    // An address that already has an account gets a sign-in link instead of a
+    // second account. The response is the same either way.
+    const existing = await getUserByEmail(env, email);
+    if (existing) {
+      const sent = await sendSigninLink(env, origin, email, existing.username);
+      if (!sent.ok) {
+        return new Response(JSON.stringify({ error: 'Failed to send verification email.', details: sent.error }), {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
     // Generate token and store mapping. 1-hour TTL.
-    const tokenBytes = crypto.getRandomValues(new Uint8Array(24));
-    const token = Array.from(tokenBytes).map(b => b.toString(16).padStart(2, '0')).join('');
-    await env.USERS.put(`signup:${token}`, JSON.stringify({ email, ts: Date.now() }), { expirationTtl: 3600 });
+    const token = bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+    await env.USERS.put(`signup:${token}`, JSON.stringify({ email, invite: inviteCode, ts: Date.now() }), { expirationTtl: 3600 });
 
     const verifyLink = `${origin}/signup/verify?token=${token}`;
-    const senderEmail = env.EMAIL_FROM || 'access@bassh.io';
 
-    const resendResponse = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${env.RESEND_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: `bassh <${senderEmail}>`,
-        to: [email],
-        subject: 'Verify your bassh account',
-        html: emailBody({
-          headline: 'Welcome to bassh',
-          bodyHtml: `<p>Click the button below to finish creating your account. This link expires in 1 hour and can only be used once.</p>`,
-          cta: { href: verifyLink, label: 'Verify email' }
-        })
+    const sent = await sendEmail(env, {
+      to: email,
+      subject: 'Verify your bassh account',
+      html: emailBody({
+        headline: 'Welcome to bassh',
+        bodyHtml: `<p>Click the button below to finish creating your account. This link expires in 1 hour and can only be used once.</p>`,
+        cta: { href: verifyLink, label: 'Verify email' }
       })
     });
-    if (!resendResponse.ok) {
-      const errorData = await resendResponse.json().catch(() => ({}));
-      return new Response(JSON.stringify({ error: 'Failed to send verification email.', details: errorData.message }), {
+    if (!sent.ok) {
+      return new Response(JSON.stringify({ error: 'Failed to send verification email.', details: sent.error }), {
         status: 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
-    return new Response(JSON.stringify({ success: true }), {
+    return new Response(JSON.stringify({ success: true, approval: Boolean(gate.pending) }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     });
   } catch (e) {
@@ -1132,12 +2276,15 @@ async function handleSignupRequest(request, env, corsHeaders, origin) {
   }
 }
 
-// GET /signup/verify?token=… — creates the account and renders the dashboard.
+// GET /signup/verify?token=… — shows the username chooser. The form POSTs
+// {token, username} back here, which creates the account and renders the
+// dashboard. The token is only used up then, so link scanners can't spend it.
 async function handleSignupVerify(request, env, corsHeaders, host) {
-  const url = new URL(request.url);
-  const token = url.searchParams.get('token');
   const htmlHeaders = { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' };
   const errorPage = (msg) => new Response(oauthErrorPage(msg), { status: 400, headers: htmlHeaders });
+
+  const form = request.method === 'POST' ? await request.formData().catch(() => null) : null;
+  const token = form ? form.get('token') : new URL(request.url).searchParams.get('token');
   if (!token) {
     return errorPage('Missing token. Open the link from your email.');
   }
@@ -1145,20 +2292,75 @@ async function handleSignupVerify(request, env, corsHeaders, host) {
   if (!data) {
     return errorPage('This verification link is invalid or has expired. Request a new one from the home page.');
   }
-  // One-time use
-  await env.USERS.delete(`signup:${token}`);
 
   const email = data.email;
-  const username = await deriveUsername(env, email);
-  if (!username) {
-    return new Response(oauthErrorPage('Could not derive a username from your email. Please try a different address.'), {
-      status: 500, headers: htmlHeaders
+  if (await getUserByEmail(env, email)) {
+    await env.USERS.delete(`signup:${token}`);
+    return errorPage('This email already has an account. Sign in at /signin to get a new API key.');
+  }
+
+  // The invite may have been used up or withdrawn since the link was sent
+  let access = {};
+  if (data.invite) {
+    access = await checkInvite(env, data.invite, { email });
+    if (access.error || !access.invite) {
+      return errorPage(access.error || 'This invite code is no longer valid.');
+    }
+  }
+
+  // Links from /admin/signups approvals are already let in
+  if (!access.invite && !data.approved) {
+    const gate = checkWebSignup(env, email);
+    if (gate.error) {
+      return errorPage(gate.error);
+    }
+    if (gate.pending) {
+      await env.USERS.delete(`signup:${token}`);
+      const pending = { email, requested: new Date().toISOString() };
+      await env.USERS.put(`signup-pending:${email}`, JSON.stringify(pending), {
+        metadata: pending,
+        expirationTtl: SIGNUP_PENDING_TTL
+      });
+      return new Response(signinDonePage({
+        headline: 'Request received',
+        message: `Your email is verified and your signup is waiting for approval. We'll email ${email} once it's approved.`
+      }), { headers: htmlHeaders });
+    }
+  }
+
+  // An invite can reserve the username; otherwise the user picks one,
+  // starting from a suggestion derived from their email
+  const fixed = access.invite?.username || null;
+  if (fixed && await getUserByUsername(env, fixed)) {
+    return errorPage(`The username '${fixed}' on this invite is already taken.`);
+  }
+
+  if (!form) {
+    const suggestion = fixed || await deriveUsername(env, email) || '';
+    return new Response(signupUsernamePage({ email, token, suggestion, fixed: Boolean(fixed) }), {
+      headers: htmlHeaders
+    });
+  }
+
+  const username = fixed || String(form.get('username') || '').toLowerCase().trim();
+  const problem = await usernameProblem(env, username);
+  if (problem) {
+    return new Response(signupUsernamePage({ email, token, suggestion: username, error: problem }), {
+      status: 400,
+      headers: htmlHeaders
     });
   }
-  const apiKey = await createUser(env, username, /* machineId */ '');
 
-  // Map email → username for future "find my account" flows.
-  await env.USERS.put(`email:${email}`, JSON.stringify({ username }));
+  // One-time use
+  await env.USERS.delete(`signup:${token}`);
+
+  const apiKey = await createUser(env, username, /* machineId */ '', access.invite ? { invite: data.invite } : {});
+  if (access.invite) {
+    await consumeInvite(env, data.invite);
+  }
+
+  // The verified address is how this account signs in again (handleSigninRequest)
+  await setAccountEmail(env, username, email);
 
   return new Response(dashboardPage({ username, apiKey, host }), {
     status: 200,
@@ -1166,1135 +2368,6967 @@ async function handleSignupVerify(request, env, corsHeaders, host) {
   });
 }
 
-// ============================================================
-// MAIN HANDLER
-// ============================================================
+// GET /admin/signups, POST /admin/signups/<email>/approve,
+// DELETE /admin/signups/<email> (reject, without telling the applicant)
+async function handleAdminSignups(request, env, corsHeaders, email, action, origin) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+  if (!email && request.method === 'GET') {
+    const signups = [];
+    let cursor;
+    do {
+      const page = await env.USERS.list({ prefix: 'signup-pending:', cursor });
+      for (const key of page.keys) {
+        signups.push(key.metadata || { email: key.name.slice('signup-pending:'.length) });
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
 
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname;
+    return new Response(JSON.stringify({ success: true, mode: webSignupMode(env), signups }), { headers: jsonHeaders });
+  }
 
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      // Sensitive params (password, otpEmails, emails) now travel in the request body
-      // for POST or as query string for GET/DELETE — never as headers (which get logged).
-      // Auth headers (X-API-Key, X-Machine-ID) and project-name fallback header remain
-      // for backward compatibility with older CLIs.
-      'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Machine-ID, X-Project-Name',
-    };
+  if (!email) {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+  }
 
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
-    }
+  if (!(await env.USERS.get(`signup-pending:${email}`))) {
+    return new Response(JSON.stringify({ error: `No pending signup for ${email}` }), {
+      status: 404,
+      headers: jsonHeaders
+    });
+  }
 
-    // Route: POST /register - Create new user account
-    if (path === '/register' && request.method === 'POST') {
-      return handleRegister(request, env, corsHeaders);
-    }
+  if (!action && request.method === 'DELETE') {
+    await env.USERS.delete(`signup-pending:${email}`);
+    return new Response(JSON.stringify({ success: true, email, message: `Signup for ${email} rejected` }), {
+      headers: jsonHeaders
+    });
+  }
 
-    // Route: GET /me - Get current user info
-    if (path === '/me' && request.method === 'GET') {
-      return handleMe(request, env, corsHeaders);
+  if (action === 'approve' && request.method === 'POST') {
+    if (await getUserByEmail(env, email)) {
+      await env.USERS.delete(`signup-pending:${email}`);
+      return new Response(JSON.stringify({ error: `${email} already has an account` }), {
+        status: 409,
+        headers: jsonHeaders
+      });
     }
-
-    // Route: GET/POST /key - Get or regenerate API key
-    if (path === '/key' && (request.method === 'GET' || request.method === 'POST')) {
-      return handleKey(request, env, corsHeaders);
+    if (!emailConfigured(env)) {
+      return new Response(JSON.stringify({ error: 'Email service not configured.' }), {
+        status: 500,
+        headers: jsonHeaders
+      });
     }
 
-    // Route: POST /form/:projectName - Form submission (public, no auth)
-    if (path.startsWith('/form/') && request.method === 'POST') {
-      const projectName = path.replace('/form/', '');
-      if (!projectName) {
-        return new Response(JSON.stringify({ error: 'Project name required' }), {
-          status: 400,
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        });
-      }
-      return handleFormSubmit(request, env, corsHeaders, projectName);
-    }
+    const token = bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+    await env.USERS.put(`signup:${token}`, JSON.stringify({ email, approved: true, ts: Date.now() }), {
+      expirationTtl: SIGNUP_APPROVED_TTL
+    });
 
-    // Route: POST /otp/request - Request magic link email (public, no auth)
-    if (path === '/otp/request' && request.method === 'POST') {
-      return handleOTPRequest(request, env, corsHeaders);
+    const sent = await sendEmail(env, {
+      to: email,
+      subject: 'Your bassh account is approved',
+      html: emailBody({
+        headline: 'You\'re in',
+        bodyHtml: `<p>Your bassh signup has been approved. Click the button below to create your account. This link expires in 7 days and can only be used once.</p>`,
+        cta: { href: `${origin}/signup/verify?token=${token}`, label: 'Create account' }
+      })
+    });
+    if (!sent.ok) {
+      await env.USERS.delete(`signup:${token}`);
+      return new Response(JSON.stringify({ error: 'Failed to send approval email.', details: sent.error }), {
+        status: 500,
+        headers: jsonHeaders
+      });
     }
 
-    // Route: POST /otp/verify - Verify OTP and get decryption key (public, no auth)
-    if (path === '/otp/verify' && request.method === 'POST') {
-      return handleOTPVerify(request, env, corsHeaders);
-    }
+    await env.USERS.delete(`signup-pending:${email}`);
+    return new Response(JSON.stringify({ success: true, email, message: `Approved ${email}; they've been emailed a link` }), {
+      headers: jsonHeaders
+    });
+  }
 
-    // Route: POST /signup/request - Request signup magic link (public, no auth)
-    if (path === '/signup/request' && request.method === 'POST') {
-      return handleSignupRequest(request, env, corsHeaders, url.origin);
-    }
+  return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+}
 
-    // Route: GET /signup/verify - Verify magic link, create account, render dashboard
-    if (path === '/signup/verify' && request.method === 'GET') {
-      return handleSignupVerify(request, env, corsHeaders, url.host);
-    }
+// ============================================================
+// ACCOUNT EMAIL & SIGN-IN (magic link)
+// ============================================================
+// A verified email is how someone who has lost both their key and their
+// computers gets back in. Web signups verify one up front; CLI users attach
+// one with POST /email and a confirmation link.
+//
+// POST /signin/request mails a one-time link to that address. Opened in a
+// browser, it mints a new primary key. `bassh login` starts the same flow
+// with its machine ID and polls /signin/poll; approving the link then issues
+// that machine a device credential.
+//
+// KV keys:
+//   email:<address>        {username}
+//   email-verify:<token>   {username, email}                     (1h TTL)
+//   signin:<token>         {username, email, pollToken}          (1h TTL)
+//   signin-poll:<token>    {username, machineId, name, approved} (1h TTL)
+
+const SIGNIN_TTL = 3600; // seconds
+
+// The account an address signs in to, or null
+async function getUserByEmail(env, email) {
+  const data = await env.USERS.get(`email:${email}`, 'json');
+  if (!data) return null;
+  const userData = await getUserByUsername(env, data.username);
+  if (!userData) return null;
+
+  if (userData.email !== email) {
+    if (userData.email) return null; // stale mapping from before a change of address
+    // Web signups from before the address was kept on the user record
+    userData.email = email;
+    await env.USERS.put(`user:${data.username}`, JSON.stringify(userData));
+  }
+  return { username: data.username, ...userData };
+}
 
-    // Route: POST /mcp - MCP (Model Context Protocol) Streamable HTTP endpoint.
-    // Bearer-authenticated; lets Claude Cowork / Desktop call deploy/list/delete
-    // tools via Custom Connectors. Auth and dispatch live in src/mcp.js.
-    // Bearer can be either an sk_… API key (CLI users) or an mcp_… OAuth
-    // access token issued by /oauth/token (Cowork/Desktop users).
-    if (path === '/mcp') {
-      return handleMCP(request, env, {
-        getUserByKey: async (env, token) => {
-          if (!token) return null;
-          if (token.startsWith('mcp_')) return getUserByMcpToken(env, token);
-          return getUserByKey(env, token);
-        },
-        handleDeploy,
-        handleList,
-        handleDelete,
-        handleFormsList,
-      });
+// Point an account at a new address (or none), dropping the old mapping.
+// A new address takes up any team invites waiting for it.
+async function setAccountEmail(env, username, email) {
+  const userData = await getUserByUsername(env, username);
+  if (!userData) return;
+
+  if (userData.email && userData.email !== email) {
+    const previous = await env.USERS.get(`email:${userData.email}`, 'json');
+    if (previous?.username === username) {
+      await env.USERS.delete(`email:${userData.email}`);
     }
+  }
+  if (email) {
+    await env.USERS.put(`email:${email}`, JSON.stringify({ username }));
+  }
+  await env.USERS.put(`user:${username}`, JSON.stringify({ ...userData, email: email || null }));
+  if (email) {
+    await acceptTeamInvites(env, username, email);
+  }
+}
 
-    // ============================================================
-    // OAuth 2.0 endpoints (for Custom Connector add-flow)
-    // ============================================================
+async function sendSigninLink(env, origin, email, username, pollToken = null) {
+  const token = bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+  await env.USERS.put(`signin:${token}`, JSON.stringify({ username, email, pollToken }), {
+    expirationTtl: SIGNIN_TTL
+  });
 
-    // Route: GET /.well-known/oauth-authorization-server - OAuth discovery
-    if (path === '/.well-known/oauth-authorization-server' && request.method === 'GET') {
-      return handleOAuthDiscovery(request);
-    }
-
-    // Route: GET/POST /oauth/authorize - consent screen + form submission
-    if (path === '/oauth/authorize') {
-      return handleOAuthAuthorize(request, env, { getUserByKey });
-    }
-
-    // Route: POST /oauth/token - exchange code for access_token
-    if (path === '/oauth/token') {
-      return handleOAuthToken(request, env);
-    }
+  return sendEmail(env, {
+    to: email,
+    subject: 'Sign in to bassh',
+    html: emailBody({
+      headline: 'Sign in to bassh',
+      bodyHtml: pollToken
+        ? `<p>Someone ran <code>bassh login</code> with this address. Click the button below to let that computer sign in as <strong>${username}</strong>. This link expires in 1 hour and can only be used once.</p>`
+        : `<p>Click the button below to sign in as <strong>${username}</strong> and create a new API key. This link expires in 1 hour and can only be used once.</p>`,
+      cta: { href: `${origin}/signin/verify?token=${token}`, label: pollToken ? 'Approve computer' : 'Sign in' }
+    })
+  });
+}
 
-    // Route: POST /oauth/clients - create a (client_id, client_secret) pair.
-    // Authenticated by API key (Bearer or X-API-Key header).
-    if (path === '/oauth/clients' && request.method === 'POST') {
-      return handleOAuthClientCreate(request, env, { getUserByKey });
-    }
+// POST /signin/request {email, machineId?, name?} - Email a sign-in link.
+// With a machineId (from `bassh login`) the reply carries a pollToken. The
+// response never says whether the address belongs to an account.
+async function handleSigninRequest(request, env, corsHeaders, origin) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const body = await request.json().catch(() => ({}));
+    const email = (body.email || '').toLowerCase().trim();
+    const machineId = String(body.machineId || '').trim();
 
-    // Route: GET /connect - public page where the user generates connector creds
-    if (path === '/connect' && request.method === 'GET') {
-      return new Response(connectPage(), {
-        status: 200,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'text/html; charset=utf-8',
-          'Cache-Control': 'no-store'
-        }
+    if (!isValidEmail(email)) {
+      return new Response(JSON.stringify({ error: 'Please enter a valid email address.' }), {
+        status: 400,
+        headers: jsonHeaders
       });
     }
-
-    // Route: GET /skill/bassh-deploy.md - Hosted skill markdown for Cowork install
-    if (path === '/skill/bassh-deploy.md' && request.method === 'GET') {
-      return new Response(SKILL_MARKDOWN, {
-        status: 200,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'text/markdown; charset=utf-8',
-          'Cache-Control': 'public, max-age=300'
-        }
+    if (!(await checkEmailRateLimit(env, email))) {
+      return new Response(JSON.stringify({ error: 'Too many requests for this email. Try again in an hour.' }), {
+        status: 429,
+        headers: jsonHeaders
       });
     }
-
-    // Route: GET / - landing page when unauthenticated, project list when authed.
-    // The list path falls through to the auth check below; here we only intercept
-    // browser visits that have no auth headers at all.
-    if (path === '/' && request.method === 'GET'
-        && !request.headers.get('X-API-Key')
-        && !request.headers.get('X-Machine-ID')
-        && !request.headers.get('Authorization')) {
-      return new Response(landingPage(), {
-        status: 200,
-        headers: {
-          ...corsHeaders,
-          'Content-Type': 'text/html; charset=utf-8',
-          'Cache-Control': 'public, max-age=60'
-        }
+    if (!emailConfigured(env)) {
+      return new Response(JSON.stringify({ error: 'Email service not configured.' }), {
+        status: 500,
+        headers: jsonHeaders
       });
     }
 
-    // All other routes require authentication (hybrid: machine ID or API key)
-    const user = await authenticateRequest(request, env);
+    const user = await getUserByEmail(env, email);
 
-    if (!user) {
-      return new Response(JSON.stringify({
-        error: 'Authentication required. Register this machine with "bassh register <username>" or provide X-API-Key header.'
-      }), {
-        status: 401,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
+    // A poll record is kept even for unknown addresses; it just never gets approved
+    let pollToken = null;
+    if (machineId) {
+      pollToken = bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+      await env.USERS.put(`signin-poll:${pollToken}`, JSON.stringify({
+        username: user?.username || null,
+        machineId,
+        name: normalizeDeviceName(body.name),
+        approved: false
+      }), { expirationTtl: SIGNIN_TTL });
     }
 
-    const username = user.username;
-
-    // Route: POST /uninstall - Delete account and all resources
-    if (path === '/uninstall' && request.method === 'POST') {
-      return handleUninstall(request, env, corsHeaders, username);
+    if (user) {
+      const sent = await sendSigninLink(env, origin, email, user.username, pollToken);
+      if (!sent.ok) {
+        return new Response(JSON.stringify({ error: 'Failed to send sign-in email.', details: sent.error }), {
+          status: 500,
+          headers: jsonHeaders
+        });
+      }
     }
 
-    // Route: GET /forms - List form submissions
-    if (path === '/forms' && request.method === 'GET') {
-      return handleFormsList(request, env, corsHeaders, username);
-    }
+    return new Response(JSON.stringify({ success: true, pollToken, expiresIn: SIGNIN_TTL }), {
+      headers: jsonHeaders
+    });
+  } catch (e) {
+    return new Response(JSON.stringify({ error: 'Internal error', message: e.message }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
 
-    // Route: DELETE /forms - Delete form submissions
-    if (path === '/forms' && request.method === 'DELETE') {
-      return handleFormsDelete(request, env, corsHeaders, username);
-    }
+// GET /signin/verify?token=… shows what the link will do; the page POSTs the
+// token back to do it, so mail scanners that prefetch links can't use it up.
+async function handleSigninVerify(request, env, corsHeaders, host) {
+  const htmlHeaders = { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' };
+  const errorPage = (msg) => new Response(oauthErrorPage(msg), { status: 400, headers: htmlHeaders });
 
-    // Route: GET / - List user's projects
-    if (request.method === 'GET') {
-      return handleList(env, corsHeaders, username);
-    }
+  const token = request.method === 'POST'
+    ? (await request.formData().catch(() => null))?.get('token')
+    : new URL(request.url).searchParams.get('token');
+  if (!token) {
+    return errorPage('Missing token. Open the link from your email.');
+  }
+  const data = await env.USERS.get(`signin:${token}`, 'json');
+  if (!data) {
+    return errorPage('This sign-in link is invalid or has expired. Request a new one at /signin.');
+  }
+  const poll = data.pollToken ? await env.USERS.get(`signin-poll:${data.pollToken}`, 'json') : null;
+  if (data.pollToken && !poll) {
+    return errorPage('This sign-in request has expired. Run "bassh login" again.');
+  }
 
-    // Route: DELETE / - Delete a project
-    if (request.method === 'DELETE') {
-      return handleDelete(request, env, corsHeaders, username);
-    }
+  if (request.method === 'GET') {
+    return new Response(signinConfirmPage({
+      username: data.username,
+      token,
+      deviceName: poll ? poll.name || '' : undefined
+    }), { headers: htmlHeaders });
+  }
 
-    // Route: POST / - Deploy a site
-    if (request.method === 'POST') {
-      return handleDeploy(request, env, corsHeaders, username);
-    }
+  // One-time use
+  await env.USERS.delete(`signin:${token}`);
 
-    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-      status: 405,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  if (poll) {
+    await env.USERS.put(`signin-poll:${data.pollToken}`, JSON.stringify({ ...poll, approved: true }), {
+      expirationTtl: SIGNIN_TTL
     });
+    return new Response(signinDonePage({
+      headline: 'Computer approved',
+      message: `It is now signed in as ${data.username}. Head back to your terminal.`
+    }), { headers: htmlHeaders });
   }
-};
 
-// ============================================================
-// DEPLOYMENT HANDLER
-// ============================================================
+  const userData = await getUserByUsername(env, data.username);
+  if (!userData) {
+    return errorPage('This account no longer exists.');
+  }
+  const apiKey = await regeneratePrimaryKey(env, data.username, userData);
 
-async function handleDeploy(request, env, corsHeaders, username) {
-  try {
-    // Parse JSON payload (files + deploy metadata).
-    // New CLIs put sensitive params in the body; old CLIs sent them as headers.
-    // Body wins; header is a fallback so old clients keep working during rollout.
-    const payload = await request.json();
-    const files = payload.files;
+  return new Response(dashboardPage({ username: data.username, apiKey, host }), { headers: htmlHeaders });
+}
 
-    let projectName =
-      payload.projectName ||
-      request.headers.get('X-Project-Name') ||
-      `site-${Date.now().toString().slice(-6)}`;
-    const password     = payload.password     ?? request.headers.get('X-Password')      ?? '';
-    const emails       = payload.emails       ?? request.headers.get('X-Emails')        ?? '';
-    const domain       = payload.domain       ?? request.headers.get('X-Domain')        ?? '';
-    const customDomain = payload.customDomain ?? request.headers.get('X-Custom-Domain') ?? '';
-    const otpEmails    = payload.otpEmails    ?? request.headers.get('X-OTP-Emails')    ?? '';
-
-    // Namespace project name with username
-    const fullProjectName = `${username}-${projectName}`;
+// POST /signin/poll {pollToken} - 202 until the emailed link is approved, then
+// a device credential for the computer that asked. Works once.
+async function handleSigninPoll(request, env, corsHeaders) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const body = await request.json().catch(() => ({}));
+    const pollToken = String(body.pollToken || '');
+    const poll = pollToken ? await env.USERS.get(`signin-poll:${pollToken}`, 'json') : null;
 
-    if (!files || files.length === 0) {
-      return new Response(JSON.stringify({ error: 'No files provided' }), {
-        status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    if (!poll) {
+      return new Response(JSON.stringify({ error: 'This sign-in request has expired. Run "bassh login" again.' }), {
+        status: 404,
+        headers: jsonHeaders
       });
     }
+    if (!poll.approved) {
+      return new Response(JSON.stringify({ pending: true }), { status: 202, headers: jsonHeaders });
+    }
 
-    // Ensure project exists
-    await ensureProject(env, fullProjectName);
-
-    // Get upload token
-    const tokenResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}/upload-token`,
-      {
-        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
-      }
-    );
+    await env.USERS.delete(`signin-poll:${pollToken}`);
 
-    const tokenResult = await tokenResponse.json();
-    if (!tokenResponse.ok) {
-      return new Response(JSON.stringify({
-        error: 'Failed to get upload token',
-        details: tokenResult
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    if (!(await getUserByUsername(env, poll.username))) {
+      return new Response(JSON.stringify({ error: 'This account no longer exists.' }), {
+        status: 404,
+        headers: jsonHeaders
       });
     }
+    const refused = await checkDeviceEnrollment(env, poll.username, poll.machineId);
+    if (refused) {
+      return new Response(JSON.stringify({ error: refused.error }), { status: refused.status, headers: jsonHeaders });
+    }
 
-    const uploadToken = tokenResult.result.jwt;
-
-    // Process files
-    const manifest = {};
-    const uploadPayload = [];
-    const hashes = [];
-
-    for (const file of files) {
-      const path = file.path.startsWith('/') ? file.path : '/' + file.path;
-      let content = file.content;
-      let finalContent;
-
-      // Encrypt HTML files if password or OTP emails provided
-      if (password && path.endsWith('.html')) {
-        const binaryString = atob(content);
-        const originalHTML = binaryString;
-        const encryptedData = await encryptHTML(originalHTML, password);
-        const protectedHTML = getDecryptTemplate(encryptedData);
-        finalContent = btoa(protectedHTML);
-      } else if (otpEmails && path.endsWith('.html')) {
-        // OTP-based email protection
-        const binaryString = atob(content);
-        const originalHTML = binaryString;
-
-        // Generate encryption key if not exists, or reuse existing
-        let keyData = await env.USERS.get(`otp-key:${fullProjectName}`, 'json');
-        if (!keyData) {
-          keyData = { key: generateEncryptionKey() };
-        }
-        // Update emails list and save key
-        const emailList = otpEmails.split(',').map(e => e.trim()).filter(e => e);
-        keyData.emails = emailList;
-        await env.USERS.put(`otp-key:${fullProjectName}`, JSON.stringify(keyData));
-
-        // Get API URL from request
-        const apiUrl = new URL(request.url).origin;
-
-        const encryptedData = await encryptHTMLWithKey(originalHTML, keyData.key);
-        const protectedHTML = getOTPDecryptTemplate(encryptedData, fullProjectName, apiUrl, emailList);
-        finalContent = btoa(protectedHTML);
-      } else {
-        finalContent = content;
-      }
-
-      // Hash for manifest
-      const binaryString = atob(finalContent);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
+    const device = await createDevice(env, poll.username, poll.machineId, poll.name);
 
-      const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
-      const hashArray = new Uint8Array(hashBuffer);
-      const hash = Array.from(hashArray).map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 32);
+    return new Response(JSON.stringify({ success: true, username: poll.username, device }), {
+      headers: jsonHeaders
+    });
+  } catch (e) {
+    return new Response(JSON.stringify({ error: 'Internal error', message: e.message }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
 
-      manifest[path] = hash;
-      hashes.push(hash);
+// POST /email {email} - Mail a confirmation link that attaches (or changes)
+// the account's sign-in address. DELETE /email - Detach it.
+async function handleEmail(request, env, corsHeaders, username, origin) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    if (request.method === 'DELETE') {
+      await setAccountEmail(env, username, null);
+      return new Response(JSON.stringify({ success: true, message: 'Email removed' }), { headers: jsonHeaders });
+    }
 
-      const contentType = getContentType(path);
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+    }
 
-      uploadPayload.push({
-        key: hash,
-        value: finalContent,
-        metadata: { contentType },
-        base64: true
+    const body = await request.json().catch(() => ({}));
+    const email = (body.email || '').toLowerCase().trim();
+    if (!isValidEmail(email)) {
+      return new Response(JSON.stringify({ error: 'Please enter a valid email address.' }), {
+        status: 400,
+        headers: jsonHeaders
       });
     }
 
-    // Upload files
-    const uploadResponse = await fetch(
-      'https://api.cloudflare.com/client/v4/pages/assets/upload',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${uploadToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(uploadPayload)
-      }
-    );
-
-    if (!uploadResponse.ok) {
-      const uploadError = await uploadResponse.text();
-      return new Response(JSON.stringify({
-        error: 'File upload failed',
-        details: uploadError
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    const owner = await getUserByEmail(env, email);
+    if (owner && owner.username !== username) {
+      return new Response(JSON.stringify({ error: 'That email is already used by another account' }), {
+        status: 409,
+        headers: jsonHeaders
       });
     }
-
-    // Register hashes
-    const upsertResponse = await fetch(
-      'https://api.cloudflare.com/client/v4/pages/assets/upsert-hashes',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${uploadToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ hashes })
-      }
-    );
-
-    if (!upsertResponse.ok) {
-      const upsertError = await upsertResponse.text();
-      return new Response(JSON.stringify({
-        error: 'Hash registration failed',
-        details: upsertError
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    if (owner) {
+      return new Response(JSON.stringify({ success: true, email, message: `${email} is already on your account` }), {
+        headers: jsonHeaders
       });
     }
 
-    // Create deployment
-    const manifestFormData = new FormData();
-    manifestFormData.append('manifest', JSON.stringify(manifest));
-
-    const deployResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}/deployments`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${env.CF_API_TOKEN}`,
-        },
-        body: manifestFormData
-      }
-    );
-
-    const deployResult = await deployResponse.json();
-
-    if (!deployResponse.ok) {
-      return new Response(JSON.stringify({
-        error: 'Deployment creation failed',
-        details: deployResult
-      }), {
+    if (!(await checkEmailRateLimit(env, email))) {
+      return new Response(JSON.stringify({ error: 'Too many requests for this email. Try again in an hour.' }), {
+        status: 429,
+        headers: jsonHeaders
+      });
+    }
+    if (!emailConfigured(env)) {
+      return new Response(JSON.stringify({ error: 'Email service not configured.' }), {
         status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        headers: jsonHeaders
       });
     }
 
-    const siteUrl = `https://${fullProjectName}.pages.dev`;
+    const token = bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+    await env.USERS.put(`email-verify:${token}`, JSON.stringify({ username, email }), { expirationTtl: SIGNIN_TTL });
 
-    // Set up Cloudflare Access if needed
-    let accessSetup = null;
-    if (emails || domain) {
-      accessSetup = await setupAccess(env, fullProjectName, emails, domain);
-    }
-
-    // Set up custom domain if provided
-    let customDomainResult = null;
-    if (customDomain) {
-      customDomainResult = await addCustomDomain(env, fullProjectName, customDomain);
+    const sent = await sendEmail(env, {
+      to: email,
+      subject: 'Confirm your email for bassh',
+      html: emailBody({
+        headline: 'Confirm your email',
+        bodyHtml: `<p>Click the button below to use this address to sign in to <strong>${username}</strong> if you ever lose your API key. This link expires in 1 hour.</p>`,
+        cta: { href: `${origin}/email/verify?token=${token}`, label: 'Confirm email' }
+      })
+    });
+    if (!sent.ok) {
+      return new Response(JSON.stringify({ error: 'Failed to send confirmation email.', details: sent.error }), {
+        status: 500,
+        headers: jsonHeaders
+      });
     }
 
     return new Response(JSON.stringify({
       success: true,
-      url: siteUrl,
-      project: fullProjectName,
-      shortName: projectName,
-      deployment: deployResult.result,
-      access: accessSetup,
-      customDomain: customDomainResult,
-      protection: {
-        password: password ? true : false,
-        emails: emails || null,
-        domain: domain || null,
-        otpEmails: otpEmails || null
-      }
-    }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
-
-  } catch (error) {
-    return new Response(JSON.stringify({
-      error: 'Internal error',
-      message: error.message,
-      stack: error.stack
-    }), {
+      email,
+      message: `Check ${email} for a confirmation link`
+    }), { headers: jsonHeaders });
+  } catch (e) {
+    return new Response(JSON.stringify({ error: 'Internal error', message: e.message }), {
       status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      headers: jsonHeaders
     });
   }
 }
 
-// ============================================================
-// HELPER FUNCTIONS
-// ============================================================
+// GET /email/verify?token=… - Attach the address from POST /email.
+async function handleEmailVerify(request, env, corsHeaders) {
+  const htmlHeaders = { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' };
+  const errorPage = (msg) => new Response(oauthErrorPage(msg), { status: 400, headers: htmlHeaders });
 
-function getContentType(path) {
-  const ext = path.split('.').pop().toLowerCase();
-  const types = {
-    'html': 'text/html',
-    'css': 'text/css',
-    'js': 'application/javascript',
-    'json': 'application/json',
-    'png': 'image/png',
-    'jpg': 'image/jpeg',
-    'jpeg': 'image/jpeg',
-    'gif': 'image/gif',
-    'svg': 'image/svg+xml',
-    'ico': 'image/x-icon',
-    'woff': 'font/woff',
-    'woff2': 'font/woff2',
-    'ttf': 'font/ttf',
-    'eot': 'application/vnd.ms-fontobject',
-    'txt': 'text/plain',
-    'xml': 'application/xml',
-    'pdf': 'application/pdf',
-    'webp': 'image/webp',
-    'mp4': 'video/mp4',
-    'webm': 'video/webm',
-    'mp3': 'audio/mpeg',
-    'wav': 'audio/wav',
+  const token = new URL(request.url).searchParams.get('token');
+  if (!token) {
+    return errorPage('Missing token. Open the link from your email.');
+  }
+  const data = await env.USERS.get(`email-verify:${token}`, 'json');
+  if (!data) {
+    return errorPage('This confirmation link is invalid or has expired. Run "bassh email" again.');
+  }
+  // One-time use
+  await env.USERS.delete(`email-verify:${token}`);
+
+  const owner = await getUserByEmail(env, data.email);
+  if (owner && owner.username !== data.username) {
+    return errorPage('That email is already used by another account.');
+  }
+  if (!(await getUserByUsername(env, data.username))) {
+    return errorPage('This account no longer exists.');
+  }
+  await setAccountEmail(env, data.username, data.email);
+
+  return new Response(signinDonePage({
+    headline: 'Email confirmed',
+    message: `${data.email} can now be used to sign in to ${data.username}.`
+  }), { headers: htmlHeaders });
+}
+
+// ============================================================
+// INVITE CODES
+// ============================================================
+// Registration used to hinge on one REGISTRATION_CODE secret: anyone who ever
+// saw it could sign up forever, and rotating it broke every invite in flight.
+// Invites now live in KV, each with its own use count and expiry, optionally
+// tied to one username or to an email domain (those only work for web
+// signup, where the address is verified). The operator manages them through
+// /admin/invites. With USER_INVITES=<n>, every user also gets a personal
+// invite, shown by GET /me, good for n signups.
+//
+// REGISTRATION_CODE keeps working as a shared code. INVITE_ONLY=true closes
+// CLI registration to anyone without an invite when it isn't set.
+//
+// KV keys:
+//   invite:<code>   {maxUses, uses, expires, username, emailDomain, note, createdBy, created}
+//     metadata: the same record, so listing needs no extra reads
+//
+// Uses are counted read-modify-write, so two signups racing for a code's last
+// use can both get in. That's acceptable for invites.
+
+const INVITE_CODE_PATTERN = /^[A-Za-z0-9_-]{6,64}$/;
+const MAX_INVITE_USES = 10000;
+
+function registrationClosed(env) {
+  return Boolean(env.REGISTRATION_CODE) || env.INVITE_ONLY === 'true';
+}
+
+function generateInviteCode() {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(6)));
+}
+
+// The `subdomain:code` form the CLI's --invite flag takes; the subdomain is
+// how it finds the worker. Null when the worker isn't on workers.dev.
+function cliInviteString(request, code) {
+  const url = new URL(request.url);
+  // Extract subdomain from hostname (e.g., "bassh-api.bob-rietveld.workers.dev" -> "bob-rietveld")
+  const hostParts = url.hostname.split('.');
+  if (hostParts.length >= 3 && hostParts.slice(-2).join('.') === 'workers.dev') {
+    const subdomain = hostParts.slice(0, -2).join('.').replace(/^[^.]+\./, '');
+    return `${subdomain}:${code}`;
+  }
+  return null;
+}
+
+async function putInvite(env, code, invite) {
+  const options = { metadata: invite };
+  if (invite.expires) {
+    options.expiration = Math.max(Math.floor(Date.parse(invite.expires) / 1000), Math.floor(Date.now() / 1000) + 60);
+  }
+  await env.USERS.put(`invite:${code}`, JSON.stringify(invite), options);
+}
+
+// Check a code for a signup. Pass `username` for CLI registration and
+// `email` for web signup. Returns { invite, code } for a managed invite,
+// { legacy: true } for REGISTRATION_CODE, {} when no code is needed, or
+// { error }.
+async function checkInvite(env, code, { username = null, email = null } = {}) {
+  if (code) {
+    const invite = await env.USERS.get(`invite:${code}`, 'json');
+    if (invite) {
+      if (invite.expires && Date.parse(invite.expires) <= Date.now()) {
+        return { error: 'This invite code has expired' };
+      }
+      if (invite.uses >= invite.maxUses) {
+        return { error: 'This invite code has been used up' };
+      }
+      if (invite.username && username && invite.username !== username) {
+        return { error: `This invite code is reserved for the username '${invite.username}'` };
+      }
+      if (invite.emailDomain && email?.split('@')[1] !== invite.emailDomain) {
+        return {
+          error: email
+            ? `This invite code is for @${invite.emailDomain} addresses`
+            : `This invite code is for @${invite.emailDomain} addresses. Sign up on the web with one.`
+        };
+      }
+      return { invite, code };
+    }
+    if (env.REGISTRATION_CODE && code === env.REGISTRATION_CODE) {
+      return { legacy: true };
+    }
+  }
+  if (registrationClosed(env)) {
+    return { error: code ? 'Invalid registration code' : 'An invite code is required to register' };
+  }
+  return {};
+}
+
+async function consumeInvite(env, code) {
+  const invite = await env.USERS.get(`invite:${code}`, 'json');
+  if (invite) {
+    await putInvite(env, code, { ...invite, uses: invite.uses + 1 });
+  }
+}
+
+// The user's personal invite, created the first time it's asked for. Null
+// unless the operator set USER_INVITES. Deleting it through /admin/invites
+// gives the user a fresh allowance.
+async function getPersonalInvite(env, username) {
+  const allowance = parseInt(env.USER_INVITES || '0');
+  if (!(allowance > 0)) return null;
+
+  const userData = await getUserByUsername(env, username);
+  if (!userData) return null;
+
+  if (userData.personalInvite) {
+    const existing = await env.USERS.get(`invite:${userData.personalInvite}`, 'json');
+    if (existing) return { code: userData.personalInvite, ...existing };
+  }
+
+  const code = generateInviteCode();
+  const invite = {
+    maxUses: allowance,
+    uses: 0,
+    expires: null,
+    username: null,
+    emailDomain: null,
+    note: `Personal invite from ${username}`,
+    createdBy: username,
+    created: new Date().toISOString()
   };
-  return types[ext] || 'application/octet-stream';
+  await putInvite(env, code, invite);
+  await env.USERS.put(`user:${username}`, JSON.stringify({ ...userData, personalInvite: code }));
+  return { code, ...invite };
 }
 
-async function addCustomDomain(env, projectName, domain) {
+// GET /admin/invites, POST /admin/invites, DELETE /admin/invites/<code>
+async function handleAdminInvites(request, env, corsHeaders, code) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+  if (!code && request.method === 'GET') {
+    const invites = [];
+    let cursor;
+    do {
+      const page = await env.USERS.list({ prefix: 'invite:', cursor });
+      for (const key of page.keys) {
+        const inviteCode = key.name.slice('invite:'.length);
+        invites.push({ code: inviteCode, cliInvite: cliInviteString(request, inviteCode), ...(key.metadata || {}) });
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return new Response(JSON.stringify({ success: true, invites }), { headers: jsonHeaders });
+  }
+
+  if (!code && request.method === 'POST') {
+    const body = await request.json().catch(() => ({}));
+    const newCode = body.code ? String(body.code) : generateInviteCode();
+    const maxUses = body.maxUses == null ? 1 : Number(body.maxUses);
+    const expiresInDays = body.expiresInDays == null ? null : Number(body.expiresInDays);
+    const username = body.username ? String(body.username).toLowerCase().trim() : null;
+    const emailDomain = body.emailDomain ? String(body.emailDomain).toLowerCase().trim().replace(/^@/, '') : null;
+
+    if (!INVITE_CODE_PATTERN.test(newCode)) {
+      return new Response(JSON.stringify({
+        error: 'Invite codes are 6-64 letters, digits, _ or -'
+      }), { status: 400, headers: jsonHeaders });
+    }
+    if (!(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_INVITE_USES)) {
+      return new Response(JSON.stringify({
+        error: `maxUses must be a whole number from 1 to ${MAX_INVITE_USES}`
+      }), { status: 400, headers: jsonHeaders });
+    }
+    if (expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= 3650)) {
+      return new Response(JSON.stringify({ error: 'expiresInDays must be a whole number from 1 to 3650' }), {
+        status: 400,
+        headers: jsonHeaders
+      });
+    }
+    if (username && !isValidUsername(username)) {
+      return new Response(JSON.stringify({ error: `'${username}' is not a valid username` }), {
+        status: 400,
+        headers: jsonHeaders
+      });
+    }
+    if (emailDomain && !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(emailDomain)) {
+      return new Response(JSON.stringify({ error: `'${emailDomain}' is not a valid email domain` }), {
+        status: 400,
+        headers: jsonHeaders
+      });
+    }
+    if (await env.USERS.get(`invite:${newCode}`)) {
+      return new Response(JSON.stringify({ error: `Invite code '${newCode}' already exists` }), {
+        status: 409,
+        headers: jsonHeaders
+      });
+    }
+
+    const invite = {
+      maxUses,
+      uses: 0,
+      expires: expiresInDays ? new Date(Date.now() + expiresInDays * 86400000).toISOString() : null,
+      username,
+      emailDomain,
+      note: String(body.note || '').trim().slice(0, 200) || null,
+      createdBy: 'operator',
+      created: new Date().toISOString()
+    };
+    await putInvite(env, newCode, invite);
+
+    return new Response(JSON.stringify({
+      success: true,
+      code: newCode,
+      cliInvite: cliInviteString(request, newCode),
+      ...invite
+    }), { headers: jsonHeaders });
+  }
+
+  if (code && request.method === 'DELETE') {
+    if (!(await env.USERS.get(`invite:${code}`))) {
+      return new Response(JSON.stringify({ error: `Invite code '${code}' not found` }), {
+        status: 404,
+        headers: jsonHeaders
+      });
+    }
+    await env.USERS.delete(`invite:${code}`);
+    return new Response(JSON.stringify({ success: true, code, message: `Invite code '${code}' deleted` }), {
+      headers: jsonHeaders
+    });
+  }
+
+  return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+}
+
+// ============================================================
+// OPERATOR ADMIN API
+// ============================================================
+// Lets the operator manage tenants without editing KV by hand. Every
+// /admin/* route needs `Authorization: Bearer <ADMIN_TOKEN>`; with no
+// ADMIN_TOKEN secret set, the API is switched off.
+//
+//   GET    /admin/users[?cursor=]            users with email, project count, last deploy
+//   GET    /admin/users/<name>               one user
+//   POST   /admin/users/<name>/suspend       {reason} - refuse all of the user's credentials
+//   POST   /admin/users/<name>/unsuspend
+//   POST   /admin/users/<name>/rename        {username, redirects, graceDays} - as POST /rename
+//   DELETE /admin/users/<name>               delete the account and its sites, as uninstall does
+//   GET    /admin/users/<name>/quota         limits and usage (see QUOTAS); /admin/teams/<name>/quota too
+//   PUT    /admin/users/<name>/quota         {projects, deployFiles, ...} - override limits; null restores the default
+//   GET    /admin/projects                   every Pages project with its owner
+//   PUT    /admin/projects/<name>            {owner} - assign a project the registry couldn't attribute
+//   GET    /admin/invites, POST /admin/invites, DELETE /admin/invites/<code>
+//                                            managed invite codes (see INVITE CODES)
+//   GET    /admin/signups                    web signups waiting for approval
+//   POST   /admin/signups/<email>/approve    email the applicant a link to finish
+//   DELETE /admin/signups/<email>            reject
+//
+// A suspension is stored on the user record as `suspended: {at, reason}`.
+
+const ADMIN_USERS_PAGE_SIZE = 50;
+
+function isAdminRequest(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  return Boolean(token) && timingSafeEqual(token, env.ADMIN_TOKEN);
+}
+
+// What the operator sees about one user
+async function adminUserSummary(env, username, userData) {
+  const projects = await listOwnedProjectNames(env, username);
+
+  let lastDeploy = null;
+  for (const project of projects) {
+    for (const record of Object.values(await listDeploymentRecords(env, project))) {
+      if (record.created && (!lastDeploy || record.created > lastDeploy)) {
+        lastDeploy = record.created;
+      }
+    }
+  }
+
+  return {
+    username,
+    created: userData.created || null,
+    email: userData.email || null,
+    projects: projects.length,
+    lastDeploy,
+    suspended: userData.suspended || null
+  };
+}
+
+// GET or PUT /admin/{users,teams}/<name>/quota. `kind` is the record prefix.
+async function handleAdminQuota(request, env, corsHeaders, kind, name) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const record = await env.USERS.get(`${kind}:${name}`, 'json');
+    if (!record) {
+      return new Response(JSON.stringify({ error: `${kind === 'team' ? 'Team' : 'User'} '${name}' not found` }), {
+        status: 404,
+        headers: jsonHeaders
+      });
+    }
+
+    if (request.method === 'PUT') {
+      const body = await request.json().catch(() => ({}));
+      const quota = { ...record.quota };
+      for (const [key, value] of Object.entries(body)) {
+        if (!QUOTA_SECRETS[key]) {
+          return new Response(JSON.stringify({
+            error: `Unknown quota '${key}'. Use: ${Object.keys(QUOTA_SECRETS).join(', ')}`
+          }), { status: 400, headers: jsonHeaders });
+        }
+        if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+          return new Response(JSON.stringify({
+            error: `${key} must be a whole number, or null for the default`
+          }), { status: 400, headers: jsonHeaders });
+        }
+        if (value === null) {
+          delete quota[key];
+        } else {
+          quota[key] = value;
+        }
+      }
+      await env.USERS.put(`${kind}:${name}`, JSON.stringify({ ...record, quota }));
+    } else if (request.method !== 'GET') {
+      return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      [kind === 'team' ? 'team' : 'username']: name,
+      overrides: (await env.USERS.get(`${kind}:${name}`, 'json')).quota || {},
+      quotas: await quotaUsage(env, name)
+    }), { headers: jsonHeaders });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
+async function handleAdmin(request, env, corsHeaders, path) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    if (!isAdminRequest(request, env)) {
+      return new Response(JSON.stringify({ error: 'Admin token required' }), { status: 401, headers: jsonHeaders });
+    }
+
+    const url = new URL(request.url);
+    const [, , resource, name, action] = path.split('/');
+
+    if (resource === 'users' && !name && request.method === 'GET') {
+      const page = await env.USERS.list({
+        prefix: 'user:',
+        limit: ADMIN_USERS_PAGE_SIZE,
+        cursor: url.searchParams.get('cursor') || undefined
+      });
+      const users = [];
+      for (const key of page.keys) {
+        const username = key.name.slice('user:'.length);
+        const userData = await getUserByUsername(env, username);
+        if (userData) users.push(await adminUserSummary(env, username, userData));
+      }
+
+      return new Response(JSON.stringify({
+        success: true,
+        users,
+        cursor: page.list_complete ? null : page.cursor
+      }), { headers: jsonHeaders });
+    }
+
+    if ((resource === 'users' || resource === 'teams') && name && action === 'quota') {
+      return handleAdminQuota(request, env, corsHeaders, resource === 'teams' ? 'team' : 'user', name);
+    }
+
+    if (resource === 'users' && name) {
+      const userData = await getUserByUsername(env, name);
+      if (!userData) {
+        return new Response(JSON.stringify({ error: `User '${name}' not found` }), { status: 404, headers: jsonHeaders });
+      }
+
+      if (!action && request.method === 'GET') {
+        return new Response(JSON.stringify({
+          success: true,
+          user: await adminUserSummary(env, name, userData)
+        }), { headers: jsonHeaders });
+      }
+
+      if (action === 'rename' && request.method === 'POST') {
+        return handleRename(request, env, corsHeaders, name);
+      }
+
+      if (!action && request.method === 'DELETE') {
+        return handleUninstall(request, env, corsHeaders, name);
+      }
+
+      if ((action === 'suspend' || action === 'unsuspend') && request.method === 'POST') {
+        const body = await request.json().catch(() => ({}));
+        const suspended = action === 'suspend'
+          ? { at: new Date().toISOString(), reason: String(body.reason || '').trim().slice(0, 200) || null }
+          : null;
+        await env.USERS.put(`user:${name}`, JSON.stringify({ ...userData, suspended }));
+
+        return new Response(JSON.stringify({ success: true, username: name, suspended }), { headers: jsonHeaders });
+      }
+    }
+
+    if (resource === 'invites' && !action) {
+      return handleAdminInvites(request, env, corsHeaders, name);
+    }
+
+    if (resource === 'signups') {
+      const email = name ? decodeURIComponent(name).toLowerCase() : null;
+      return handleAdminSignups(request, env, corsHeaders, email, action, url.origin);
+    }
+
+    if (resource === 'projects' && !name && request.method === 'GET') {
+      let pagesProjects;
+      try {
+        pagesProjects = await listPagesProjects(env);
+      } catch (e) {
+        return new Response(JSON.stringify({ error: e.message }), {
+          status: 500,
+          headers: jsonHeaders
+        });
+      }
+
+      const projects = [];
+      for (const project of pagesProjects) {
+        const { owner, candidates } = await resolveProjectOwner(env, project.name, project);
+        projects.push({
+          name: project.name,
+          owner,
+          ...(candidates?.length > 1 ? { candidates } : {}),
+          created: project.created_on,
+          domains: project.domains || []
+        });
+      }
+
+      return new Response(JSON.stringify({ success: true, projects }), { headers: jsonHeaders });
+    }
+
+    if (resource === 'projects' && name && !action && request.method === 'PUT') {
+      const body = await request.json().catch(() => ({}));
+      const owner = String(body.owner || '').toLowerCase().trim();
+      if (!(await getUserByUsername(env, owner)) && !(await getTeam(env, owner))) {
+        return new Response(JSON.stringify({ error: `No user or team named '${owner}'` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+      if (!name.startsWith(`${owner}-`)) {
+        return new Response(JSON.stringify({ error: `'${name}' isn't named after '${owner}'` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+
+      const { exists } = await resolveProjectOwner(env, name);
+      if (!exists) {
+        return new Response(JSON.stringify({ error: `Project '${name}' not found` }), {
+          status: 404,
+          headers: jsonHeaders
+        });
+      }
+      await unregisterProject(env, name);
+      await registerProject(env, name, owner);
+
+      return new Response(JSON.stringify({ success: true, name, owner }), { headers: jsonHeaders });
+    }
+
+    return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers: jsonHeaders });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
+// ============================================================
+// MAIN HANDLER
+// ============================================================
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      // Sensitive params (password, otpEmails, emails) now travel in the request body
+      // for POST or as query string for GET/DELETE — never as headers (which get logged).
+      // Auth headers (X-API-Key, X-Device-*, X-Machine-ID) and project-name fallback
+      // header remain for backward compatibility with older CLIs.
+      'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, X-Device-ID, X-Device-Timestamp, X-Device-Signature, X-Machine-ID, X-Project-Name, X-Team',
+    };
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    // Route: POST /register - Create new user account
+    if (path === '/register' && request.method === 'POST') {
+      return handleRegister(request, env, corsHeaders);
+    }
+
+    // Route: GET /me - Get current user info
+    if (path === '/me' && request.method === 'GET') {
+      return handleMe(request, env, corsHeaders);
+    }
+
+    // Route: GET/POST /key - Get or regenerate API key
+    if (path === '/key' && (request.method === 'GET' || request.method === 'POST')) {
+      return handleKey(request, env, corsHeaders);
+    }
+
+    // Route: GET /form-challenge.js - Solves a form's proof-of-work challenge in the browser
+    if (path === '/form-challenge.js' && request.method === 'GET') {
+      return new Response(FORM_CHALLENGE_SCRIPT, {
+        headers: { ...corsHeaders, 'Content-Type': 'application/javascript; charset=utf-8', 'Cache-Control': 'public, max-age=3600' }
+      });
+    }
+
+    // Route: GET /form/:projectName/challenge - Proof-of-work challenge (public, no auth)
+    if (path.startsWith('/form/') && path.endsWith('/challenge') && request.method === 'GET') {
+      return handleFormChallengeIssue(request, env, corsHeaders, path.slice('/form/'.length, -'/challenge'.length));
+    }
+
+    // Route: POST /form/:projectName - Form submission (public, no auth)
+    if (path.startsWith('/form/') && request.method === 'POST') {
+      const projectName = path.replace('/form/', '');
+      if (!projectName) {
+        return new Response(JSON.stringify({ error: 'Project name required' }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      return handleFormSubmit(request, env, corsHeaders, projectName, ctx);
+    }
+
+    // Route: POST /otp/request - Request magic link email (public, no auth)
+    if (path === '/otp/request' && request.method === 'POST') {
+      return handleOTPRequest(request, env, corsHeaders);
+    }
+
+    // Route: POST /otp/verify - Verify OTP and get decryption key (public, no auth)
+    if (path === '/otp/verify' && request.method === 'POST') {
+      return handleOTPVerify(request, env, corsHeaders);
+    }
+
+    // Route: POST /signup/request - Request signup magic link (public, no auth)
+    if (path === '/signup/request' && request.method === 'POST') {
+      return handleSignupRequest(request, env, corsHeaders, url.origin);
+    }
+
+    // Route: GET /signup/verify - Verify magic link and show the username form;
+    // POST creates the account and renders the dashboard
+    if (path === '/signup/verify' && (request.method === 'GET' || request.method === 'POST')) {
+      return handleSignupVerify(request, env, corsHeaders, url.host);
+    }
+
+    // Route: GET /signup/username - Username availability for the signup form
+    if (path === '/signup/username' && request.method === 'GET') {
+      return handleSignupUsername(request, env, corsHeaders);
+    }
+
+    // Route: GET /signin - Sign-in / recovery form (public, no auth)
+    if (path === '/signin' && request.method === 'GET') {
+      return new Response(signinPage(), {
+        headers: { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' }
+      });
+    }
+
+    // Route: POST /signin/request - Email a sign-in link (public, no auth)
+    if (path === '/signin/request' && request.method === 'POST') {
+      return handleSigninRequest(request, env, corsHeaders, url.origin);
+    }
+
+    // Route: GET/POST /signin/verify - Confirm, then mint a key or approve a computer
+    if (path === '/signin/verify' && (request.method === 'GET' || request.method === 'POST')) {
+      return handleSigninVerify(request, env, corsHeaders, url.host);
+    }
+
+    // Route: POST /signin/poll - `bassh login` waits here for the approval (public, no auth)
+    if (path === '/signin/poll' && request.method === 'POST') {
+      return handleSigninPoll(request, env, corsHeaders);
+    }
+
+    // Route: GET/POST /forms/notify/confirm|stop - Links in form notification emails
+    if ((path === '/forms/notify/confirm' || path === '/forms/notify/stop')
+        && (request.method === 'GET' || request.method === 'POST')) {
+      return handleFormNotifyLink(request, env, corsHeaders, path.split('/')[3]);
+    }
+
+    // Route: GET /email/verify - Confirm an address attached with POST /email
+    if (path === '/email/verify' && request.method === 'GET') {
+      return handleEmailVerify(request, env, corsHeaders);
+    }
+
+    // Route: /admin/* - Operator API (ADMIN_TOKEN bearer; off when unset)
+    if (env.ADMIN_TOKEN && (path === '/admin' || path.startsWith('/admin/'))) {
+      return handleAdmin(request, env, corsHeaders, path);
+    }
+
+    // Route: POST /mcp - MCP (Model Context Protocol) Streamable HTTP endpoint.
+    // Bearer-authenticated; lets Claude Cowork / Desktop call deploy/list/delete
+    // tools via Custom Connectors. Auth and dispatch live in src/mcp.js.
+    // Bearer can be either an sk_… API key (CLI users) or an mcp_… OAuth
+    // access token issued by /oauth/token (Cowork/Desktop users).
+    if (path === '/mcp') {
+      return handleMCP(request, env, {
+        getUserByKey: async (env, token) => {
+          if (!token) return null;
+          if (token.startsWith('mcp_')) return getUserByMcpToken(env, token);
+          const user = await getUserByKey(env, token);
+          return user && !(await getSuspension(env, user.username)) ? user : null;
+        },
+        keyAllows,
+        checkTeamAccess,
+        listUserTeams,
+        handleDeploy,
+        handleDeployCheck,
+        handleList,
+        handleUsage,
+        handleDelete,
+        handleFormsList,
+        handleFormFiles,
+        handleDeploymentsList,
+        handleRollback,
+        handlePreviews,
+      });
+    }
+
+    // ============================================================
+    // OAuth 2.0 endpoints (for Custom Connector add-flow)
+    // ============================================================
+
+    // Route: GET /.well-known/oauth-authorization-server - OAuth discovery
+    if (path === '/.well-known/oauth-authorization-server' && request.method === 'GET') {
+      return handleOAuthDiscovery(request);
+    }
+
+    // Route: GET/POST /oauth/authorize - consent screen + form submission
+    if (path === '/oauth/authorize') {
+      return handleOAuthAuthorize(request, env, { getUserByKey: getAccountUserByKey });
+    }
+
+    // Route: POST /oauth/token - exchange code for access_token
+    if (path === '/oauth/token') {
+      return handleOAuthToken(request, env);
+    }
+
+    // Route: POST /oauth/clients - create a (client_id, client_secret) pair.
+    // Authenticated by API key (Bearer or X-API-Key header).
+    if (path === '/oauth/clients' && request.method === 'POST') {
+      return handleOAuthClientCreate(request, env, { getUserByKey: getAccountUserByKey });
+    }
+
+    // Route: GET /connect - public page where the user generates connector creds
+    if (path === '/connect' && request.method === 'GET') {
+      return new Response(connectPage(), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'no-store'
+        }
+      });
+    }
+
+    // Route: GET /skill/bassh-deploy.md - Hosted skill markdown for Cowork install
+    if (path === '/skill/bassh-deploy.md' && request.method === 'GET') {
+      return new Response(SKILL_MARKDOWN, {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Cache-Control': 'public, max-age=300'
+        }
+      });
+    }
+
+    // Route: GET / - landing page when unauthenticated, project list when authed.
+    // The list path falls through to the auth check below; here we only intercept
+    // browser visits that have no auth headers at all.
+    if (path === '/' && request.method === 'GET'
+        && !request.headers.get('X-API-Key')
+        && !request.headers.get('X-Device-ID')
+        && !request.headers.get('X-Machine-ID')
+        && !request.headers.get('Authorization')) {
+      return new Response(landingPage(), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'text/html; charset=utf-8',
+          'Cache-Control': 'public, max-age=60'
+        }
+      });
+    }
+
+    // All other routes require authentication (device credential, machine ID or API key)
+    const user = await authenticateRequest(request, env);
+
+    if (!user) {
+      return new Response(JSON.stringify({
+        error: 'Authentication required. Register this machine with "bassh register <username>" or provide X-API-Key header.'
+      }), {
+        status: 401,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (user.denied) {
+      return new Response(JSON.stringify({ error: user.denied }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Route: /teams[/<name>[/members[/<member>]]] - Create teams and manage members
+    if (path === '/teams' || path.startsWith('/teams/')) {
+      return handleTeams(request, env, corsHeaders, user.username, path, url.origin);
+    }
+
+    // A request naming a team acts on the team's projects, as far as the
+    // caller's role allows. The handlers below take the team as namespace.
+    let username = user.username;
+    const team = requestTeam(request);
+    if (team) {
+      const denied = await checkTeamAccess(env, username, team, routeAccess(path, request.method).scope);
+      if (denied) {
+        return new Response(JSON.stringify({ error: denied.error }), {
+          status: denied.status,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      username = team;
+    }
+
+    // Route: POST /device - Issue a signed device credential for this machine
+    if (path === '/device' && request.method === 'POST') {
+      return handleDeviceEnroll(request, env, corsHeaders, username);
+    }
+
+    // Route: POST/DELETE /email - Attach or remove the account's sign-in email
+    if (path === '/email') {
+      return handleEmail(request, env, corsHeaders, username, url.origin);
+    }
+
+    // Route: /devices[/<id>] - List, name and revoke this account's devices
+    if (path === '/devices' || path.startsWith('/devices/')) {
+      return handleDevices(request, env, corsHeaders, username, path, user.deviceId);
+    }
+
+    // Route: /keys[/<id>] - Create, list, relabel and revoke scoped API keys
+    if (path === '/keys' || path.startsWith('/keys/')) {
+      return handleKeys(request, env, corsHeaders, username, path);
+    }
+
+    // Route: POST /deploy/check - Report which files an incremental deploy must upload
+    if (path === '/deploy/check' && request.method === 'POST') {
+      return handleDeployCheck(request, env, corsHeaders, username);
+    }
+
+    // Route: /upload/sessions[/<id>[/finalize]] - Chunked, resumable uploads
+    if (path === '/upload/sessions' || path.startsWith('/upload/sessions/')) {
+      return handleUploadSessions(request, env, corsHeaders, username, path);
+    }
+
+    // Route: GET /deployments - Deployment history for a project
+    if (path === '/deployments' && request.method === 'GET') {
+      return handleDeploymentsList(request, env, corsHeaders, username);
+    }
+
+    // Route: POST /deployments/rollback - Make an earlier deployment live again
+    if (path === '/deployments/rollback' && request.method === 'POST') {
+      return handleRollback(request, env, corsHeaders, username);
+    }
+
+    // Route: GET /usage - Per-project usage and account totals
+    if (path === '/usage' && request.method === 'GET') {
+      return handleUsage(env, corsHeaders, username, user.projects);
+    }
+
+    // Route: GET/DELETE /previews - List or prune preview deployments
+    if (path === '/previews' && (request.method === 'GET' || request.method === 'DELETE')) {
+      return handlePreviews(request, env, corsHeaders, username);
+    }
+
+    // Route: POST /rename - Rename the account and move its projects
+    if (path === '/rename' && request.method === 'POST') {
+      return handleRename(request, env, corsHeaders, username);
+    }
+
+    // Route: POST /uninstall - Delete account and all resources
+    if (path === '/uninstall' && request.method === 'POST') {
+      return handleUninstall(request, env, corsHeaders, username);
+    }
+
+    // Route: /forms/notify - Email notification settings for a project's forms
+    if (path === '/forms/notify') {
+      return handleFormNotify(request, env, corsHeaders, username, url.origin);
+    }
+
+    // Route: /forms/webhooks[/...] - Webhooks that receive a project's submissions
+    if (path === '/forms/webhooks' || path.startsWith('/forms/webhooks/')) {
+      return handleFormWebhooks(request, env, corsHeaders, username, path);
+    }
+
+    // Route: /forms/challenge - Spam challenge settings and spam counts
+    if (path === '/forms/challenge') {
+      return handleFormChallenge(request, env, corsHeaders, username);
+    }
+
+    // Route: /forms/schema - Fields a project's form must send
+    if (path === '/forms/schema') {
+      return handleFormSchema(request, env, corsHeaders, username);
+    }
+
+    // Route: /forms/files[/<id>] - Upload limits, and downloads of uploaded files
+    if (path === '/forms/files' || path.startsWith('/forms/files/')) {
+      return handleFormFiles(request, env, corsHeaders, username, path);
+    }
+
+    // Route: GET /forms - List form submissions
+    if (path === '/forms' && request.method === 'GET') {
+      return handleFormsList(request, env, corsHeaders, username);
+    }
+
+    // Route: DELETE /forms - Delete form submissions
+    if (path === '/forms' && request.method === 'DELETE') {
+      return handleFormsDelete(request, env, corsHeaders, username);
+    }
+
+    // Route: GET / - List user's projects
+    if (request.method === 'GET') {
+      return handleList(env, corsHeaders, username, user.projects);
+    }
+
+    // Route: DELETE / - Delete a project
+    if (request.method === 'DELETE') {
+      return handleDelete(request, env, corsHeaders, username);
+    }
+
+    // Route: POST / - Deploy a site
+    if (request.method === 'POST') {
+      return handleDeploy(request, env, corsHeaders, username);
+    }
+
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  },
+
+  // Cron triggers (see wrangler.toml): webhook retries, expired form file
+  // cleanup and sending queued digests every 5 minutes; the daily one queues
+  // the form submission digests
+  async scheduled(event, env, ctx) {
+    if (event.cron === FORM_DIGEST_CRON) {
+      ctx.waitUntil(startFormDigests(env));
+      return;
+    }
+    ctx.waitUntil(retryWebhookDeliveries(env));
+    ctx.waitUntil(pruneExpiredFormFiles(env));
+    ctx.waitUntil(sendFormDigests(env));
+  }
+};
+
+// ============================================================
+// DEPLOYMENT HANDLER
+// ============================================================
+
+async function handleDeploy(request, env, corsHeaders, username) {
+  try {
+    // Parse JSON payload (files + deploy metadata).
+    // New CLIs put sensitive params in the body; old CLIs sent them as headers.
+    // Body wins; header is a fallback so old clients keep working during rollout.
+    // Archive bodies carry no metadata, so for those the headers are all there is.
+    const archive = archiveKind(request);
+    const payload = archive ? {} : await request.json();
+    let files = payload.files;
+
+    if (archive) {
+      const unpacked = await readDeployArchive(request, archive);
+      if (unpacked.error) {
+        return new Response(JSON.stringify({ error: unpacked.error }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      files = unpacked.files;
+    }
+
+    return await deployFiles(env, corsHeaders, username, {
+      files,
+      projectName:
+        payload.projectName ||
+        request.headers.get('X-Project-Name') ||
+        `site-${Date.now().toString().slice(-6)}`,
+      password:     payload.password     ?? request.headers.get('X-Password')      ?? '',
+      emails:       payload.emails       ?? request.headers.get('X-Emails')        ?? '',
+      domain:       payload.domain       ?? request.headers.get('X-Domain')        ?? '',
+      customDomain: payload.customDomain ?? request.headers.get('X-Custom-Domain') ?? '',
+      otpEmails:    payload.otpEmails    ?? request.headers.get('X-OTP-Emails')    ?? '',
+      message:      payload.message      ?? request.headers.get('X-Deploy-Message') ?? '',
+      branch:       payload.branch       ?? request.headers.get('X-Branch')         ?? '',
+      wholeSite:    payload.wholeSite    ?? request.headers.get('X-Whole-Site') === 'true',
+      apiUrl: new URL(request.url).origin
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message,
+      stack: error.stack
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Deploy pipeline shared by POST / and upload-session finalize. Each file is
+// either {path, content} (base64) or {path, hash} for an asset Pages already
+// stores. Callers handle exceptions.
+// `assetSizes` maps hashes the caller uploaded itself (upload-session
+// finalize) to their byte sizes, for usage reporting.
+async function deployFiles(env, corsHeaders, username, options) {
+  const { files, projectName, password, emails, domain, customDomain, otpEmails, message, apiUrl } = options;
+
+  // Namespace project name with username
+  const fullProjectName = `${username}-${projectName}`;
+
+  if (!files || files.length === 0) {
+    return new Response(JSON.stringify({ error: 'No files provided' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Any branch other than the production one becomes a preview deployment
+  const branch = options.branch && options.branch !== PRODUCTION_BRANCH ? options.branch : '';
+  if (branch && !isValidBranch(branch)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid branch name. Use letters, numbers, dots, slashes, underscores and dashes.'
+    }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const wholeSite = !!options.wholeSite;
+  if (wholeSite && !password && !otpEmails) {
+    return new Response(JSON.stringify({
+      error: 'Whole-site protection needs a password or OTP emails'
+    }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (branch && customDomain) {
+    return new Response(JSON.stringify({
+      error: 'Custom domains point at production. Deploy without a branch to attach one.'
+    }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (!await ownsProject(env, username, fullProjectName)) {
+    return new Response(JSON.stringify({
+      error: `Project name '${projectName}' is taken by another account`
+    }), {
+      status: 403,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Files sent as a hash are already stored, so only content counts as uploaded
+  const uploadBytes = files.reduce((sum, f) => sum + (typeof f.content === 'string' ? base64ByteLength(f.content) : 0), 0);
+  const exceeded = await checkDeployQuota(env, username, fullProjectName, { files: files.length, bytes: uploadBytes });
+  if (exceeded) {
+    return quotaResponse(corsHeaders, exceeded);
+  }
+
+  // Ensure project exists
+  await ensureProject(env, fullProjectName, username);
+
+  // Get upload token
+  const token = await getUploadToken(env, fullProjectName);
+  if (!token.ok) {
+    return new Response(JSON.stringify({
+      error: 'Failed to get upload token',
+      details: token.details
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const uploadToken = token.jwt;
+
+  // OTP protection: generate the project's key on first use, reuse it after
+  let otpKeyData = null;
+  let otpEmailList = [];
+  if (otpEmails && !password) {
+    otpKeyData = await env.USERS.get(`otp-key:${fullProjectName}`, 'json');
+    if (!otpKeyData) {
+      otpKeyData = { key: generateEncryptionKey() };
+    }
+    // Update emails list and save key
+    otpEmailList = otpEmails.split(',').map(e => e.trim()).filter(e => e);
+    otpKeyData.emails = otpEmailList;
+    await env.USERS.put(`otp-key:${fullProjectName}`, JSON.stringify(otpKeyData));
+  }
+
+  const assetKey = wholeSite
+    ? await createAssetKey({ password, otpKey: otpKeyData?.key })
+    : null;
+
+  // Process files
+  const manifest = {};
+  const uploadPayload = [];
+  const hashes = [];
+  const reused = {}; // hash -> path, for files sent without content
+
+  for (const file of files) {
+    const path = file.path.startsWith('/') ? file.path : '/' + file.path;
+    let content = file.content;
+    let finalContent;
+    let contentType = getContentType(path);
+
+    if (assetKey && path === ASSET_WORKER_PATH) {
+      return new Response(JSON.stringify({
+        error: `${path} is reserved for whole-site protection`
+      }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Incremental deploy: the client learned from POST /deploy/check that
+    // Pages already stores this asset, so it sent only the hash.
+    if (content === undefined && file.hash !== undefined) {
+      if (!isValidAssetHash(file.hash)) {
+        return new Response(JSON.stringify({ error: `Invalid hash for ${path}` }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      // Protected files are re-encrypted on every deploy, so they can't be reused.
+      if (isEncryptedPath(path, { password, otpEmails, wholeSite })) {
+        return new Response(JSON.stringify({
+          error: `${path} must be sent with content when password or OTP protection is enabled`
+        }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      manifest[path] = file.hash;
+      hashes.push(file.hash);
+      reused[file.hash] = path;
+      continue;
+    }
+
+    // Encrypt HTML files if password or OTP emails provided.
+    // Content is base64 of UTF-8 bytes, so decode/encode as UTF-8 (atob/btoa
+    // alone would mangle non-Latin1 characters).
+    if (password && path.endsWith('.html')) {
+      const originalHTML = new TextDecoder().decode(base64ToBytes(content));
+      const encryptedData = await encryptHTML(originalHTML, password);
+      const protectedHTML = getDecryptTemplate(encryptedData, assetKey?.keyId);
+      finalContent = bytesToBase64(new TextEncoder().encode(protectedHTML));
+    } else if (otpEmails && path.endsWith('.html')) {
+      // OTP-based email protection
+      const originalHTML = new TextDecoder().decode(base64ToBytes(content));
+      const encryptedData = await encryptHTMLWithKey(originalHTML, otpKeyData.key);
+      const protectedHTML = getOTPDecryptTemplate(encryptedData, fullProjectName, apiUrl, otpEmailList, assetKey?.keyId);
+      finalContent = bytesToBase64(new TextEncoder().encode(protectedHTML));
+    } else if (assetKey && isEncryptedPath(path, { password, otpEmails, wholeSite })) {
+      // Whole-site protection: served as opaque bytes, the service worker
+      // restores the original content type
+      finalContent = bytesToBase64(await encryptAsset(base64ToBytes(content), contentType, assetKey));
+      contentType = 'application/octet-stream';
+    } else {
+      finalContent = content;
+    }
+
+    // Hash for manifest
+    const hash = await hashAsset(finalContent);
+
+    manifest[path] = hash;
+    hashes.push(hash);
+
+    uploadPayload.push({
+      key: hash,
+      value: finalContent,
+      metadata: { contentType },
+      base64: true
+    });
+  }
+
+  // The gate pages install this worker to decrypt the assets above
+  if (assetKey) {
+    const workerContent = bytesToBase64(new TextEncoder().encode(getAssetWorkerScript()));
+    const workerHash = await hashAsset(workerContent);
+    manifest[ASSET_WORKER_PATH] = workerHash;
+    hashes.push(workerHash);
+    uploadPayload.push({
+      key: workerHash,
+      value: workerContent,
+      metadata: { contentType: 'application/javascript' },
+      base64: true
+    });
+  }
+
+  // Hashes sent without content must still be stored by Pages, otherwise
+  // the deployment would serve 404s for those paths. Tell the client which
+  // ones to re-send instead.
+  const reusedHashes = Object.keys(reused);
+  if (reusedHashes.length > 0) {
+    const missingHashes = await checkMissingAssets(uploadToken, reusedHashes);
+    if (missingHashes.length > 0) {
+      return new Response(JSON.stringify({
+        error: 'Some files are no longer stored and must be uploaded with content',
+        missing: missingHashes.map(h => reused[h].replace(/^\//, ''))
+      }), {
+        status: 409,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  // Stored sizes, for usage reporting
+  const sizes = {};
+  const previousSizes = reusedHashes.length > 0 ? await recordedAssetSizes(env, fullProjectName) : {};
+  for (const hash of reusedHashes) {
+    const size = options.assetSizes?.[hash] ?? previousSizes[hash];
+    if (size !== undefined) sizes[hash] = size;
+  }
+  for (const asset of uploadPayload) {
+    sizes[asset.key] = base64ByteLength(asset.value);
+  }
+
+  // Upload files
+  const upload = await uploadAssets(uploadToken, uploadPayload);
+  if (!upload.ok) {
+    return new Response(JSON.stringify({
+      error: 'File upload failed',
+      details: upload.details
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Register hashes
+  const upsert = await upsertHashes(uploadToken, hashes);
+  if (!upsert.ok) {
+    return new Response(JSON.stringify({
+      error: 'Hash registration failed',
+      details: upsert.details
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Create deployment
+  const deployResult = await createPagesDeployment(env, fullProjectName, manifest, { message, branch });
+  if (!deployResult.ok) {
+    return new Response(JSON.stringify({
+      error: 'Deployment creation failed',
+      details: deployResult.details
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const productionUrl = `https://${fullProjectName}.pages.dev`;
+  const siteUrl = branch
+    ? deployResult.result?.aliases?.[0] || `https://${branchAlias(branch)}.${fullProjectName}.pages.dev`
+    : productionUrl;
+
+  await recordDeployment(env, fullProjectName, deployResult.result, {
+    manifest,
+    message,
+    branch,
+    protection: protectionMode({ password, otpEmails, emails, domain }),
+    sizes
+  });
+  await recordDeployCount(env, username);
+
+  // Set up Cloudflare Access if needed
+  let accessSetup = null;
+  if (emails || domain) {
+    accessSetup = await setupAccess(env, fullProjectName, emails, domain, { preview: !!branch });
+    // A production deploy is also served at <id>.<project>.pages.dev, so
+    // protect the wildcard too or that address would be open
+    if (!branch) {
+      accessSetup.previews = await setupAccess(env, fullProjectName, emails, domain, { preview: true });
+    }
+  }
+
+  // Set up custom domain if provided
+  let customDomainResult = null;
+  if (customDomain) {
+    customDomainResult = await addCustomDomain(env, fullProjectName, customDomain);
+  }
+
+  return new Response(JSON.stringify({
+    success: true,
+    url: siteUrl,
+    project: fullProjectName,
+    shortName: projectName,
+    branch: branch || null,
+    preview: !!branch,
+    productionUrl,
+    deployment: deployResult.result,
+    files: {
+      total: Object.keys(manifest).length,
+      uploaded: uploadPayload.length,
+      reused: reusedHashes.length
+    },
+    access: accessSetup,
+    customDomain: customDomainResult,
+    protection: {
+      password: password ? true : false,
+      emails: emails || null,
+      domain: domain || null,
+      otpEmails: otpEmails || null,
+      wholeSite
+    }
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+// Phase one of an incremental deploy. The client sends the path and hash of
+// every file; we ask Pages which hashes it doesn't hold yet and report those
+// paths back. The client then POSTs / with content for the missing paths and
+// just {path, hash} for the rest.
+async function handleDeployCheck(request, env, corsHeaders, username) {
+  try {
+    const payload = await request.json();
+    const files = payload.files;
+    const projectName = payload.projectName || request.headers.get('X-Project-Name');
+    const password = payload.password ?? '';
+    const otpEmails = payload.otpEmails ?? '';
+    const wholeSite = !!payload.wholeSite;
+
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return new Response(JSON.stringify({ error: 'No files provided' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    for (const file of files) {
+      if (!file || typeof file.path !== 'string' || !isValidAssetHash(file.hash)) {
+        return new Response(JSON.stringify({
+          error: 'Each file needs a path and a hash (first 32 hex chars of its SHA-256)'
+        }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    const fullProjectName = `${username}-${projectName}`;
+    const allPaths = files.map(f => f.path.replace(/^\//, ''));
+
+    if (!await ownsProject(env, username, fullProjectName)) {
+      return new Response(JSON.stringify({
+        error: `Project name '${projectName}' is taken by another account`
+      }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const token = await getUploadToken(env, fullProjectName);
+
+    // First deploy of this project: nothing is stored yet.
+    if (token.status === 404) {
+      return new Response(JSON.stringify({
+        success: true,
+        project: fullProjectName,
+        total: files.length,
+        missing: allPaths
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!token.ok) {
+      return new Response(JSON.stringify({
+        error: 'Failed to get upload token',
+        details: token.details
+      }), {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const hashes = [...new Set(files.map(f => f.hash))];
+    const missingHashes = new Set(await checkMissingAssets(token.jwt, hashes));
+
+    // Protected files are encrypted server-side, so they always need content.
+    const missing = files
+      .filter(f =>
+        missingHashes.has(f.hash) ||
+        isEncryptedPath(f.path, { password, otpEmails, wholeSite })
+      )
+      .map(f => f.path.replace(/^\//, ''));
+
+    return new Response(JSON.stringify({
+      success: true,
+      project: fullProjectName,
+      total: files.length,
+      missing
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// ============================================================
+// UPLOAD SESSIONS (chunked, resumable deploys)
+// ============================================================
+// For sites too large for one JSON body. The client opens a session with the
+// file list, PUTs raw bytes one chunk at a time, and finalizes into a normal
+// deployment. Interrupted uploads resume by asking which chunks are missing.
+// A file sent as a hash that Pages no longer stores by finalize time is
+// switched to an upload (if its size was given), so it shows up as missing
+// chunks too.
+//
+//   POST   /upload/sessions                       open  {projectName, files: [{path, size} | {path, hash, size?}], ...deploy options}
+//   GET    /upload/sessions/<id>                  status (missing chunks)
+//   PUT    /upload/sessions/<id>?path=<p>&chunk=<n>  raw chunk bytes
+//   POST   /upload/sessions/<id>/finalize         deploy
+//   DELETE /upload/sessions/<id>                  abort
+//
+// KV keys:
+//   upload-session:<id>                  {username, projectName, options, chunkSize, files, created}  TTL 24h
+//   upload-chunk:<id>:<index>:<pathHash> raw bytes (R2 bucket UPLOADS if bound, else USERS KV)       TTL 24h
+//     pathHash is the SHA-256 hex of the file path, so deep paths stay under KV's 512-byte key limit
+
+const UPLOAD_SESSION_TTL = 24 * 60 * 60;
+const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;   // stays well under KV's 25 MiB value limit
+const MAX_ASSET_BYTES = 25 * 1024 * 1024;     // Pages per-file limit
+
+async function stagedChunkKey(sessionId, index, path) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(path));
+  return `upload-chunk:${sessionId}:${index}:${bytesToHex(new Uint8Array(digest))}`;
+}
+
+async function putStagedChunk(env, key, bytes) {
+  if (env.UPLOADS) {
+    await env.UPLOADS.put(key, bytes);
+  } else {
+    await env.USERS.put(key, bytes, { expirationTtl: UPLOAD_SESSION_TTL });
+  }
+}
+
+async function getStagedChunk(env, key) {
+  if (env.UPLOADS) {
+    const obj = await env.UPLOADS.get(key);
+    return obj ? new Uint8Array(await obj.arrayBuffer()) : null;
+  }
+  const buf = await env.USERS.get(key, 'arrayBuffer');
+  return buf ? new Uint8Array(buf) : null;
+}
+
+async function listStagedChunks(env, sessionId) {
+  const prefix = `upload-chunk:${sessionId}:`;
+  const names = [];
+  let cursor;
+  do {
+    if (env.UPLOADS) {
+      const page = await env.UPLOADS.list({ prefix, cursor });
+      names.push(...page.objects.map(o => o.key));
+      cursor = page.truncated ? page.cursor : undefined;
+    } else {
+      const page = await env.USERS.list({ prefix, cursor });
+      names.push(...page.keys.map(k => k.name));
+      cursor = page.list_complete ? undefined : page.cursor;
+    }
+  } while (cursor);
+  return names;
+}
+
+async function deleteStagedChunks(env, sessionId) {
+  const names = await listStagedChunks(env, sessionId);
+  if (env.UPLOADS) {
+    for (let i = 0; i < names.length; i += 1000) {
+      await env.UPLOADS.delete(names.slice(i, i + 1000));
+    }
+  } else {
+    for (const name of names) {
+      await env.USERS.delete(name);
+    }
+  }
+}
+
+// Load a session and check it belongs to the caller.
+async function getUploadSession(env, sessionId, username) {
+  const session = await env.USERS.get(`upload-session:${sessionId}`, 'json');
+  if (!session || session.username !== username) return null;
+  return session;
+}
+
+async function handleUploadSessions(request, env, corsHeaders, username, path) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+  try {
+    const parts = path.split('/').filter(Boolean); // ['upload', 'sessions', id?, 'finalize'?]
+
+    if (parts.length === 2 && request.method === 'POST') {
+      return await createUploadSession(request, env, corsHeaders, username);
+    }
+
+    const sessionId = parts[2];
+    const session = sessionId ? await getUploadSession(env, sessionId, username) : null;
+    if (!session) {
+      return new Response(JSON.stringify({ error: 'Upload session not found or expired' }), {
+        status: 404,
+        headers: jsonHeaders
+      });
+    }
+
+    if (parts.length === 3 && request.method === 'GET') {
+      const received = new Set(await listStagedChunks(env, sessionId));
+      const missing = [];
+      for (const file of session.files) {
+        if (file.hash) continue;
+        for (let i = 0; i < file.chunks; i++) {
+          if (!received.has(await stagedChunkKey(sessionId, i, file.path))) {
+            missing.push({ path: file.path, chunk: i });
+          }
+        }
+      }
+      return new Response(JSON.stringify({
+        success: true,
+        sessionId,
+        project: `${username}-${session.projectName}`,
+        chunkSize: session.chunkSize,
+        missing
+      }), { headers: jsonHeaders });
+    }
+
+    if (parts.length === 3 && request.method === 'PUT') {
+      return await putUploadChunk(request, env, corsHeaders, sessionId, session);
+    }
+
+    if (parts.length === 3 && request.method === 'DELETE') {
+      await deleteStagedChunks(env, sessionId);
+      await env.USERS.delete(`upload-session:${sessionId}`);
+      return new Response(JSON.stringify({ success: true, message: 'Upload session aborted' }), {
+        headers: jsonHeaders
+      });
+    }
+
+    if (parts.length === 4 && parts[3] === 'finalize' && request.method === 'POST') {
+      return await finalizeUploadSession(request, env, corsHeaders, username, sessionId, session);
+    }
+
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: jsonHeaders
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
+async function createUploadSession(request, env, corsHeaders, username) {
+  const payload = await request.json();
+  const files = payload.files;
+  const projectName = payload.projectName || `site-${Date.now().toString().slice(-6)}`;
+
+  if (!Array.isArray(files) || files.length === 0) {
+    return new Response(JSON.stringify({ error: 'No files provided' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const seen = new Set();
+  const entries = [];
+  for (const file of files) {
+    const path = typeof file?.path === 'string' ? file.path.replace(/^\/+/, '') : '';
+    if (!path || seen.has(path)) {
+      return new Response(JSON.stringify({ error: `Missing or duplicate path: ${path}` }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    seen.add(path);
+
+    // Already stored by Pages (see POST /deploy/check): nothing to upload.
+    if (file.hash !== undefined) {
+      if (!isValidAssetHash(file.hash)) {
+        return new Response(JSON.stringify({ error: `Invalid hash for ${path}` }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      if (file.size !== undefined && !(Number.isInteger(file.size) && file.size >= 0 && file.size <= MAX_ASSET_BYTES)) {
+        return new Response(JSON.stringify({ error: `Invalid size for ${path}` }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      entries.push({ path, hash: file.hash, size: file.size });
+      continue;
+    }
+
+    if (!Number.isInteger(file.size) || file.size < 0 || file.size > MAX_ASSET_BYTES) {
+      return new Response(JSON.stringify({
+        error: `Invalid size for ${path}. Files must be at most ${MAX_ASSET_BYTES} bytes.`
+      }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    entries.push({
+      path,
+      size: file.size,
+      chunks: Math.max(1, Math.ceil(file.size / UPLOAD_CHUNK_BYTES))
+    });
+  }
+
+  if (!await ownsProject(env, username, `${username}-${projectName}`)) {
+    return new Response(JSON.stringify({
+      error: `Project name '${projectName}' is taken by another account`
+    }), {
+      status: 403,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Fail before any chunks are sent; finalize checks again
+  const exceeded = await checkDeployQuota(env, username, `${username}-${projectName}`, {
+    files: entries.length,
+    bytes: entries.reduce((sum, f) => sum + (f.hash ? 0 : f.size), 0)
+  });
+  if (exceeded) {
+    return quotaResponse(corsHeaders, exceeded);
+  }
+
+  const sessionId = crypto.randomUUID();
+  const session = {
+    username,
+    projectName,
+    options: {
+      password: payload.password ?? '',
+      emails: payload.emails ?? '',
+      domain: payload.domain ?? '',
+      customDomain: payload.customDomain ?? '',
+      otpEmails: payload.otpEmails ?? '',
+      message: payload.message ?? '',
+      branch: payload.branch ?? '',
+      wholeSite: !!payload.wholeSite
+    },
+    chunkSize: UPLOAD_CHUNK_BYTES,
+    files: entries,
+    created: new Date().toISOString()
+  };
+  await env.USERS.put(`upload-session:${sessionId}`, JSON.stringify(session), {
+    expirationTtl: UPLOAD_SESSION_TTL
+  });
+
+  return new Response(JSON.stringify({
+    success: true,
+    sessionId,
+    project: `${username}-${projectName}`,
+    chunkSize: UPLOAD_CHUNK_BYTES,
+    expires: new Date(Date.now() + UPLOAD_SESSION_TTL * 1000).toISOString(),
+    upload: entries.filter(f => !f.hash).map(f => ({ path: f.path, chunks: f.chunks }))
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+async function putUploadChunk(request, env, corsHeaders, sessionId, session) {
+  const url = new URL(request.url);
+  const path = (url.searchParams.get('path') || '').replace(/^\/+/, '');
+  const chunk = parseInt(url.searchParams.get('chunk') || '0');
+
+  const file = session.files.find(f => f.path === path && !f.hash);
+  if (!file) {
+    return new Response(JSON.stringify({ error: `File not part of this session: ${path}` }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+  if (!Number.isInteger(chunk) || chunk < 0 || chunk >= file.chunks) {
+    return new Response(JSON.stringify({ error: `Chunk must be between 0 and ${file.chunks - 1}` }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const bytes = new Uint8Array(await request.arrayBuffer());
+  const expected = chunk === file.chunks - 1
+    ? file.size - chunk * session.chunkSize
+    : session.chunkSize;
+  if (bytes.length !== expected) {
+    return new Response(JSON.stringify({
+      error: `Chunk ${chunk} of ${path} must be ${expected} bytes, got ${bytes.length}`
+    }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  await putStagedChunk(env, await stagedChunkKey(sessionId, chunk, path), bytes);
+
+  return new Response(JSON.stringify({ success: true, path, chunk }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+// Reassemble staged files, upload them to Pages in batches, then run the
+// normal deploy pipeline with hash references. Protected files go through
+// the pipeline with content so they get encrypted.
+async function finalizeUploadSession(request, env, corsHeaders, username, sessionId, session) {
+  const fullProjectName = `${username}-${session.projectName}`;
+
+  if (!await ownsProject(env, username, fullProjectName)) {
+    return new Response(JSON.stringify({
+      error: `Project name '${session.projectName}' is taken by another account`
+    }), {
+      status: 403,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  // deployFiles only sees hashes for the staged files, so check their size here
+  const exceeded = await checkDeployQuota(env, username, fullProjectName, {
+    files: session.files.length,
+    bytes: session.files.reduce((sum, f) => sum + (f.hash ? 0 : f.size), 0)
+  });
+  if (exceeded) {
+    return quotaResponse(corsHeaders, exceeded);
+  }
+
+  await ensureProject(env, fullProjectName, username);
+  const token = await getUploadToken(env, fullProjectName);
+  if (!token.ok) {
+    return new Response(JSON.stringify({
+      error: 'Failed to get upload token',
+      details: token.details
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const files = [];
+  const missing = [];
+  const assetSizes = {};
+  let assets = [];
+  let assetBytes = 0;
+
+  for (const file of session.files) {
+    if (file.hash) {
+      files.push({ path: file.path, hash: file.hash });
+      continue;
+    }
+
+    const data = new Uint8Array(file.size);
+    let complete = true;
+    for (let i = 0; i < file.chunks; i++) {
+      const bytes = await getStagedChunk(env, await stagedChunkKey(sessionId, i, file.path));
+      if (!bytes) {
+        missing.push({ path: file.path, chunk: i });
+        complete = false;
+        continue;
+      }
+      data.set(bytes, i * session.chunkSize);
+    }
+    if (!complete || missing.length > 0) continue;
+
+    if (isEncryptedPath(file.path, session.options)) {
+      files.push({ path: file.path, content: bytesToBase64(data) });
+      continue;
+    }
+
+    const value = bytesToBase64(data);
+    const hash = await hashBytes(data);
+    assets.push({ key: hash, value, metadata: { contentType: getContentType(file.path) }, base64: true });
+    assetBytes += value.length;
+    assetSizes[hash] = data.length;
+    files.push({ path: file.path, hash });
+
+    if (assetBytes > ASSET_BATCH_BYTES) {
+      const upload = await uploadAssets(token.jwt, assets);
+      if (!upload.ok) {
+        return new Response(JSON.stringify({ error: 'File upload failed', details: upload.details }), {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      assets = [];
+      assetBytes = 0;
+    }
+  }
+
+  if (missing.length > 0) {
+    return new Response(JSON.stringify({
+      error: 'Upload incomplete. Send the missing chunks and finalize again.',
+      missing
+    }), {
+      status: 409,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const upload = await uploadAssets(token.jwt, assets);
+  if (!upload.ok) {
+    return new Response(JSON.stringify({ error: 'File upload failed', details: upload.details }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const response = await deployFiles(env, corsHeaders, username, {
+    ...session.options,
+    files,
+    assetSizes,
+    projectName: session.projectName,
+    apiUrl: new URL(request.url).origin
+  });
+
+  if (response.ok) {
+    await deleteStagedChunks(env, sessionId);
+    await env.USERS.delete(`upload-session:${sessionId}`);
+  }
+  if (response.status === 409) {
+    return await restageDroppedFiles(env, corsHeaders, sessionId, session, response);
+  }
+  return response;
+}
+
+// deployFiles answers 409 with the `missing` paths when Pages no longer
+// stores some files the session sent as hashes. Turn every file with those
+// hashes into an upload, so status lists its chunks and the client can send
+// them and finalize again. Without a size for each, pass the 409 through.
+async function restageDroppedFiles(env, corsHeaders, sessionId, session, response) {
+  const { missing } = await response.clone().json().catch(() => ({}));
+  if (!Array.isArray(missing)) return response;
+
+  const dropped = new Set(session.files.filter(f => f.hash && missing.includes(f.path)).map(f => f.hash));
+  const restaged = session.files.filter(f => dropped.has(f.hash));
+  if (restaged.length === 0 || !restaged.every(f => Number.isInteger(f.size))) return response;
+
+  for (const file of restaged) {
+    delete file.hash;
+    file.chunks = Math.max(1, Math.ceil(file.size / session.chunkSize));
+  }
+  await env.USERS.put(`upload-session:${sessionId}`, JSON.stringify(session), {
+    expirationTtl: UPLOAD_SESSION_TTL
+  });
+
+  return new Response(JSON.stringify({
+    error: 'Some unchanged files are no longer stored. Upload them to this session and finalize again.',
+    missing: restaged.flatMap(f => Array.from({ length: f.chunks }, (_, chunk) => ({ path: f.path, chunk })))
+  }), {
+    status: 409,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+// ============================================================
+// ARCHIVE PAYLOADS (zip, tar, tar.gz)
+// ============================================================
+// POST / also takes a build directory as a plain archive body, so CI can
+// upload with curl instead of building the JSON file list. Deploy options
+// come from the X-* headers. Entries are unpacked into the same
+// {path, content} list the JSON payload carries.
+//
+//   Content-Type: application/zip
+//   Content-Type: application/x-tar                      (gzipped bodies are detected)
+//   Content-Type: application/gzip | application/x-gzip (tar.gz)
+
+const ARCHIVE_TYPES = {
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+  'application/x-tar': 'tar',
+  'application/gzip': 'tgz',
+  'application/x-gzip': 'tgz',
+  'application/x-compressed-tar': 'tgz'
+};
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;   // unpacked total; larger sites use upload sessions
+const MAX_ARCHIVE_FILES = 20000;              // Pages per-deployment limit
+
+function archiveKind(request) {
+  const type = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  return ARCHIVE_TYPES[type] || null;
+}
+
+// Unpack an archive request body. Returns { files } ready for deployFiles,
+// or { error } if the archive is malformed or over the limits.
+async function readDeployArchive(request, kind) {
+  try {
+    let bytes = new Uint8Array(await request.arrayBuffer());
+
+    if (kind === 'tgz' || (kind === 'tar' && bytes[0] === 0x1f && bytes[1] === 0x8b)) {
+      bytes = await inflateBytes(bytes, 'gzip', MAX_ARCHIVE_BYTES);
+      kind = 'tar';
+    }
+
+    const entries = kind === 'zip' ? await readZipEntries(bytes) : readTarEntries(bytes);
+    const files = [];
+
+    for (const entry of entries) {
+      const path = entry.path.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+      const segments = path.split('/');
+
+      if (segments.includes('..')) {
+        throw new Error(`Archive entry outside the site root: ${entry.path}`);
+      }
+      if (!path || segments[0] === '__MACOSX' || segments[segments.length - 1] === '.DS_Store') {
+        continue;
+      }
+      if (entry.bytes.length > MAX_ASSET_BYTES) {
+        throw new Error(`${path} is larger than the 25MB per-file limit`);
+      }
+      files.push({ path, bytes: entry.bytes });
+    }
+
+    if (files.length === 0) {
+      throw new Error('Archive contains no files');
+    }
+    if (files.length > MAX_ARCHIVE_FILES) {
+      throw new Error(`Archive has more than ${MAX_ARCHIVE_FILES} files`);
+    }
+
+    // `zip -r site.zip dist` puts everything under dist/ - deploy its contents
+    const top = files[0].path.split('/')[0];
+    if (files.every(f => f.path.startsWith(`${top}/`)) &&
+        files.some(f => f.path === `${top}/index.html`)) {
+      for (const f of files) f.path = f.path.slice(top.length + 1);
+    }
+
+    return {
+      files: files.map(f => ({ path: f.path, content: bytesToBase64(f.bytes) }))
+    };
+  } catch (error) {
+    return { error: `Invalid archive: ${error.message}` };
+  }
+}
+
+// Run bytes through a DecompressionStream, giving up past `limit` bytes
+async function inflateBytes(bytes, format, limit) {
+  const reader = new Blob([bytes]).stream()
+    .pipeThrough(new DecompressionStream(format))
+    .getReader();
+
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > limit) {
+      await reader.cancel();
+      throw new Error('unpacked size exceeds the limit');
+    }
+    chunks.push(value);
+  }
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+// Zip: walk the central directory, then read each entry via its local header.
+// Only stored and deflated entries are supported (what every zip tool writes).
+async function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // End of central directory record: 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('not a zip file');
+  }
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('zip64 archives are not supported');
+  }
+
+  const entries = [];
+  let total = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('corrupt central directory');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`${name} is encrypted`);
+    }
+
+    total += size;
+    if (total > MAX_ARCHIVE_BYTES) {
+      throw new Error('unpacked size exceeds the limit');
+    }
+
+    if (view.getUint32(localOffset, true) !== 0x04034b50) {
+      throw new Error(`corrupt entry ${name}`);
+    }
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ path: name, bytes: data });
+    } else if (method === 8) {
+      entries.push({ path: name, bytes: await inflateBytes(data, 'deflate-raw', size) });
+    } else {
+      throw new Error(`${name} uses unsupported compression method ${method}`);
+    }
+  }
+
+  return entries;
+}
+
+// Tar (ustar, with GNU long names and pax path headers). Only regular files
+// are kept; directories, links and devices are skipped.
+function readTarEntries(bytes) {
+  const decoder = new TextDecoder();
+  const field = (start, length) => {
+    const raw = bytes.subarray(start, start + length);
+    const end = raw.indexOf(0);
+    return decoder.decode(end >= 0 ? raw.subarray(0, end) : raw);
+  };
+
+  const entries = [];
+  let offset = 0;
+  let total = 0;
+  let longName = null;
+
+  while (offset + 512 <= bytes.length && bytes[offset] !== 0) {
+    let name = field(offset, 100);
+    const size = parseInt(field(offset + 124, 12).trim() || '0', 8);
+    const type = bytes[offset + 156];
+    if (field(offset + 257, 5) === 'ustar') {
+      const prefix = field(offset + 345, 155);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+
+    const dataStart = offset + 512;
+    if (Number.isNaN(size) || dataStart + size > bytes.length) {
+      throw new Error('corrupt tar header');
+    }
+    const data = bytes.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    // 'L' (GNU) and 'x' (pax) carry the real name of the next entry
+    if (type === 0x4c) {
+      longName = field(dataStart, size);
+      continue;
+    }
+    if (type === 0x78) {
+      const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(decoder.decode(data));
+      if (match) longName = match[1];
+      continue;
+    }
+    if (longName) {
+      name = longName;
+      longName = null;
+    }
+
+    // Regular files: '0', '7' (contiguous) or NUL (pre-POSIX)
+    if (type !== 0x30 && type !== 0x37 && type !== 0) continue;
+
+    total += size;
+    if (total > MAX_ARCHIVE_BYTES) {
+      throw new Error('unpacked size exceeds the limit');
+    }
+    entries.push({ path: name, bytes: data });
+  }
+
+  return entries;
+}
+
+// ============================================================
+// PROJECT OWNERSHIP
+// ============================================================
+// Pages projects are named <username>-<name>, and usernames may contain
+// dashes, so a name prefix can't tell who owns a project: "bob-x-site" is
+// either bob's "x-site" or bob-x's "site". ensureProject records the owner
+// when it creates a project, and every project-scoped handler checks that
+// record instead of the prefix.
+//
+// Projects created before the registry have no record. The first request
+// that touches one claims it for the username prefix whose account already
+// existed when the project was created, then stores the result. When more
+// than one such account exists ("bob" and "bob-x" for "bob-x-site") nothing
+// is stored and nobody gets the project until the operator assigns it with
+// PUT /admin/projects/<name>.
+//
+// KV keys:
+//   project:<fullProjectName>            {owner, created}
+//   owner:<username>:<fullProjectName>   "" (index for listing and uninstall)
+
+async function getProjectRecord(env, fullProjectName) {
+  return await env.USERS.get(`project:${fullProjectName}`, 'json');
+}
+
+async function registerProject(env, fullProjectName, owner, created = new Date().toISOString()) {
+  await env.USERS.put(`project:${fullProjectName}`, JSON.stringify({ owner, created }));
+  await env.USERS.put(`owner:${owner}:${fullProjectName}`, '');
+}
+
+async function unregisterProject(env, fullProjectName) {
+  const record = await getProjectRecord(env, fullProjectName);
+  await env.USERS.delete(`project:${fullProjectName}`);
+  if (record?.owner) {
+    await env.USERS.delete(`owner:${record.owner}:${fullProjectName}`);
+  }
+}
+
+async function listOwnedProjectNames(env, username) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `owner:${username}:`, cursor });
+    for (const key of page.keys) {
+      names.push(key.name.slice(`owner:${username}:`.length));
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return names;
+}
+
+// Accounts that could have created a project that predates the registry,
+// longest username first
+async function legacyProjectCandidates(env, fullProjectName, createdOn) {
+  const parts = fullProjectName.split('-');
+  const projectCreated = createdOn ? Date.parse(createdOn) : NaN;
+  const candidates = [];
+
+  for (let i = parts.length - 1; i > 0; i--) {
+    const candidate = parts.slice(0, i).join('-');
+    if (!isValidUsername(candidate)) continue;
+
+    const user = await getUserByUsername(env, candidate);
+    if (!user) continue;
+    if (user.created && Date.parse(user.created) > projectCreated) continue;
+
+    candidates.push(candidate);
+  }
+  return candidates;
+}
+
+// Returns { exists, owner }, plus `candidates` when a legacy project can't be
+// attributed. Pass the Pages project object when the caller already has it
+// to skip the lookup. Legacy projects are claimed here.
+async function resolveProjectOwner(env, fullProjectName, project = null) {
+  const record = await getProjectRecord(env, fullProjectName);
+  if (record) return { exists: true, owner: record.owner };
+
+  if (!project) {
+    const response = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}`,
+      { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+    );
+    if (response.status === 404) return { exists: false, owner: null };
+    if (!response.ok) {
+      throw new Error(`Failed to look up project ${fullProjectName}`);
+    }
+    project = (await response.json()).result;
+  }
+
+  const candidates = await legacyProjectCandidates(env, fullProjectName, project.created_on);
+  if (candidates.length !== 1) {
+    return { exists: true, owner: null, candidates };
+  }
+  await registerProject(env, fullProjectName, candidates[0], project.created_on);
+  return { exists: true, owner: candidates[0] };
+}
+
+// A project the user may deploy to: their own, or one nobody has created yet.
+// A rename's redirect stub counts as gone once its grace period is over.
+async function ownsProject(env, username, fullProjectName) {
+  const record = await getProjectRecord(env, fullProjectName);
+  if (record?.redirectTo && Date.parse(record.until) <= Date.now()) {
+    await deletePagesProject(env, fullProjectName);
+  }
+  const { exists, owner } = await resolveProjectOwner(env, fullProjectName);
+  return !exists || owner === username;
+}
+
+// Map a ?project= value (short or full name) to the caller's project.
+// Returns { ok, fullProjectName }.
+async function authorizeProject(env, username, projectName) {
+  const fullProjectName = projectName.startsWith(`${username}-`)
+    ? projectName
+    : `${username}-${projectName}`;
+
+  return {
+    ok: await ownsProject(env, username, fullProjectName),
+    fullProjectName
+  };
+}
+
+// Walk every page of the account's Pages projects
+async function listPagesProjects(env) {
+  const projects = [];
+  for (let page = 1; ; page++) {
+    const response = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects?page=${page}`,
+      { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+    );
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(`Failed to list projects: ${JSON.stringify(result.errors || result)}`);
+    }
+    projects.push(...(result.result || []));
+    const totalPages = result.result_info?.total_pages || 1;
+    if (page >= totalPages || !result.result?.length) break;
+  }
+  return projects;
+}
+
+// The user's projects from a Pages project list, claiming legacy ones
+async function filterOwnedProjects(env, username, projects) {
+  const owned = [];
+  for (const project of projects) {
+    if (!project.name.startsWith(`${username}-`)) continue;
+    const { owner } = await resolveProjectOwner(env, project.name, project);
+    if (owner === username) owned.push(project);
+  }
+  return owned;
+}
+
+// ============================================================
+// QUOTAS
+// ============================================================
+// Per-account limits on what a tenant can use of the operator's Cloudflare
+// account. Each limit is off until the operator sets its secret, and the
+// admin API can override any of them for one user or team (stored on the
+// user or team record as `quota`). Teams are limited like users.
+//
+//   projects        QUOTA_PROJECTS          Pages projects, rename redirect stubs included
+//   deployFiles     QUOTA_DEPLOY_FILES      files in one deploy
+//   deployMB        QUOTA_DEPLOY_MB         megabytes one deploy uploads
+//   deploysPerHour  QUOTA_DEPLOYS_PER_HOUR  deploys, previews included, per clock hour
+//   submissions     QUOTA_SUBMISSIONS       form submissions stored across all projects
+//
+// A request over a limit fails with the status and `code` in QUOTA_ERRORS,
+// plus the `quota`, its `limit` and what's `used`.
+//
+// Stored submissions are counted per project, bucketed by the day their TTL
+// ends, so the public form POST reads one small record per project instead
+// of listing FORMS. Storing a submission adds to its bucket, deleting or
+// moving a project's submissions drops or moves the record, and buckets
+// whose day has passed are left out of the count (and dropped on the next
+// write). A project without the record is counted once by listing.
+//
+// KV keys:
+//   deploy-count:<owner>:<hour>                "<count>"   (hour = hours since the epoch; 2h TTL)
+//   submission-count:<fullProjectName>         {<expiry day>: count}   (day = days since the epoch)
+
+const QUOTA_SECRETS = {
+  projects: 'QUOTA_PROJECTS',
+  deployFiles: 'QUOTA_DEPLOY_FILES',
+  deployMB: 'QUOTA_DEPLOY_MB',
+  deploysPerHour: 'QUOTA_DEPLOYS_PER_HOUR',
+  submissions: 'QUOTA_SUBMISSIONS'
+};
+
+const QUOTA_ERRORS = {
+  projects: { status: 403, code: 'project_limit' },
+  deployFiles: { status: 413, code: 'deploy_files_limit' },
+  deployMB: { status: 413, code: 'deploy_size_limit' },
+  deploysPerHour: { status: 429, code: 'deploy_rate_limit' },
+  submissions: { status: 403, code: 'submission_limit' }
+};
+
+// The owner's limits; null means unlimited
+async function getQuotas(env, owner) {
+  const record = await env.USERS.get(`user:${owner}`, 'json') || await getTeam(env, owner);
+  const quotas = {};
+  for (const [name, secret] of Object.entries(QUOTA_SECRETS)) {
+    const override = record?.quota?.[name];
+    const fallback = parseInt(env[secret], 10);
+    quotas[name] = Number.isInteger(override) ? override
+      : fallback >= 0 ? fallback : null;
+  }
+  return quotas;
+}
+
+function currentHour() {
+  return Math.floor(Date.now() / 3600000);
+}
+
+async function countDeploysThisHour(env, owner) {
+  return parseInt(await env.USERS.get(`deploy-count:${owner}:${currentHour()}`) || '0', 10);
+}
+
+async function recordDeployCount(env, owner) {
+  const key = `deploy-count:${owner}:${currentHour()}`;
+  const count = parseInt(await env.USERS.get(key) || '0', 10);
+  await env.USERS.put(key, String(count + 1), { expirationTtl: 7200 });
+}
+
+// Form submissions stored for the owner's projects. Stops counting at `limit`.
+async function countSubmissions(env, owner, limit = Infinity) {
+  let count = 0;
+  for (const project of await listOwnedProjectNames(env, owner)) {
+    count += await countProjectSubmissions(env, project);
+    if (count >= limit) return limit;
+  }
+  return count;
+}
+
+// Stored submissions for one project
+async function countProjectSubmissions(env, fullProjectName) {
+  const today = Math.floor(Date.now() / 86400000);
+  let count = 0;
+  for (const [day, n] of Object.entries(await getSubmissionCounts(env, fullProjectName))) {
+    if (Number(day) >= today) count += n;
+  }
+  return count;
+}
+
+// The project's submission-count record, built by listing FORMS the first
+// time it's needed
+async function getSubmissionCounts(env, fullProjectName) {
+  const stored = await env.USERS.get(`submission-count:${fullProjectName}`, 'json');
+  if (stored) return stored;
+
+  const counts = {};
+  let cursor;
+  do {
+    const page = await env.FORMS.list({ prefix: `${fullProjectName}:`, cursor });
+    for (const key of page.keys) {
+      if (!key.expiration) continue;
+      const day = Math.floor(key.expiration / 86400);
+      counts[day] = (counts[day] || 0) + 1;
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  await putSubmissionCounts(env, fullProjectName, counts);
+  return counts;
+}
+
+async function putSubmissionCounts(env, fullProjectName, counts) {
+  const today = Math.floor(Date.now() / 86400000);
+  const live = Object.fromEntries(Object.entries(counts).filter(([day]) => Number(day) >= today));
+  await env.USERS.put(`submission-count:${fullProjectName}`, JSON.stringify(live));
+}
+
+// Add one submission, stored until `expiration` (seconds since the epoch),
+// to the project's `counts` as read before it was stored
+async function recordSubmissionCount(env, fullProjectName, counts, expiration) {
+  const day = Math.floor(expiration / 86400);
+  counts[day] = (counts[day] || 0) + 1;
+  await putSubmissionCounts(env, fullProjectName, counts);
+}
+
+function quotaExceeded(name, limit, used, error, extra = {}) {
+  return { ...QUOTA_ERRORS[name], error, quota: name, limit, used, ...extra };
+}
+
+function quotaResponse(corsHeaders, exceeded) {
+  const { status, ...body } = exceeded;
+  const headers = { ...corsHeaders, 'Content-Type': 'application/json' };
+  if (body.retryAfter) headers['Retry-After'] = String(body.retryAfter);
+  return new Response(JSON.stringify(body), { status, headers });
+}
+
+// Check a deploy of `files` files that uploads `bytes` bytes to
+// fullProjectName against the owner's quotas. Call it after ownsProject,
+// which registers legacy projects. Returns null, or what was exceeded.
+async function checkDeployQuota(env, owner, fullProjectName, { files, bytes }) {
+  const quotas = await getQuotas(env, owner);
+
+  if (quotas.deployFiles !== null && files > quotas.deployFiles) {
+    return quotaExceeded('deployFiles', quotas.deployFiles, files,
+      `This deploy has ${files} files. ${owner} can deploy at most ${quotas.deployFiles} at a time.`);
+  }
+
+  const megabytes = Math.ceil(bytes / 1048576 * 10) / 10;
+  if (quotas.deployMB !== null && bytes > quotas.deployMB * 1048576) {
+    return quotaExceeded('deployMB', quotas.deployMB, megabytes,
+      `This deploy uploads ${megabytes} MB. ${owner} can upload at most ${quotas.deployMB} MB at a time.`);
+  }
+
+  if (quotas.deploysPerHour !== null) {
+    const used = await countDeploysThisHour(env, owner);
+    if (used >= quotas.deploysPerHour) {
+      return quotaExceeded('deploysPerHour', quotas.deploysPerHour, used,
+        `${owner} has deployed ${used} times this hour, the most allowed. Try again later.`,
+        { retryAfter: 3600 - Math.floor(Date.now() / 1000) % 3600 });
+    }
+  }
+
+  if (quotas.projects !== null && !(await getProjectRecord(env, fullProjectName))) {
+    const used = (await listOwnedProjectNames(env, owner)).length;
+    if (used >= quotas.projects) {
+      return quotaExceeded('projects', quotas.projects, used,
+        `${owner} can have at most ${quotas.projects} projects. Delete one, or deploy to an existing project.`);
+    }
+  }
+
+  return null;
+}
+
+// Check one more stored submission for fullProjectName against its owner's
+// quota. Returns null, or what was exceeded.
+async function checkSubmissionQuota(env, fullProjectName) {
+  const owner = (await getProjectRecord(env, fullProjectName))?.owner;
+  if (!owner) return null;
+
+  const { submissions } = await getQuotas(env, owner);
+  if (submissions === null) return null;
+
+  const used = await countSubmissions(env, owner, submissions);
+  if (used < submissions) return null;
+  return quotaExceeded('submissions', submissions, used,
+    'This form can\'t take more submissions until its owner clears some.', { success: false });
+}
+
+// Limits alongside current usage, for /me and the admin API
+async function quotaUsage(env, owner) {
+  const quotas = await getQuotas(env, owner);
+  return {
+    projects: { limit: quotas.projects, used: (await listOwnedProjectNames(env, owner)).length },
+    deployFiles: { limit: quotas.deployFiles },
+    deployMB: { limit: quotas.deployMB },
+    deploysPerHour: { limit: quotas.deploysPerHour, used: await countDeploysThisHour(env, owner) },
+    submissions: {
+      limit: quotas.submissions,
+      used: quotas.submissions === null ? null : await countSubmissions(env, owner, quotas.submissions)
+    }
+  };
+}
+
+// ============================================================
+// DEPLOYMENT HISTORY & ROLLBACK
+// ============================================================
+// Pages keeps every deployment, but not what bassh knows about it (file
+// count, protection mode, manifest). deployFiles records that per deployment
+// and the history endpoint joins it with the Pages deployment list.
+//
+// KV keys:
+//   deploy:<fullProjectName>:<deploymentId>   {created, message, files, bytes, branch, protection, manifest, sizes}
+//     metadata: {created, message, files, bytes, branch, protection} so listing needs no extra reads
+//     sizes maps each asset hash to its stored size; bytes is null if any was unknown
+
+// Summarize how a deploy was protected, for history and usage views.
+function protectionMode({ password, otpEmails, emails, domain }) {
+  if (password) return 'password';
+  if (otpEmails) return 'otp';
+  if (emails || domain) return 'access';
+  return 'none';
+}
+
+async function recordDeployment(env, fullProjectName, deployment, { manifest, message, branch, protection, sizes = {} }) {
+  if (!deployment?.id) return;
+  const hashes = Object.values(manifest);
+  const meta = {
+    created: deployment.created_on || new Date().toISOString(),
+    message: (message || '').slice(0, 200),
+    files: hashes.length,
+    bytes: hashes.every(h => sizes[h] !== undefined) ? hashes.reduce((sum, h) => sum + sizes[h], 0) : null,
+    branch: branch || null,
+    protection
+  };
+  await env.USERS.put(
+    `deploy:${fullProjectName}:${deployment.id}`,
+    JSON.stringify({ ...meta, manifest, sizes }),
+    { metadata: meta }
+  );
+}
+
+// Asset sizes from the project's newest recorded deploy, for files an
+// incremental deploy sends by hash only.
+async function recordedAssetSizes(env, fullProjectName) {
+  const records = await listDeploymentRecords(env, fullProjectName);
+  const newest = Object.keys(records)
+    .sort((a, b) => (records[b].created || '').localeCompare(records[a].created || ''))[0];
+  if (!newest) return {};
+  const record = await env.USERS.get(`deploy:${fullProjectName}:${newest}`, 'json');
+  return record?.sizes || {};
+}
+
+async function listDeploymentRecords(env, fullProjectName) {
+  const records = {};
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `deploy:${fullProjectName}:`, cursor });
+    for (const key of page.keys) {
+      records[key.name.slice(`deploy:${fullProjectName}:`.length)] = key.metadata || {};
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return records;
+}
+
+async function deleteDeploymentRecords(env, fullProjectName) {
+  const records = await listDeploymentRecords(env, fullProjectName);
+  for (const id of Object.keys(records)) {
+    await env.USERS.delete(`deploy:${fullProjectName}:${id}`);
+  }
+}
+
+// GET /deployments?project=<name> - newest first
+async function handleDeploymentsList(request, env, corsHeaders, username) {
+  try {
+    const url = new URL(request.url);
+    const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
+    const page = parseInt(url.searchParams.get('page') || '1');
+    const environment = url.searchParams.get('environment') || '';
+
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Resolve the full project name and verify ownership
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only view your own deployments' }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    const fullProjectName = access.fullProjectName;
+
+    const [projectResponse, deploymentsResponse] = await Promise.all([
+      fetch(
+        `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}`,
+        { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+      ),
+      fetch(
+        `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}/deployments?page=${page}${environment ? `&env=${encodeURIComponent(environment)}` : ''}`,
+        { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+      )
+    ]);
+
+    if (projectResponse.status === 404) {
+      return new Response(JSON.stringify({ error: `Project '${fullProjectName}' not found` }), {
+        status: 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const projectResult = await projectResponse.json();
+    const deploymentsResult = await deploymentsResponse.json();
+
+    if (!deploymentsResponse.ok) {
+      return new Response(JSON.stringify({
+        error: 'Failed to list deployments',
+        details: deploymentsResult
+      }), {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const currentId = projectResult.result?.canonical_deployment?.id;
+    const records = await listDeploymentRecords(env, fullProjectName);
+
+    const deployments = (deploymentsResult.result || []).map(d => {
+      const record = records[d.id] || {};
+      return {
+        id: d.id,
+        shortId: d.short_id,
+        created: d.created_on,
+        url: d.url,
+        environment: d.environment,
+        branch: d.deployment_trigger?.metadata?.branch || record.branch || null,
+        current: d.id === currentId,
+        files: record.files ?? null,
+        bytes: record.bytes ?? null,
+        message: record.message || d.deployment_trigger?.metadata?.commit_message || '',
+        protection: record.protection || null
+      };
+    });
+
+    return new Response(JSON.stringify({
+      success: true,
+      project: fullProjectName,
+      page,
+      deployments
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Failed to list deployments',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// POST /deployments/rollback - body {project, deploymentId}
+// Makes an earlier deployment live again. Access policies and custom domains
+// are project-level and stay as they are.
+async function handleRollback(request, env, corsHeaders, username) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const projectName = body.project || '';
+    const deploymentId = body.deploymentId || '';
+
+    if (!projectName || !deploymentId) {
+      return new Response(JSON.stringify({ error: 'project and deploymentId are required' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Resolve the full project name and verify ownership
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only roll back your own projects' }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    const fullProjectName = access.fullProjectName;
+
+    const rollbackResponse = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}/deployments/${encodeURIComponent(deploymentId)}/rollback`,
+      {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+      }
+    );
+
+    const rollbackResult = await rollbackResponse.json();
+
+    if (!rollbackResponse.ok) {
+      return new Response(JSON.stringify({
+        error: 'Rollback failed',
+        details: rollbackResult
+      }), {
+        status: rollbackResponse.status === 404 ? 404 : 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      project: fullProjectName,
+      url: `https://${fullProjectName}.pages.dev`,
+      rolledBackTo: deploymentId,
+      deployment: rollbackResult.result
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// ============================================================
+// USAGE SUMMARY
+// ============================================================
+// GET /usage describes every project an account (or team) owns, with totals
+// against its quotas, so `bassh usage`, the MCP usage tool and any dashboard
+// render from one place. Nothing new is stored: deploy counts, sizes and
+// protection come from the deployment records above, submission counts from
+// FORMS. Deploys made outside bassh aren't counted, and a live deployment
+// recorded before sizes were reports bytes: null.
+
+async function projectUsage(env, owner, project) {
+  const records = await listDeploymentRecords(env, project.name);
+  const entries = Object.values(records);
+  const production = Object.keys(records)
+    .filter(id => !records[id].branch)
+    .sort((a, b) => (records[b].created || '').localeCompare(records[a].created || ''));
+  const live = records[project.canonical_deployment?.id || production[0]] || null;
+  const lastDeploy = entries.map(r => r.created).filter(Boolean).sort().pop()
+    || project.latest_deployment?.created_on || null;
+
+  return {
+    name: project.name,
+    shortName: project.name.replace(`${owner}-`, ''),
+    created: project.created_on,
+    customDomains: (project.domains || []).filter(d => !d.endsWith('.pages.dev')),
+    deployments: entries.length,
+    lastDeploy,
+    protection: live?.protection || null,
+    bytes: live?.bytes ?? null,
+    submissions: await countProjectSubmissions(env, project.name),
+    spam: (await formSpamCounts(env, project.name)).total
+  };
+}
+
+// Like handleList, a key limited to some projects only sees those.
+async function handleUsage(env, corsHeaders, username, keyProjects = null) {
+  try {
+    let pagesProjects;
+    try {
+      pagesProjects = await listPagesProjects(env);
+    } catch (e) {
+      return new Response(JSON.stringify({
+        error: 'Failed to list projects',
+        details: e.message
+      }), {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const owned = await filterOwnedProjects(env, username, pagesProjects);
+    const projects = [];
+    for (const project of owned) {
+      if (keyProjects?.length && !keyProjects.includes(project.name)) continue;
+      projects.push(await projectUsage(env, username, project));
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      username,
+      projects,
+      totals: {
+        projects: projects.length,
+        deployments: projects.reduce((sum, p) => sum + p.deployments, 0),
+        bytes: projects.reduce((sum, p) => sum + (p.bytes || 0), 0),
+        submissions: projects.reduce((sum, p) => sum + p.submissions, 0),
+        spam: projects.reduce((sum, p) => sum + p.spam, 0)
+      },
+      quotas: await quotaUsage(env, username)
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// ============================================================
+// PREVIEW DEPLOYMENTS
+// ============================================================
+// A deploy with a `branch` other than the production branch becomes a Pages
+// preview deployment. Pages keeps the latest one per branch reachable at
+// https://<alias>.<project>.pages.dev, so PR workflows can reuse one project
+// instead of creating a throwaway project per PR.
+
+const PRODUCTION_BRANCH = 'main';
+
+function isValidBranch(branch) {
+  return typeof branch === 'string' &&
+    branch.length <= 100 &&
+    /^[A-Za-z0-9._\/-]+$/.test(branch) &&
+    branchAlias(branch).length > 0;
+}
+
+// Same slugging Pages applies to branch names for alias subdomains
+function branchAlias(branch) {
+  return branch
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .slice(0, 28)
+    .replace(/^-+|-+$/g, '');
+}
+
+// Walk every page of a project's deployments for one environment
+async function listPagesDeployments(env, fullProjectName, environment) {
+  const deployments = [];
+  for (let page = 1; page <= 20; page++) {
+    const response = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}/deployments?env=${environment}&page=${page}&per_page=25`,
+      { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+    );
+    if (response.status === 404) return null;
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(`Failed to list deployments: ${JSON.stringify(result.errors || result)}`);
+    }
+    deployments.push(...(result.result || []));
+    const totalPages = result.result_info?.total_pages || 1;
+    if (page >= totalPages || !result.result?.length) break;
+  }
+  return deployments;
+}
+
+function previewBranch(deployment) {
+  return deployment.deployment_trigger?.metadata?.branch || '';
+}
+
+// GET /previews?project=<name> - one entry per preview branch
+// DELETE /previews?project=<name>[&branch=<b>][&olderThan=<days>] - prune;
+// with neither filter it takes &all=true, so a dropped parameter can't wipe
+// every preview
+async function handlePreviews(request, env, corsHeaders, username) {
+  try {
+    const url = new URL(request.url);
+    const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
+
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Resolve the full project name and verify ownership
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only manage your own previews' }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    const fullProjectName = access.fullProjectName;
+
+    const branch = url.searchParams.get('branch') || '';
+    const olderThan = parseInt(url.searchParams.get('olderThan') || '0');
+    if (request.method === 'DELETE' && !branch && !(olderThan > 0) && url.searchParams.get('all') !== 'true') {
+      return new Response(JSON.stringify({
+        error: 'Give a branch or olderThan, or all=true to delete every preview'
+      }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    const deployments = await listPagesDeployments(env, fullProjectName, 'preview');
+    if (!deployments) {
+      return new Response(JSON.stringify({ error: `Project '${fullProjectName}' not found` }), {
+        status: 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (request.method === 'GET') {
+      // Deployments come back newest first, so the first one seen per branch
+      // is the one its alias serves.
+      const branches = new Map();
+      for (const d of deployments) {
+        const branch = previewBranch(d);
+        if (!branches.has(branch)) {
+          branches.set(branch, {
+            branch,
+            url: d.aliases?.[0] || `https://${branchAlias(branch)}.${fullProjectName}.pages.dev`,
+            latest: { id: d.id, created: d.created_on, url: d.url },
+            deployments: 0
+          });
+        }
+        branches.get(branch).deployments++;
+      }
+
+      return new Response(JSON.stringify({
+        success: true,
+        project: fullProjectName,
+        previews: [...branches.values()]
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // DELETE: prune matching preview deployments
+    const cutoff = olderThan > 0 ? Date.now() - olderThan * 24 * 60 * 60 * 1000 : null;
+
+    const targets = deployments.filter(d =>
+      (!branch || previewBranch(d) === branch) &&
+      (!cutoff || new Date(d.created_on).getTime() < cutoff)
+    );
+
+    const deleted = [];
+    const errors = [];
+    for (const d of targets) {
+      // force=true is required to delete a deployment that still holds an alias
+      const deleteResponse = await fetch(
+        `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}/deployments/${d.id}?force=true`,
+        {
+          method: 'DELETE',
+          headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+        }
+      );
+
+      if (deleteResponse.ok) {
+        deleted.push(d.id);
+        await env.USERS.delete(`deploy:${fullProjectName}:${d.id}`);
+      } else {
+        errors.push({ id: d.id, error: await deleteResponse.json().catch(() => null) });
+      }
+    }
+
+    return new Response(JSON.stringify({
+      success: errors.length === 0,
+      project: fullProjectName,
+      deleted,
+      deletedCount: deleted.length,
+      errors: errors.length > 0 ? errors : undefined
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// ============================================================
+// ACCOUNT RENAME
+// ============================================================
+// The username is baked into every project name (<username>-<name>) and a
+// good many KV keys, so POST /rename {username, redirects, graceDays} moves
+// all of them:
+//
+//   1. Each project is recreated as <new>-<name> by redeploying the manifest
+//      of its live deployment. Assets Pages doesn't hold for the new project
+//      are copied from the old site and checked against their hashes, for
+//      every project before any of them moves. Form submissions, the OTP
+//      key, the Access app and custom domains follow.
+//   2. The old project is deleted or, with `redirects`, replaced by a stub
+//      that 301s every path to the new address until the grace period ends.
+//   3. The user record, API keys, devices, email, team memberships, OAuth
+//      clients and MCP tokens move to the new name.
+//
+// For the grace period (graceDays, default 30) the old username can't be
+// registered, and form posts and OTP gates that still name an old project
+// reach the new one (resolveMovedProject). Expired stubs are deleted the next
+// time their owner lists projects, or when someone deploys over the name.
+//
+// Every project is checked and its files copied before anything changes; a
+// site whose files can't be read (an Access-protected one, say) stops the
+// rename there, and the new projects it made are deleted again. The new
+// username is held from then on, and projects move before the account does,
+// so a rename that stops part way (say, on the Worker subrequest limit with
+// a very large site) leaves the account on its old name and can be run
+// again. Preview deployments and history stay behind.
+//
+// KV keys:
+//   rename-hold:<newUsername>      {from}                               (TTL: RENAME_HOLD_TTL)
+//   renamed:<oldUsername>          {to, at}                             (TTL: grace period)
+//   moved:<oldFullProjectName>     {to}                                 (TTL: grace period)
+//   project:<oldFullProjectName>   {owner, created, redirectTo, until}  for a redirect stub
+
+const RENAME_GRACE_DAYS = 30;
+const MAX_RENAME_GRACE_DAYS = 90;
+const RENAME_HOLD_TTL = 86400; // long enough to run a stopped rename again
+
+// Held by a rename in progress (unless `holder` is the one renaming), by a
+// rename's grace period, or in use as a team name
+async function isUsernameReserved(env, username, holder = null) {
+  const hold = await env.USERS.get(`rename-hold:${username}`, 'json');
+  if (hold && hold.from !== holder) return true;
+  return Boolean(await env.USERS.get(`renamed:${username}`) || await getTeam(env, username));
+}
+
+// The project a form post or OTP gate naming `fullProjectName` is for now
+async function resolveMovedProject(env, fullProjectName) {
+  const moved = await env.USERS.get(`moved:${fullProjectName}`, 'json');
+  return moved?.to || fullProjectName;
+}
+
+// What a project's live production deployment serves, from the record
+// deployFiles kept. Returns { manifest, protection, sizes, domains } or { error }.
+async function liveDeployment(env, fullProjectName) {
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}`,
+    { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+  );
+  if (!response.ok) {
+    return { error: `Couldn't look up ${fullProjectName}` };
+  }
+  const project = (await response.json()).result;
+  const deploymentId = project.canonical_deployment?.id;
+  const record = deploymentId
+    ? await env.USERS.get(`deploy:${fullProjectName}:${deploymentId}`, 'json')
+    : null;
+  if (!record?.manifest) {
+    return { error: `${fullProjectName} has no deployment whose files bassh recorded. Redeploy it, then rename again.` };
+  }
+  return {
+    manifest: record.manifest,
+    protection: record.protection,
+    sizes: record.sizes,
+    domains: (project.domains || []).filter(d => !d.endsWith('.pages.dev'))
+  };
+}
+
+// Make sure the new project's uploads hold every asset in `manifest`,
+// fetching any it lacks from the old site. Pages serves the bytes it stored,
+// so a copy with the right hash is the same asset; anything else (an Access
+// login page, a 404) fails.
+async function copyProjectAssets(uploadToken, manifest, fromName) {
+  const paths = {};
+  for (const [path, hash] of Object.entries(manifest)) {
+    paths[hash] ??= path;
+  }
+  const hashes = Object.keys(paths);
+
+  const assets = [];
+  for (const hash of await checkMissingAssets(uploadToken, hashes)) {
+    const path = paths[hash];
+    const response = await fetch(`https://${fromName}.pages.dev${path}`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (!response.ok || await hashBytes(bytes) !== hash) {
+      return { ok: false, error: `Couldn't copy ${path} from https://${fromName}.pages.dev` };
+    }
+    assets.push({
+      key: hash,
+      value: bytesToBase64(bytes),
+      metadata: { contentType: response.headers.get('Content-Type') || getContentType(path) },
+      base64: true
+    });
+  }
+
+  const upload = await uploadAssets(uploadToken, assets);
+  if (!upload.ok) {
+    return { ok: false, error: 'File upload failed', details: upload.details };
+  }
+  const upsert = await upsertHashes(uploadToken, hashes);
+  if (!upsert.ok) {
+    return { ok: false, error: 'Hash registration failed', details: upsert.details };
+  }
+  return { ok: true, copied: assets.length };
+}
+
+// Put options that keep a listed key's expiration on its copy. KV refuses an
+// expiration less than 60 seconds ahead, so one about to lapse gets a minute.
+function copiedExpiration(key) {
+  return key.expiration ? { expiration: Math.max(key.expiration, Math.floor(Date.now() / 1000) + 60) } : {};
+}
+
+async function moveFormSubmissions(env, fromName, toName) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.FORMS.list({ prefix: `${fromName}:`, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  for (const key of keys) {
+    const value = await env.FORMS.get(key.name);
+    if (value !== null) {
+      await env.FORMS.put(
+        `${toName}:${key.name.slice(fromName.length + 1)}`,
+        value,
+        copiedExpiration(key)
+      );
+    }
+    await env.FORMS.delete(key.name);
+  }
+
+  const counts = await env.USERS.get(`submission-count:${fromName}`);
+  if (counts !== null) {
+    await env.USERS.put(`submission-count:${toName}`, counts);
+    await env.USERS.delete(`submission-count:${fromName}`);
+  }
+}
+
+// Point the project's Access app at the new domain. Its previews app stays
+// with the old project, which may keep preview deployments until deleted.
+async function moveAccessApp(env, fromName, toName) {
+  const listResponse = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
+    { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+  );
+  const app = (await listResponse.json()).result?.find(a => a.name === fromName);
+  if (!app) return null;
+
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${app.id}`,
+    {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        name: toName,
+        domain: `${toName}.pages.dev`,
+        type: app.type || 'self_hosted',
+        session_duration: app.session_duration || '24h',
+        auto_redirect_to_identity: Boolean(app.auto_redirect_to_identity)
+      })
+    }
+  );
+  return response.ok ? { status: 'moved', appId: app.id } : { status: 'failed', error: await response.json() };
+}
+
+// Delete a Pages project's Access apps (production and previews)
+async function deleteProjectAccessApps(env, fullProjectName) {
+  const listResponse = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
+    { headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` } }
+  );
+  const names = [fullProjectName, `${fullProjectName}-previews`];
+  for (const app of (await listResponse.json()).result || []) {
+    if (!names.includes(app.name)) continue;
+    await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${app.id}`,
+      {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+      }
+    );
+  }
+}
+
+// A custom domain can only be on one project, so detach it from the old one
+// first. Its CNAME has to be pointed at the new pages.dev name.
+async function moveCustomDomains(env, fromName, toName, domains) {
+  const results = [];
+  for (const domain of domains) {
+    await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fromName}/domains/${domain}`,
+      {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+      }
+    );
+    results.push(await addCustomDomain(env, toName, domain));
+  }
+  return results;
+}
+
+// Replace the old project's site with one that redirects every path
+async function deployRedirectStub(env, fromName, toName) {
+  const target = `https://${toName}.pages.dev`;
+  const html = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="0; url=${target}/">
+<title>Moved</title>
+</head>
+<body>
+<p>This site has moved to <a href="${target}/">${target}</a>.</p>
+</body>
+</html>
+`;
+  const content = bytesToBase64(new TextEncoder().encode(html));
+  const hash = await hashAsset(content);
+
+  const token = await getUploadToken(env, fromName);
+  if (!token.ok) return { ok: false, details: token.details };
+  const upload = await uploadAssets(token.jwt, [{ key: hash, value: content, metadata: { contentType: 'text/html' }, base64: true }]);
+  if (!upload.ok) return upload;
+  const upsert = await upsertHashes(token.jwt, [hash]);
+  if (!upsert.ok) return upsert;
+
+  return createPagesDeployment(env, fromName, { '/index.html': hash }, {
+    message: `Moved to ${target}`,
+    redirects: `/* ${target}/:splat 301\n`
+  });
+}
+
+async function deletePagesProject(env, fullProjectName) {
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}`,
+    {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+    }
+  );
+  if (!response.ok) return { ok: false, details: await response.json().catch(() => ({})) };
+
+  await deleteProjectAccessApps(env, fullProjectName);
+  await deleteProjectData(env, fullProjectName);
+  await unregisterProject(env, fullProjectName);
+  return { ok: true };
+}
+
+// Delete the user's redirect stubs whose grace period is over, or all of
+// them with `all`. Returns the names deleted.
+async function pruneRedirectStubs(env, username, { all = false } = {}) {
+  const deleted = [];
+  for (const name of await listOwnedProjectNames(env, username)) {
+    if (name.startsWith(`${username}-`)) continue;
+    const record = await getProjectRecord(env, name);
+    if (!record?.redirectTo) continue;
+    if (!all && Date.parse(record.until) > Date.now()) continue;
+    if ((await deletePagesProject(env, name)).ok) deleted.push(name);
+  }
+  return deleted;
+}
+
+// Recreate one project under its new name and retire the old one.
+// Returns { ok, ... } or { ok: false, error, details }.
+// Create the new project and give it every asset of the old one's live
+// deployment, leaving the old project as it is. Returns { ok, created,
+// copied }, or { ok: false, created, error }.
+async function prepareProjectMove(env, owner, { from: fromName, to: toName, live }) {
+  const { exists, owner: currentOwner } = await resolveProjectOwner(env, toName);
+  if (exists && currentOwner !== owner) {
+    return { ok: false, created: false, error: `${toName} belongs to another account` };
+  }
+  const created = await ensureProject(env, toName, owner);
+
+  const token = await getUploadToken(env, toName);
+  if (!token.ok) {
+    return { ok: false, created, error: 'Failed to get upload token', details: token.details };
+  }
+  const copy = await copyProjectAssets(token.jwt, live.manifest, fromName);
+  return { ...copy, created };
+}
+
+// Deploy the prepared project and move everything else over from the old one
+async function migrateProject(env, { from: fromName, to: toName, live, copied }, { redirects, graceUntil }) {
+  const message = `Renamed from ${fromName}`;
+  const deployment = await createPagesDeployment(env, toName, live.manifest, { message });
+  if (!deployment.ok) {
+    return { ok: false, error: 'Deployment creation failed', details: deployment.details };
+  }
+  await recordDeployment(env, toName, deployment.result, {
+    manifest: live.manifest,
+    message,
+    branch: null,
+    protection: live.protection,
+    sizes: live.sizes
+  });
+
+  const otpKey = await env.USERS.get(`otp-key:${fromName}`);
+  if (otpKey) {
+    await env.USERS.put(`otp-key:${toName}`, otpKey);
+    await env.USERS.delete(`otp-key:${fromName}`);
+  }
+  await moveFormSubmissions(env, fromName, toName);
+  await moveFormNotify(env, fromName, toName);
+  await moveFormWebhooks(env, fromName, toName);
+  await moveFormFiles(env, fromName, toName);
+  await moveFormSchema(env, fromName, toName);
+  await moveFormChallenge(env, fromName, toName);
+  const access = await moveAccessApp(env, fromName, toName);
+  const customDomains = await moveCustomDomains(env, fromName, toName, live.domains);
+  await env.USERS.put(`moved:${fromName}`, JSON.stringify({ to: toName }), {
+    expiration: Math.floor(Date.parse(graceUntil) / 1000)
+  });
+
+  let redirect = null;
+  if (redirects) {
+    const stub = await deployRedirectStub(env, fromName, toName);
+    if (stub.ok) {
+      await deleteDeploymentRecords(env, fromName);
+      const record = await getProjectRecord(env, fromName);
+      await env.USERS.put(`project:${fromName}`, JSON.stringify({ ...record, redirectTo: toName, until: graceUntil }));
+      redirect = { url: `https://${fromName}.pages.dev`, until: graceUntil };
+    } else {
+      redirect = { error: 'Redirect deploy failed; the old project was deleted instead', details: stub.details };
+    }
+  }
+  if (!redirect?.url) {
+    await deletePagesProject(env, fromName);
+  }
+
+  return {
+    ok: true,
+    from: fromName,
+    to: toName,
+    url: `https://${toName}.pages.dev`,
+    copied,
+    redirect,
+    access,
+    customDomains: customDomains.length ? customDomains : undefined
+  };
+}
+
+// Move every record keyed by or pointing at the username
+async function moveAccountRecords(env, from, to, graceUntil) {
+  const userData = await getUserByUsername(env, from);
+  const renameProjects = (projects) => projects && projects.map(p =>
+    p.startsWith(`${from}-`) ? `${to}-${p.slice(from.length + 1)}` : p
+  );
+
+  await env.USERS.put(`user:${to}`, JSON.stringify({ ...userData, renamedFrom: from }));
+
+  if (userData.keyHash) {
+    const record = await env.USERS.get(`keyhash:${userData.keyHash}`, 'json');
+    if (record) await putApiKeyRecord(env, userData.keyHash, { ...record, username: to });
+  }
+
+  for (const { id, ...meta } of await listScopedKeys(env, from)) {
+    const value = await env.USERS.get(`user-key:${from}:${id}`);
+    if (value) {
+      const recordName = scopedKeyRecordName(value);
+      const record = await env.USERS.get(recordName, 'json');
+      const moved = { ...meta, ...record, username: to, projects: renameProjects(record ? record.projects : meta.projects) };
+      if (record) {
+        if (value.startsWith('sk_')) {
+          await env.USERS.put(recordName, JSON.stringify(moved));
+        } else {
+          await putApiKeyRecord(env, value, moved);
+        }
+      }
+      await putScopedKeyIndex(env, to, id, value, moved);
+    }
+    await env.USERS.delete(`user-key:${from}:${id}`);
+  }
+
+  const machineIds = new Set(userData.machineId ? [userData.machineId] : []);
+  for (const deviceId of await listDeviceIds(env, from)) {
+    const device = await env.USERS.get(`device:${deviceId}`, 'json');
+    if (device) {
+      await env.USERS.put(`device:${deviceId}`, JSON.stringify({ ...device, username: to }));
+      if (device.machineId) machineIds.add(device.machineId);
+    }
+    await env.USERS.put(`user-device:${to}:${deviceId}`, '');
+    await env.USERS.delete(`user-device:${from}:${deviceId}`);
+  }
+  for (const machineId of machineIds) {
+    const machine = await getUserByMachineId(env, machineId);
+    if (machine?.username === from) {
+      await env.USERS.put(`machine:${machineId}`, JSON.stringify({ ...machine, username: to }));
+    }
+  }
+
+  for (const name of await listOwnedProjectNames(env, from)) {
+    const record = await getProjectRecord(env, name);
+    if (record) await env.USERS.put(`project:${name}`, JSON.stringify({ ...record, owner: to }));
+    await env.USERS.put(`owner:${to}:${name}`, '');
+    await env.USERS.delete(`owner:${from}:${name}`);
+  }
+
+  if (userData.email) {
+    await env.USERS.put(`email:${userData.email}`, JSON.stringify({ username: to }));
+  }
+
+  for (const { name, role } of await listUserTeams(env, from)) {
+    const member = await env.USERS.get(`team-member:${name}:${from}`, 'json');
+    if (member) {
+      await env.USERS.put(`team-member:${name}:${to}`, JSON.stringify(member), {
+        metadata: { role: member.role, added: member.added }
+      });
+    }
+    await env.USERS.put(`user-team:${to}:${name}`, '', { metadata: { role } });
+    await removeTeamMember(env, name, from);
+  }
+
+  // OAuth clients and MCP tokens aren't indexed by user, so scan them
+  for (const prefix of ['oauth-client:', 'mcp-token:']) {
+    let cursor;
+    do {
+      const page = await env.USERS.list({ prefix, cursor });
+      for (const key of page.keys) {
+        const record = await env.USERS.get(key.name, 'json');
+        if (record?.username !== from) continue;
+        await env.USERS.put(key.name, JSON.stringify({ ...record, username: to }), copiedExpiration(key));
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  }
+
+  await env.USERS.put(`renamed:${from}`, JSON.stringify({ to, at: new Date().toISOString() }), {
+    expiration: Math.floor(Date.parse(graceUntil) / 1000)
+  });
+  await env.USERS.delete(`user:${from}`);
+}
+
+// POST /rename {username, redirects, graceDays}. The operator can rename
+// anyone with POST /admin/users/<name>/rename and the same body.
+async function handleRename(request, env, corsHeaders, username) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const body = await request.json().catch(() => ({}));
+    const newUsername = String(body.username || '').toLowerCase().trim();
+    const graceDays = body.graceDays == null ? RENAME_GRACE_DAYS : Number(body.graceDays);
+
+    if (newUsername === username) {
+      return new Response(JSON.stringify({ error: `The account is already called ${username}` }), {
+        status: 400,
+        headers: jsonHeaders
+      });
+    }
+    const problem = await usernameProblem(env, newUsername, username);
+    if (problem) {
+      return new Response(JSON.stringify({ error: problem }), {
+        status: isValidUsername(newUsername) ? 409 : 400,
+        headers: jsonHeaders
+      });
+    }
+    if (!(Number.isInteger(graceDays) && graceDays >= 1 && graceDays <= MAX_RENAME_GRACE_DAYS)) {
+      return new Response(JSON.stringify({
+        error: `graceDays must be a whole number from 1 to ${MAX_RENAME_GRACE_DAYS}`
+      }), { status: 400, headers: jsonHeaders });
+    }
+    const graceUntil = new Date(Date.now() + graceDays * 86400000).toISOString();
+
+    let pagesProjects;
+    try {
+      pagesProjects = await listPagesProjects(env);
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), {
+        status: 500,
+        headers: jsonHeaders
+      });
+    }
+
+    // Check every project can move before touching any of them. Redirect
+    // stubs left by an earlier rename stay as they are.
+    const plans = [];
+    const blocked = [];
+    for (const project of await filterOwnedProjects(env, username, pagesProjects)) {
+      if ((await getProjectRecord(env, project.name))?.redirectTo) continue;
+      const live = await liveDeployment(env, project.name);
+      if (live.error) {
+        blocked.push(live.error);
+      } else {
+        plans.push({ from: project.name, to: `${newUsername}-${project.name.slice(username.length + 1)}`, live });
+      }
+    }
+    if (blocked.length > 0) {
+      return new Response(JSON.stringify({ error: 'Some projects can\'t be moved yet', projects: blocked }), {
+        status: 409,
+        headers: jsonHeaders
+      });
+    }
+
+    // Hold the new name so nobody registers it while the projects move
+    await env.USERS.put(`rename-hold:${newUsername}`, JSON.stringify({ from: username }), {
+      expirationTtl: RENAME_HOLD_TTL
+    });
+
+    // Copy every project's files while the old sites still serve them. If one
+    // can't be copied, nothing has moved: undo the new projects and stop.
+    const created = [];
+    for (const plan of plans) {
+      const prepared = await prepareProjectMove(env, username, plan);
+      if (prepared.created) created.push(plan.to);
+      if (!prepared.ok) {
+        for (const name of created) await deletePagesProject(env, name);
+        await env.USERS.delete(`rename-hold:${newUsername}`);
+        return new Response(JSON.stringify({
+          error: `Can't move ${plan.from}: ${prepared.error}. Nothing was renamed.`,
+          details: prepared.details
+        }), { status: 502, headers: jsonHeaders });
+      }
+      plan.copied = prepared.copied;
+    }
+
+    const projects = [];
+    for (const plan of plans) {
+      const result = await migrateProject(env, plan, {
+        redirects: Boolean(body.redirects),
+        graceUntil
+      });
+      if (!result.ok) {
+        return new Response(JSON.stringify({
+          error: `Rename stopped at ${plan.from}: ${result.error}. Run it again to continue.`,
+          details: result.details,
+          projects
+        }), { status: 502, headers: jsonHeaders });
+      }
+      const { ok, ...summary } = result;
+      projects.push(summary);
+    }
+
+    // Someone could have registered the name just before the hold was written
+    if (await usernameProblem(env, newUsername, username)) {
+      return new Response(JSON.stringify({
+        error: `${newUsername} was taken while the projects moved. Rename again with another name.`,
+        projects
+      }), { status: 409, headers: jsonHeaders });
+    }
+    await moveAccountRecords(env, username, newUsername, graceUntil);
+    await env.USERS.delete(`rename-hold:${newUsername}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      username: newUsername,
+      previousUsername: username,
+      graceUntil,
+      projects
+    }), { headers: jsonHeaders });
+
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Internal error during rename', message: error.message }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
+// ============================================================
+// TEAMS
+// ============================================================
+// A team is a namespace that several accounts share. Team names come from
+// the same pool as usernames, so a team's projects are <team>-<name> like
+// anyone else's and the ownership registry records the team as owner.
+//
+// Members have one of three roles:
+//   viewer    list projects, deployments and previews; read form submissions
+//   deployer  also deploy, roll back and delete form submissions
+//   owner     also delete projects and previews, and manage the team
+//
+// A request acts for a team when it names one with ?team= (or X-Team). Once
+// the member's role allows the route's scope (routeAccess), handlers get the
+// team name where they'd otherwise get the username. Account routes never
+// act for a team.
+//
+// Owners add members by username or by email. An address already on an
+// account joins at once; any other waits as an invite until an account
+// verifies it (setAccountEmail).
+//
+// KV keys:
+//   team:<name>                    {created, createdBy, invites: {<email>: {role, invitedBy, expires}}}
+//   team-member:<name>:<username>  {role, added, addedBy}   metadata: {role, added}
+//   user-team:<username>:<name>    ""                       metadata: {role} (index for listing, rename and uninstall)
+//   team-invite:<email>:<name>     ""                       (TTL: the invite's)
+
+const TEAM_ROLES = {
+  viewer: ['list', 'forms:read'],
+  deployer: ['list', 'forms:read', 'deploy', 'forms:write'],
+  owner: ['list', 'forms:read', 'deploy', 'forms:write', 'delete']
+};
+const TEAM_INVITE_DAYS = 30;
+const MAX_TEAM_MEMBERS = 50;
+const MAX_TEAMS_PER_USER = 20;
+
+async function getTeam(env, name) {
+  return await env.USERS.get(`team:${name}`, 'json');
+}
+
+async function getTeamRole(env, team, username) {
+  const member = await env.USERS.get(`team-member:${team}:${username}`, 'json');
+  return member?.role || null;
+}
+
+async function listTeamMembers(env, team) {
+  const members = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `team-member:${team}:`, cursor });
+    for (const key of page.keys) {
+      members.push({ username: key.name.slice(`team-member:${team}:`.length), ...(key.metadata || {}) });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return members;
+}
+
+// The user's teams as [{ name, role }]
+async function listUserTeams(env, username) {
+  const teams = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `user-team:${username}:`, cursor });
+    for (const key of page.keys) {
+      teams.push({ name: key.name.slice(`user-team:${username}:`.length), role: key.metadata?.role || null });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return teams;
+}
+
+// Add a member, or change an existing member's role
+async function putTeamMember(env, team, username, role, addedBy = null) {
+  const existing = await env.USERS.get(`team-member:${team}:${username}`, 'json');
+  const member = { added: new Date().toISOString(), addedBy, ...existing, role };
+  await env.USERS.put(`team-member:${team}:${username}`, JSON.stringify(member), {
+    metadata: { role, added: member.added }
+  });
+  await env.USERS.put(`user-team:${username}:${team}`, '', { metadata: { role } });
+}
+
+async function removeTeamMember(env, team, username) {
+  await env.USERS.delete(`team-member:${team}:${username}`);
+  await env.USERS.delete(`user-team:${username}:${team}`);
+}
+
+// The team a request acts for, or null
+function requestTeam(request) {
+  const url = new URL(request.url);
+  const team = url.searchParams.get('team') || request.headers.get('X-Team') || '';
+  return team.toLowerCase().trim() || null;
+}
+
+// Whether `username` may use `scope` on a team's projects.
+// Returns null, or { status, error }.
+async function checkTeamAccess(env, username, team, scope) {
+  if (scope === 'account') {
+    return { status: 400, error: 'Account settings belong to you, not a team. Leave the team out of this request.' };
+  }
+  const role = await getTeamRole(env, team, username);
+  if (!role) {
+    return { status: 403, error: `You're not a member of team '${team}'` };
+  }
+  if (scope && !TEAM_ROLES[role].includes(scope)) {
+    return { status: 403, error: `Your role in team '${team}' (${role}) doesn't allow this` };
+  }
+  return null;
+}
+
+// The pending invites of a team record, without expired ones
+function liveTeamInvites(team) {
+  return Object.entries(team?.invites || {})
+    .filter(([, invite]) => Date.parse(invite.expires) > Date.now())
+    .map(([email, invite]) => ({ email, ...invite }));
+}
+
+// Turn the invites waiting for a newly verified address into memberships.
+// Returns the names of the teams joined.
+async function acceptTeamInvites(env, username, email) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `team-invite:${email}:`, cursor });
+    names.push(...page.keys.map(key => key.name.slice(`team-invite:${email}:`.length)));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+
+  const joined = [];
+  for (const name of names) {
+    const team = await getTeam(env, name);
+    const invite = liveTeamInvites(team).find(i => i.email === email);
+    if (invite && !(await getTeamRole(env, name, username))) {
+      await putTeamMember(env, name, username, invite.role, invite.invitedBy);
+      joined.push(name);
+    }
+    if (team?.invites?.[email]) {
+      delete team.invites[email];
+      await env.USERS.put(`team:${name}`, JSON.stringify(team));
+    }
+    await env.USERS.delete(`team-invite:${email}:${name}`);
+  }
+  return joined;
+}
+
+// Delete a team with its projects and memberships. If a project can't be
+// deleted the team stays, so nobody can take the name and inherit what's
+// left. Returns what deleteOwnedProjects did.
+async function deleteTeam(env, name) {
+  const result = await deleteOwnedProjects(env, name);
+  if (result.errors.length) return result;
+
+  for (const { username } of await listTeamMembers(env, name)) {
+    await removeTeamMember(env, name, username);
+  }
+  for (const { email } of liveTeamInvites(await getTeam(env, name))) {
+    await env.USERS.delete(`team-invite:${email}:${name}`);
+  }
+  await env.USERS.delete(`team:${name}`);
+  return result;
+}
+
+// Take a departing account out of its teams. A team left with no members is
+// deleted; one left with no owner passes to its longest-standing member.
+async function leaveTeams(env, username) {
+  for (const { name } of await listUserTeams(env, username)) {
+    await removeTeamMember(env, name, username);
+    const members = await listTeamMembers(env, name);
+    if (members.length === 0) {
+      await deleteTeam(env, name);
+    } else if (!members.some(m => m.role === 'owner')) {
+      members.sort((a, b) => String(a.added).localeCompare(String(b.added)));
+      await putTeamMember(env, name, members[0].username, 'owner');
+    }
+  }
+}
+
+// Tell a new member (or an invited address) about the team. Best effort:
+// the membership stands whether or not the email goes out.
+async function sendTeamEmail(env, origin, email, { team, role, invitedBy, pending }) {
+  if (!emailConfigured(env) || !email) return false;
+  const sent = await sendEmail(env, {
+    to: email,
+    subject: `${invitedBy} added you to ${team} on bassh`,
+    html: emailBody({
+      headline: `Join ${team}`,
+      bodyHtml: pending
+        ? `<p><strong>${invitedBy}</strong> invited this address to the <strong>${team}</strong> team on bassh as ${role}. Sign up with it, or attach it to your account with <code>bassh email</code>, within ${TEAM_INVITE_DAYS} days to join.</p>`
+        : `<p><strong>${invitedBy}</strong> added you to the <strong>${team}</strong> team on bassh as ${role}. Add <code>--team ${team}</code> to a command to work on the team's sites.</p>`,
+      cta: pending ? { href: origin, label: 'Sign up' } : undefined
+    })
+  }).catch(() => ({ ok: false }));
+  return sent.ok;
+}
+
+// GET /teams, POST /teams {name}, GET/DELETE /teams/<name>,
+// POST /teams/<name>/members {member, role}, PATCH/DELETE /teams/<name>/members/<member>
+async function handleTeams(request, env, corsHeaders, username, path, origin) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const [, , name = '', sub = '', rawMember = ''] = path.split('/');
+    const member = decodeURIComponent(rawMember).toLowerCase().trim();
+
+    if (!name && request.method === 'GET') {
+      return new Response(JSON.stringify({
+        success: true,
+        username,
+        teams: await listUserTeams(env, username)
+      }), { headers: jsonHeaders });
+    }
+
+    if (!name && request.method === 'POST') {
+      const body = await request.json().catch(() => ({}));
+      const teamName = String(body.name || '').toLowerCase().trim();
+
+      const problem = await usernameProblem(env, teamName);
+      if (problem) {
+        return new Response(JSON.stringify({ error: problem }), {
+          status: isValidUsername(teamName) ? 409 : 400,
+          headers: jsonHeaders
+        });
+      }
+      if ((await listUserTeams(env, username)).length >= MAX_TEAMS_PER_USER) {
+        return new Response(JSON.stringify({
+          error: `You're already in ${MAX_TEAMS_PER_USER} teams. Leave one first.`
+        }), { status: 400, headers: jsonHeaders });
+      }
+
+      const created = new Date().toISOString();
+      await env.USERS.put(`team:${teamName}`, JSON.stringify({ created, createdBy: username, invites: {} }));
+      await putTeamMember(env, teamName, username, 'owner', username);
+
+      return new Response(JSON.stringify({
+        success: true,
+        team: teamName,
+        role: 'owner',
+        created,
+        message: `Team '${teamName}' created. Its projects are named ${teamName}-<name>.`
+      }), { headers: jsonHeaders });
+    }
+
+    // Everything else is about one team, and only its members may see it
+    const team = await getTeam(env, name);
+    const role = team ? await getTeamRole(env, name, username) : null;
+    if (!role) {
+      return new Response(JSON.stringify({ error: `Team '${name}' not found` }), { status: 404, headers: jsonHeaders });
+    }
+    const members = await listTeamMembers(env, name);
+    const isOwner = role === 'owner';
+    const onlyOwner = (who) => members.filter(m => m.role === 'owner').map(m => m.username).join() === who;
+    const ownersOnly = () => new Response(JSON.stringify({
+      error: `Only owners of team '${name}' can do that`
+    }), { status: 403, headers: jsonHeaders });
+
+    if (!sub && request.method === 'GET') {
+      return new Response(JSON.stringify({
+        success: true,
+        team: name,
+        role,
+        created: team.created,
+        members: members.map(m => ({ username: m.username, role: m.role, added: m.added || null })),
+        invites: liveTeamInvites(team).map(i => ({ email: i.email, role: i.role, expires: i.expires })),
+        projects: await listOwnedProjectNames(env, name)
+      }), { headers: jsonHeaders });
+    }
+
+    if (!sub && request.method === 'DELETE') {
+      if (!isOwner) return ownersOnly();
+      const { deletedProjects, deletedApps, errors } = await deleteTeam(env, name);
+      if (errors.length) {
+        return new Response(JSON.stringify({
+          error: `Some of ${name}'s projects couldn't be deleted, so the team is still there. Try again.`,
+          projects: deletedProjects,
+          errors
+        }), { status: 502, headers: jsonHeaders });
+      }
+      return new Response(JSON.stringify({
+        success: true,
+        team: name,
+        message: `Team '${name}' and its projects deleted`,
+        projects: deletedProjects,
+        accessApps: deletedApps
+      }), { headers: jsonHeaders });
+    }
+
+    if (sub === 'members' && !member && request.method === 'POST') {
+      if (!isOwner) return ownersOnly();
+      const body = await request.json().catch(() => ({}));
+      const who = String(body.member || '').toLowerCase().trim();
+      const newRole = body.role || 'deployer';
+
+      if (!TEAM_ROLES[newRole]) {
+        return new Response(JSON.stringify({
+          error: `Role must be one of: ${Object.keys(TEAM_ROLES).join(', ')}`
+        }), { status: 400, headers: jsonHeaders });
+      }
+      if (members.length + liveTeamInvites(team).length >= MAX_TEAM_MEMBERS) {
+        return new Response(JSON.stringify({
+          error: `A team can have at most ${MAX_TEAM_MEMBERS} members and invites`
+        }), { status: 400, headers: jsonHeaders });
+      }
+
+      let memberName = who;
+      let memberEmail = null;
+      if (who.includes('@')) {
+        if (!isValidEmail(who)) {
+          return new Response(JSON.stringify({ error: 'Invalid email' }), { status: 400, headers: jsonHeaders });
+        }
+        const account = await getUserByEmail(env, who);
+        if (!account) {
+          // No account has this address yet: hold an invite for it
+          const expires = new Date(Date.now() + TEAM_INVITE_DAYS * 86400000).toISOString();
+          team.invites = { ...team.invites, [who]: { role: newRole, invitedBy: username, expires } };
+          await env.USERS.put(`team:${name}`, JSON.stringify(team));
+          await env.USERS.put(`team-invite:${who}:${name}`, '', {
+            expiration: Math.floor(Date.parse(expires) / 1000)
+          });
+          const emailed = await sendTeamEmail(env, origin, who, {
+            team: name, role: newRole, invitedBy: username, pending: true
+          });
+
+          return new Response(JSON.stringify({
+            success: true,
+            team: name,
+            invited: who,
+            role: newRole,
+            expires,
+            emailed,
+            message: `${who} will join ${name} as ${newRole} once an account verifies that address`
+          }), { headers: jsonHeaders });
+        }
+        memberName = account.username;
+        memberEmail = who;
+      } else {
+        const userData = await getUserByUsername(env, who);
+        if (!userData) {
+          return new Response(JSON.stringify({ error: `No account called '${who}'` }), {
+            status: 404,
+            headers: jsonHeaders
+          });
+        }
+        memberEmail = userData.email || null;
+      }
+
+      const current = members.find(m => m.username === memberName);
+      if (current) {
+        return new Response(JSON.stringify({
+          error: `${memberName} is already in ${name} as ${current.role}. Change roles with PATCH.`
+        }), { status: 409, headers: jsonHeaders });
+      }
+
+      await putTeamMember(env, name, memberName, newRole, username);
+      const emailed = await sendTeamEmail(env, origin, memberEmail, {
+        team: name, role: newRole, invitedBy: username
+      });
+
+      return new Response(JSON.stringify({
+        success: true,
+        team: name,
+        username: memberName,
+        role: newRole,
+        emailed,
+        message: `${memberName} added to ${name} as ${newRole}`
+      }), { headers: jsonHeaders });
+    }
+
+    if (sub === 'members' && member && request.method === 'PATCH') {
+      if (!isOwner) return ownersOnly();
+      const body = await request.json().catch(() => ({}));
+      const newRole = body.role;
+
+      if (!TEAM_ROLES[newRole]) {
+        return new Response(JSON.stringify({
+          error: `Role must be one of: ${Object.keys(TEAM_ROLES).join(', ')}`
+        }), { status: 400, headers: jsonHeaders });
+      }
+      if (!members.some(m => m.username === member)) {
+        return new Response(JSON.stringify({ error: `${member} isn't in ${name}` }), { status: 404, headers: jsonHeaders });
+      }
+      if (newRole !== 'owner' && onlyOwner(member)) {
+        return new Response(JSON.stringify({
+          error: `${member} is the only owner of ${name}. Make someone else owner first.`
+        }), { status: 409, headers: jsonHeaders });
+      }
+
+      await putTeamMember(env, name, member, newRole);
+      return new Response(JSON.stringify({
+        success: true,
+        team: name,
+        username: member,
+        role: newRole,
+        message: `${member} is now ${newRole} in ${name}`
+      }), { headers: jsonHeaders });
+    }
+
+    if (sub === 'members' && member && request.method === 'DELETE') {
+      // Owners remove anyone and withdraw invites; members may leave
+      if (!isOwner && member !== username) return ownersOnly();
+
+      if (member.includes('@')) {
+        if (!team.invites?.[member]) {
+          return new Response(JSON.stringify({ error: `No invite for ${member}` }), { status: 404, headers: jsonHeaders });
+        }
+        delete team.invites[member];
+        await env.USERS.put(`team:${name}`, JSON.stringify(team));
+        await env.USERS.delete(`team-invite:${member}:${name}`);
+        return new Response(JSON.stringify({
+          success: true,
+          team: name,
+          message: `Invite for ${member} withdrawn`
+        }), { headers: jsonHeaders });
+      }
+
+      if (!members.some(m => m.username === member)) {
+        return new Response(JSON.stringify({ error: `${member} isn't in ${name}` }), { status: 404, headers: jsonHeaders });
+      }
+      if (onlyOwner(member)) {
+        return new Response(JSON.stringify({
+          error: `${member} is the only owner of ${name}. Make someone else owner first, or delete the team.`
+        }), { status: 409, headers: jsonHeaders });
+      }
+
+      await removeTeamMember(env, name, member);
+      return new Response(JSON.stringify({
+        success: true,
+        team: name,
+        username: member,
+        message: member === username ? `You left ${name}` : `${member} removed from ${name}`
+      }), { headers: jsonHeaders });
+    }
+
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+// Hash a base64-encoded asset the way the deploy manifest expects:
+// SHA-256 of the raw bytes, hex, first 32 characters. Clients doing
+// incremental deploys must compute the same value.
+async function hashAsset(base64Content) {
+  return hashBytes(base64ToBytes(base64Content));
+}
+
+async function hashBytes(bytes) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+  const hashArray = new Uint8Array(hashBuffer);
+  return Array.from(hashArray).map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 32);
+}
+
+function base64ToBytes(base64) {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Decoded size of a base64 string, without decoding it
+function base64ByteLength(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 8192;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    const chunk = bytes.subarray(i, i + chunkSize);
+    binary += String.fromCharCode.apply(null, chunk);
+  }
+  return btoa(binary);
+}
+
+// Fetch a Pages upload JWT for a project. Returns { ok, status, jwt, details }.
+async function getUploadToken(env, projectName) {
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${projectName}/upload-token`,
+    {
+      headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+    }
+  );
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    return { ok: false, status: response.status, details: result };
+  }
+  return { ok: true, status: response.status, jwt: result.result.jwt };
+}
+
+// Upload assets ({key, value, metadata, base64}) to Pages, split into
+// batches so one large site doesn't become one huge request.
+const ASSET_BATCH_BYTES = 25 * 1024 * 1024;
+
+async function uploadAssets(uploadToken, assets) {
+  let batch = [];
+  let batchBytes = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return { ok: true };
+    const response = await fetch(
+      'https://api.cloudflare.com/client/v4/pages/assets/upload',
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${uploadToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(batch)
+      }
+    );
+    batch = [];
+    batchBytes = 0;
+    if (!response.ok) {
+      return { ok: false, details: await response.text() };
+    }
+    return { ok: true };
+  };
+
+  for (const asset of assets) {
+    if (batchBytes + asset.value.length > ASSET_BATCH_BYTES) {
+      const result = await flush();
+      if (!result.ok) return result;
+    }
+    batch.push(asset);
+    batchBytes += asset.value.length;
+  }
+  return flush();
+}
+
+// Tell Pages the project's upload uses these hashes
+async function upsertHashes(uploadToken, hashes) {
+  const response = await fetch(
+    'https://api.cloudflare.com/client/v4/pages/assets/upsert-hashes',
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${uploadToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ hashes })
+    }
+  );
+
+  if (!response.ok) {
+    return { ok: false, details: await response.text() };
+  }
+  return { ok: true };
+}
+
+// Create a deployment from a manifest of uploaded hashes. `redirects` is the
+// text of a _redirects file, which Pages takes alongside the manifest.
+// Returns { ok, result } or { ok: false, details }.
+async function createPagesDeployment(env, fullProjectName, manifest, { message, branch, redirects } = {}) {
+  const formData = new FormData();
+  formData.append('manifest', JSON.stringify(manifest));
+  if (message) {
+    formData.append('commit_message', message);
+  }
+  if (branch) {
+    formData.append('branch', branch);
+  }
+  if (redirects) {
+    formData.append('_redirects', new Blob([redirects]), '_redirects');
+  }
+
+  const response = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${fullProjectName}/deployments`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+      },
+      body: formData
+    }
+  );
+
+  const result = await response.json();
+  if (!response.ok) {
+    return { ok: false, details: result };
+  }
+  return { ok: true, result: result.result };
+}
+
+function isValidAssetHash(hash) {
+  return typeof hash === 'string' && /^[0-9a-f]{32}$/.test(hash);
+}
+
+// Ask Pages which of the given asset hashes it doesn't hold yet.
+// Returns the missing subset.
+async function checkMissingAssets(uploadToken, hashes) {
+  const response = await fetch(
+    'https://api.cloudflare.com/client/v4/pages/assets/check-missing',
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${uploadToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ hashes })
+    }
+  );
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(`Failed to check stored assets: ${JSON.stringify(result)}`);
+  }
+  return result.result || [];
+}
+
+function getContentType(path) {
+  const ext = path.split('.').pop().toLowerCase();
+  const types = {
+    'html': 'text/html',
+    'css': 'text/css',
+    'js': 'application/javascript',
+    'json': 'application/json',
+    'png': 'image/png',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'gif': 'image/gif',
+    'svg': 'image/svg+xml',
+    'ico': 'image/x-icon',
+    'woff': 'font/woff',
+    'woff2': 'font/woff2',
+    'ttf': 'font/ttf',
+    'eot': 'application/vnd.ms-fontobject',
+    'txt': 'text/plain',
+    'xml': 'application/xml',
+    'pdf': 'application/pdf',
+    'webp': 'image/webp',
+    'mp4': 'video/mp4',
+    'webm': 'video/webm',
+    'mp3': 'audio/mpeg',
+    'wav': 'audio/wav',
+  };
+  return types[ext] || 'application/octet-stream';
+}
+
+async function addCustomDomain(env, projectName, domain) {
+  try {
+    const response = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${projectName}/domains`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: domain }),
+      }
+    );
+
+    const result = await response.json();
+
+    if (!result.success) {
+      // Check for common errors
+      const errorMsg = result.errors?.[0]?.message || 'Unknown error';
+      return {
+        success: false,
+        domain: domain,
+        error: errorMsg,
+        cname: `${projectName}.pages.dev`,
+      };
+    }
+
+    return {
+      success: true,
+      domain: domain,
+      status: result.result?.status || 'pending',
+      cname: `${projectName}.pages.dev`,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      domain: domain,
+      error: error.message,
+      cname: `${projectName}.pages.dev`,
+    };
+  }
+}
+
+// Create the Pages project on first deploy and record its owner. Returns
+// whether it was created.
+async function ensureProject(env, projectName, owner) {
+  const checkResponse = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${projectName}`,
+    {
+      headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+    }
+  );
+
+  if (checkResponse.status === 404) {
+    const createResponse = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: projectName,
+          production_branch: PRODUCTION_BRANCH
+        })
+      }
+    );
+
+    if (!createResponse.ok) {
+      const error = await createResponse.json();
+      throw new Error(`Failed to create project: ${JSON.stringify(error)}`);
+    }
+
+    await registerProject(env, projectName, owner);
+    return true;
+  }
+  return false;
+}
+
+// Preview aliases and every deployment's own URL live on
+// <alias-or-id>.<project>.pages.dev, which the production Access app doesn't
+// cover, so those get their own wildcard app.
+async function setupAccess(env, projectName, emails, domain, { preview = false } = {}) {
+  const appName = preview ? `${projectName}-previews` : projectName;
+  const appDomain = preview ? `*.${projectName}.pages.dev` : `${projectName}.pages.dev`;
+
+  const include = [];
+
+  if (emails) {
+    const emailList = emails.split(',').map(e => e.trim());
+    for (const email of emailList) {
+      include.push({ email: { email: email } });
+    }
+  }
+
+  if (domain) {
+    const cleanDomain = domain.replace(/^@/, '');
+    include.push({ email_domain: { domain: cleanDomain } });
+  }
+
+  const listResponse = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
+    {
+      headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+    }
+  );
+
+  const listResult = await listResponse.json();
+  const existingApp = listResult.result?.find(app =>
+    app.domain === appDomain || app.name === appName
+  );
+
+  if (existingApp) {
+    const policiesResponse = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${existingApp.id}/policies`,
+      {
+        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+      }
+    );
+
+    const policiesResult = await policiesResponse.json();
+    const existingPolicy = policiesResult.result?.[0];
+
+    if (existingPolicy) {
+      await fetch(
+        `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${existingApp.id}/policies/${existingPolicy.id}`,
+        {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            name: 'Allowed Users',
+            decision: 'allow',
+            include: include
+          })
+        }
+      );
+    }
+
+    return { status: 'updated', appId: existingApp.id };
+  }
+
+  const createAppResponse = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        name: appName,
+        domain: appDomain,
+        type: 'self_hosted',
+        session_duration: '24h',
+        auto_redirect_to_identity: false
+      })
+    }
+  );
+
+  const appResult = await createAppResponse.json();
+
+  if (!createAppResponse.ok) {
+    return { status: 'failed', error: appResult };
+  }
+
+  const appId = appResult.result.id;
+
+  const createPolicyResponse = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${appId}/policies`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        name: 'Allowed Users',
+        decision: 'allow',
+        include: include
+      })
+    }
+  );
+
+  const policyResult = await createPolicyResponse.json();
+
+  if (!createPolicyResponse.ok) {
+    return { status: 'partial', appId: appId, policyError: policyResult };
+  }
+
+  return { status: 'created', appId: appId };
+}
+
+// `keyProjects` is the calling key's project allowlist, if it has one; the
+// listing then leaves out every other project.
+async function handleList(env, corsHeaders, username, keyProjects = null) {
+  try {
+    let pagesProjects;
+    try {
+      pagesProjects = await listPagesProjects(env);
+    } catch (e) {
+      return new Response(JSON.stringify({
+        error: 'Failed to list projects',
+        details: e.message
+      }), {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // A key limited to some projects mustn't delete others, stubs included
+    if (!keyProjects?.length) {
+      await pruneRedirectStubs(env, username);
+    }
+
+    // The registry says what the user owns (redirect stubs aside); the Pages
+    // listing claims legacy projects and supplies domains and dates
+    const userPrefix = `${username}-`;
+    await filterOwnedProjects(env, username, pagesProjects);
+    const byName = new Map(pagesProjects.map(p => [p.name, p]));
+    const owned = [];
+    for (const name of await listOwnedProjectNames(env, username)) {
+      if (!name.startsWith(userPrefix)) continue;
+      owned.push(byName.get(name) || { name, created_on: (await getProjectRecord(env, name))?.created, domains: [] });
+    }
+    const projects = owned
+      .filter(p => !keyProjects?.length || keyProjects.includes(p.name))
+      .map(p => {
+        // Get custom domain if configured (exclude *.pages.dev)
+        const customDomain = (p.domains || []).find(d => !d.endsWith('.pages.dev'));
+        return {
+          name: p.name,
+          shortName: p.name.replace(userPrefix, ''),
+          url: customDomain ? `https://${customDomain}` : `https://${p.name}.pages.dev`,
+          customDomain: customDomain || null,
+          created: p.created_on
+        };
+      });
+
+    return new Response(JSON.stringify({
+      success: true,
+      username,
+      projects
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Delete every Pages project `owner` (a user or a team) owns, with its
+// Access apps. Returns { deletedProjects, deletedApps, errors }; a project
+// still registered to `owner` afterwards is always an error, so callers
+// can keep the name until it's gone.
+async function deleteOwnedProjects(env, owner) {
+  const deletedProjects = [];
+  const deletedApps = [];
+  const errors = [];
+
+  // Every page of Pages projects (claiming legacy ones), plus whatever the
+  // registry holds, in case the listing missed something
+  let pagesProjects = [];
+  try {
+    pagesProjects = await listPagesProjects(env);
+  } catch (e) {
+    errors.push({ type: 'list', error: e.message });
+  }
+  const ownedNames = [...new Set([
+    ...(await filterOwnedProjects(env, owner, pagesProjects)).map(project => project.name),
+    ...await listOwnedProjectNames(env, owner)
+  ])];
+
+  for (const name of ownedNames) {
+    const deleteResponse = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${name}`,
+      {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+      }
+    );
+
+    // 404: the project is already gone and only its record is left
+    if (deleteResponse.ok || deleteResponse.status === 404) {
+      deletedProjects.push(name);
+      await deleteProjectData(env, name);
+      await unregisterProject(env, name);
+    } else {
+      const errorResult = await deleteResponse.json().catch(() => ({}));
+      errors.push({ type: 'project', name, error: errorResult });
+    }
+  }
+
+  for (const name of await listOwnedProjectNames(env, owner)) {
+    if (!errors.some(e => e.name === name)) {
+      errors.push({ type: 'project', name, error: 'Still registered to this account' });
+    }
+  }
+
+  // Then their Access apps, previews' included
+  const appsResponse = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
+    {
+      headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+    }
+  );
+
+  const appsResult = await appsResponse.json();
+
+  if (appsResponse.ok) {
+    const appNames = ownedNames.flatMap(name => [name, `${name}-previews`]);
+    const ownedApps = appsResult.result.filter(app => appNames.includes(app.name));
+
+    for (const app of ownedApps) {
+      const deleteResponse = await fetch(
+        `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${app.id}`,
+        {
+          method: 'DELETE',
+          headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+        }
+      );
+
+      if (deleteResponse.ok) {
+        deletedApps.push(app.name);
+      } else {
+        const errorResult = await deleteResponse.json();
+        errors.push({ type: 'access_app', name: app.name, error: errorResult });
+      }
+    }
+  }
+
+  return { deletedProjects, deletedApps, errors };
+}
+
+async function handleUninstall(request, env, corsHeaders, username) {
+  try {
+    // Get user record to find API key and machine ID
+    const userData = await getUserByUsername(env, username);
+    const keyHash = userData?.keyHash;
+    const machineId = userData?.machineId;
+
+    // 1. Delete all user's Pages projects and their Access apps
+    const { deletedProjects, deletedApps, errors } = await deleteOwnedProjects(env, username);
+
+    // Keep the account while it still owns projects, or whoever registers
+    // the name next would own them
+    if (errors.some(e => e.type !== 'access_app')) {
+      return new Response(JSON.stringify({
+        error: `Some of ${username}'s projects couldn't be deleted, so the account is still there. Try again.`,
+        projects: deletedProjects,
+        errors
+      }), {
+        status: 502,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // 2. Delete redirect stubs left by a rename, then the user, their keys,
+    //    devices and team memberships
+    deletedProjects.push(...await pruneRedirectStubs(env, username, { all: true }));
+    await deleteScopedKeys(env, username);
+    await deleteUserDevices(env, username);
+    await leaveTeams(env, username);
+    await setAccountEmail(env, username, null);
+    await env.USERS.delete(`user:${username}`);
+    if (keyHash) {
+      await deleteApiKeyRecord(env, keyHash);
+    }
+    // The registration machine may have been revoked and claimed by someone else since
+    if (machineId && (await getUserByMachineId(env, machineId))?.username === username) {
+      await env.USERS.delete(`machine:${machineId}`);
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      message: 'Account and all resources deleted',
+      deleted: {
+        projectsCount: deletedProjects.length,
+        appsCount: deletedApps.length,
+        userRecord: true
+      },
+      projects: deletedProjects,
+      accessApps: deletedApps,
+      errors: errors.length > 0 ? errors : undefined
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Internal error during uninstall',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// ============================================================
+// FORM SUBMISSION HANDLERS
+// ============================================================
+
+// Hash IP for privacy (we don't store raw IPs)
+async function hashIP(ip) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(ip + 'bassh-salt');
+  const hash = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 16);
+}
+
+// Check rate limit for form submissions (10/min per IP per project)
+async function checkFormRateLimit(env, ip, projectName) {
+  const hashedIP = await hashIP(ip);
+  const key = `ratelimit:form:${projectName}:${hashedIP}`;
+  const current = parseInt(await env.USERS.get(key) || '0');
+
+  if (current >= 10) {
+    return false;
+  }
+
+  await env.USERS.put(key, String(current + 1), { expirationTtl: 60 });
+  return true;
+}
+
+// Parse form data from request (supports urlencoded, multipart and JSON).
+// Returns {data, files}: file inputs go to `files` as {field, file}.
+async function parseFormData(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+
+  if (contentType.includes('application/json')) {
+    return { data: await request.json(), files: [] };
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+    const formData = await request.formData();
+    const data = {};
+    const files = [];
+    for (const [key, value] of formData.entries()) {
+      if (typeof value === 'string') {
+        data[key] = value;
+      } else if (value.name || value.size > 0) {
+        // Browsers send an empty, nameless file for an untouched file input
+        files.push({ field: key, file: value });
+      }
+    }
+    return { data, files };
+  }
+
+  // Try JSON as fallback
+  try {
+    return { data: await request.json(), files: [] };
+  } catch {
+    return { data: {}, files: [] };
+  }
+}
+
+// Deletes every stored submission of a project. Returns how many.
+async function deleteFormSubmissions(env, fullProjectName) {
+  let deleted = 0;
+  let cursor;
+  do {
+    const page = await env.FORMS.list({ prefix: `${fullProjectName}:`, cursor });
+    for (const key of page.keys) {
+      await env.FORMS.delete(key.name);
+      deleted++;
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  await env.USERS.delete(`submission-count:${fullProjectName}`);
+  return deleted;
+}
+
+// fetch() callers get JSON errors; plain HTML form posts get a page
+function wantsJson(request) {
+  return (request.headers.get('Accept') || '').includes('application/json')
+    || (request.headers.get('Content-Type') || '').includes('application/json');
+}
+
+// Handle form submission (public endpoint - no auth required)
+async function handleFormSubmit(request, env, corsHeaders, projectName, ctx) {
+  try {
+    // Sites keep posting to the old name for a while after a rename
+    projectName = await resolveMovedProject(env, projectName);
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+
+    // Rate limit check
+    const allowed = await checkFormRateLimit(env, ip, projectName);
+    if (!allowed) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Rate limit exceeded. Please try again later.'
+      }), {
+        status: 429,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Reject bodies that can't fit the project's file limits before reading them
+    const uploadLimits = await getFormUploadLimits(env, projectName);
+    const contentLength = parseInt(request.headers.get('Content-Length') || '0');
+    if (contentLength > MAX_FORM_FILES * uploadLimits.maxBytes + 65536) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: `Payload too large. Maximum ${formatFileLimit(uploadLimits.maxBytes)} per file.`
+      }), {
+        status: 413,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Parse form data
+    const { data: formData, files } = await parseFormData(request);
+    // Turnstile's widget adds its token as a field; it isn't the visitor's data
+    const turnstileToken = formData['cf-turnstile-response'];
+    delete formData['cf-turnstile-response'];
+
+    // Check payload size (10KB limit, not counting uploaded files)
+    const payloadSize = JSON.stringify(formData).length;
+    if (payloadSize > 10240) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Payload too large. Maximum 10KB allowed.'
+      }), {
+        status: 413,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Check honeypot field (spam protection)
+    if (formData._honeypot) {
+      // Silently accept but don't store (looks like spam)
+      await recordFormSpam(env, projectName, 'honeypot');
+      const redirect = formData._redirect || formData._next;
+      if (redirect) {
+        return Response.redirect(redirect, 302);
+      }
+      return new Response(JSON.stringify({ success: true, id: 'ignored' }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Check the fields against the owner's schema, if they set one. This
+    // goes before the spam challenge so a typo doesn't use up its answer.
+    const uploads = files.filter(({ field }) => !field.startsWith('_'));
+    const schema = await getFormSchema(env, projectName);
+    const challenge = await getFormChallenge(env, projectName);
+    if (schema) {
+      const errors = validateFormSubmission(schema, formData, uploads);
+      if (Object.keys(errors).length > 0) {
+        if (wantsJson(request)) {
+          return new Response(JSON.stringify({
+            success: false,
+            error: 'Some fields are missing or invalid.',
+            errors
+          }), {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+        return new Response(formErrorPage({
+          action: new URL(request.url).pathname,
+          schema,
+          data: formData,
+          errors,
+          challenge: challenge?.mode
+        }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' }
+        });
+      }
+    }
+
+    // Turnstile or proof-of-work, when the owner turned one on
+    if (challenge && !(await passesFormChallenge(env, projectName, challenge, formData, turnstileToken, ip))) {
+      await recordFormSpam(env, projectName, 'challenge');
+      const message = 'Spam check failed. Reload the page and send the form again.';
+      if (wantsJson(request)) {
+        return new Response(JSON.stringify({ success: false, error: message }), {
+          status: 403,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      return new Response(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Not Sent</title>
+        <style>
+          body { font-family: system-ui; text-align: center; padding: 50px; }
+          h1 { color: #dc2626; }
+        </style>
+      </head>
+      <body>
+        <h1>Not Sent</h1>
+        <p>${message}</p>
+      </body>
+      </html>
+    `, {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'text/html' }
+      });
+    }
+
+    // Stored submissions count against the site owner's quota
+    const exceeded = await checkSubmissionQuota(env, projectName);
+    if (exceeded) {
+      return quotaResponse(corsHeaders, exceeded);
+    }
+
+    const rejected = checkFormFiles(uploads, uploadLimits);
+    if (rejected) {
+      return new Response(JSON.stringify({ success: false, error: rejected.error }), {
+        status: rejected.status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Separate special fields from user data
+    const userData = {};
+    let redirect = null;
+
+    for (const [key, value] of Object.entries(formData)) {
+      if (key.startsWith('_')) {
+        if (key === '_redirect' || key === '_next') {
+          redirect = value;
+        }
+        // Skip other special fields (_honeypot, _subject, etc.)
+      } else {
+        userData[key] = value;
+      }
+    }
+
+    // Build submission record
+    const timestamp = Date.now();
+    const uuid = crypto.randomUUID();
+    const submission = {
+      _meta: {
+        submitted: new Date(timestamp).toISOString(),
+        ip: await hashIP(ip),
+        userAgent: request.headers.get('User-Agent') || '',
+        referer: request.headers.get('Referer') || ''
+      },
+      data: userData
+    };
+    if (typeof formData._subject === 'string' && formData._subject.trim()) {
+      submission._meta.subject = formData._subject.replace(/[\r\n]+/g, ' ').trim().slice(0, 200);
+    }
+
+    // Files are stored on their own; `data` keeps their names
+    if (uploads.length > 0) {
+      submission.files = [];
+      for (const { field, file } of uploads) {
+        const ref = await storeFormFile(env, projectName, field, file);
+        submission.files.push(ref);
+        userData[field] = userData[field] ? `${userData[field]}, ${ref.name}` : ref.name;
+      }
+    }
+
+    // Store in FORMS KV with 90-day TTL. The count is read first so a
+    // first-time rebuild by listing can't count this submission twice.
+    const key = `${projectName}:${timestamp}:${uuid}`;
+    const expiration = Math.floor(timestamp / 1000) + 90 * 24 * 60 * 60; // 90 days
+    const counts = await getSubmissionCounts(env, projectName);
+    await env.FORMS.put(key, JSON.stringify(submission), { expiration });
+    await recordSubmissionCount(env, projectName, counts, expiration);
+
+    // Email it to the owner's recipients without holding up the response
+    const notify = await getFormNotify(env, projectName);
+    if (notify?.mode === 'instant') {
+      ctx.waitUntil(notifySubmission(env, projectName, notify, submission)
+        .catch(e => console.error('Form notification failed:', e.message)));
+    }
+
+    // And POST it to the project's webhooks; failures are retried from the cron
+    const hooks = await listFormWebhooks(env, projectName);
+    if (hooks.length > 0) {
+      ctx.waitUntil(deliverSubmission(env, projectName, key, hooks)
+        .catch(e => console.error('Webhook delivery failed:', e.message)));
+    }
+
+    // Respond based on request type
+    const acceptHeader = request.headers.get('Accept') || '';
+
+    if (redirect) {
+      return Response.redirect(redirect, 302);
+    }
+
+    if (acceptHeader.includes('application/json')) {
+      return new Response(JSON.stringify({
+        success: true,
+        id: uuid,
+        message: 'Form submitted successfully'
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Default: return simple HTML thank you page
+    return new Response(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Thank You</title>
+        <style>
+          body { font-family: system-ui; text-align: center; padding: 50px; }
+          h1 { color: #22c55e; }
+        </style>
+      </head>
+      <body>
+        <h1>Thank You!</h1>
+        <p>Your submission has been received.</p>
+      </body>
+      </html>
+    `, {
+      headers: { ...corsHeaders, 'Content-Type': 'text/html' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Failed to process form submission',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Handle form listing (authenticated)
+async function handleFormsList(request, env, corsHeaders, username) {
+  try {
+    const url = new URL(request.url);
+    const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
+
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Resolve the full project name and verify ownership
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only access your own project forms' }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+    const fullProjectName = access.fullProjectName;
+
+    // List submissions from FORMS KV
+    const listResult = await env.FORMS.list({ prefix: `${fullProjectName}:` });
+
+    // Fetch all submissions
+    const submissions = [];
+    for (const key of listResult.keys) {
+      const value = await env.FORMS.get(key.name, 'json');
+      if (value) {
+        if (value.files) {
+          value.files = withFileUrls(value.files, url.origin, fullProjectName);
+        }
+        submissions.push({
+          id: key.name.split(':')[2], // Extract UUID
+          ...value
+        });
+      }
+    }
+
+    // Sort by timestamp descending (newest first)
+    submissions.sort((a, b) =>
+      new Date(b._meta.submitted) - new Date(a._meta.submitted)
+    );
+
+    return new Response(JSON.stringify({
+      success: true,
+      project: fullProjectName,
+      count: submissions.length,
+      submissions
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Failed to list forms',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Handle form deletion (authenticated)
+async function handleFormsDelete(request, env, corsHeaders, username) {
   try {
-    const response = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${projectName}/domains`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${env.CF_API_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ name: domain }),
-      }
-    );
+    const url = new URL(request.url);
+    const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
 
-    const result = await response.json();
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
 
-    if (!result.success) {
-      // Check for common errors
-      const errorMsg = result.errors?.[0]?.message || 'Unknown error';
-      return {
-        success: false,
-        domain: domain,
-        error: errorMsg,
-        cname: `${projectName}.pages.dev`,
-      };
+    // Resolve the full project name and verify ownership
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only delete your own project forms' }), {
+        status: 403,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
     }
+    const fullProjectName = access.fullProjectName;
 
-    return {
+    const deleted = await deleteFormSubmissions(env, fullProjectName);
+    await deleteFormFiles(env, fullProjectName);
+    // Zero, not absent: a rebuild could still list the deleted keys for a while
+    await env.USERS.put(`submission-count:${fullProjectName}`, '{}');
+
+    return new Response(JSON.stringify({
       success: true,
-      domain: domain,
-      status: result.result?.status || 'pending',
-      cname: `${projectName}.pages.dev`,
-    };
+      project: fullProjectName,
+      deleted,
+      message: `Deleted ${deleted} submission(s)`
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+
   } catch (error) {
-    return {
-      success: false,
-      domain: domain,
-      error: error.message,
-      cname: `${projectName}.pages.dev`,
-    };
+    return new Response(JSON.stringify({
+      error: 'Failed to delete forms',
+      message: error.message
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
   }
 }
 
-async function ensureProject(env, projectName) {
-  const checkResponse = await fetch(
-    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${projectName}`,
-    {
-      headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
-    }
-  );
+// ============================================================
+// FORM FILE UPLOADS
+// ============================================================
+// File inputs on multipart forms are stored apart from the submission: in
+// the UPLOADS R2 bucket when it's bound, otherwise in USERS KV split into
+// FORM_FILE_CHUNK_BYTES pieces. The submission keeps a reference per file in
+// `files` and the file name in `data`, so CSV exports, emails and webhooks
+// still read naturally. Owners fetch the bytes from GET /forms/files/<id>,
+// which needs the same access as reading the submissions.
+//
+// Uploads are off until the owner lists accepted `types` (`image/*`
+// wildcards work) with PUT /forms/files; until then file inputs are refused.
+// A project then takes up to MAX_FORM_FILES files per submission, each at
+// most maxBytes. An empty `types` list turns uploads off again.
+//
+// KV keys:
+//   form-upload-limits:<fullProjectName>        {maxBytes, types}  absent means FORM_FILE_DEFAULTS
+//   form-file:<fullProjectName>:<id>:<chunk>    raw bytes when R2 isn't bound, same TTL as the submission
+//     metadata on chunk 0: {name, type, size, chunks}
+//   form-file-sweep                             R2 list cursor for pruneExpiredFormFiles
+// R2 objects (UPLOADS):
+//   form-file:<fullProjectName>:<id>            the file; customMetadata {name, expires}
+//     R2 has no per-object TTL: reads treat an object past `expires` (unix
+//     seconds) as gone, and the cron deletes them a page at a time.
+
+const MAX_FORM_FILES = 5;
+const FORM_FILE_MAX_BYTES = 25 * 1024 * 1024;   // ceiling for a project's maxBytes
+const FORM_FILE_CHUNK_BYTES = 8 * 1024 * 1024;  // well under KV's 25 MiB value limit
+const FORM_FILE_TTL = 90 * 24 * 60 * 60;        // matches the submission
+const FORM_FILE_DEFAULTS = {
+  maxBytes: 5 * 1024 * 1024,
+  types: []
+};
 
-  if (checkResponse.status === 404) {
-    const createResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${env.CF_API_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          name: projectName,
-          production_branch: 'main'
-        })
-      }
-    );
+async function getFormUploadLimits(env, fullProjectName) {
+  const stored = await env.USERS.get(`form-upload-limits:${fullProjectName}`, 'json');
+  return { ...FORM_FILE_DEFAULTS, ...(stored || {}) };
+}
 
-    if (!createResponse.ok) {
-      const error = await createResponse.json();
-      throw new Error(`Failed to create project: ${JSON.stringify(error)}`);
+async function deleteFormUploadLimits(env, fullProjectName) {
+  await env.USERS.delete(`form-upload-limits:${fullProjectName}`);
+}
+
+function mimeAllowed(type, types) {
+  return types.some(allowed => allowed.endsWith('/*')
+    ? type.startsWith(allowed.slice(0, -1))
+    : type === allowed);
+}
+
+// Why these files can't be accepted, or null.
+function checkFormFiles(files, limits) {
+  if (files.length === 0) return null;
+  if (limits.types.length === 0) {
+    return { status: 415, error: 'This form does not accept file uploads.' };
+  }
+  if (files.length > MAX_FORM_FILES) {
+    return { status: 400, error: `Too many files. Maximum ${MAX_FORM_FILES} per submission.` };
+  }
+  for (const { file } of files) {
+    if (file.size > limits.maxBytes) {
+      return { status: 413, error: `${cleanFileName(file.name)} is too large. Maximum ${formatFileLimit(limits.maxBytes)} per file.` };
+    }
+    if (!mimeAllowed(file.type || 'application/octet-stream', limits.types)) {
+      return { status: 415, error: `${cleanFileName(file.name)} is not an accepted file type.` };
     }
   }
+  return null;
 }
 
-async function setupAccess(env, projectName, emails, domain) {
-  const appDomain = `${projectName}.pages.dev`;
+function formatFileLimit(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB` : `${Math.round(bytes / 1024)}KB`;
+}
 
-  const include = [];
+function cleanFileName(name) {
+  return String(name || '').replace(/^.*[\\/]/, '').replace(/[\x00-\x1f"]/g, '').trim().slice(0, 200) || 'file';
+}
 
-  if (emails) {
-    const emailList = emails.split(',').map(e => e.trim());
-    for (const email of emailList) {
-      include.push({ email: { email: email } });
-    }
+// Store one uploaded file and return the reference kept in the submission.
+async function storeFormFile(env, fullProjectName, field, file) {
+  const id = bytesToHex(crypto.getRandomValues(new Uint8Array(12)));
+  const name = cleanFileName(file.name);
+  const type = file.type || 'application/octet-stream';
+  const key = `form-file:${fullProjectName}:${id}`;
+
+  if (env.UPLOADS) {
+    await env.UPLOADS.put(key, await file.arrayBuffer(), {
+      httpMetadata: { contentType: type },
+      customMetadata: { name, expires: String(Math.floor(Date.now() / 1000) + FORM_FILE_TTL) }
+    });
+    return { id, field, name, type, size: file.size, storage: 'r2' };
   }
 
-  if (domain) {
-    const cleanDomain = domain.replace(/^@/, '');
-    include.push({ email_domain: { domain: cleanDomain } });
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const chunks = Math.max(1, Math.ceil(bytes.length / FORM_FILE_CHUNK_BYTES));
+  for (let i = 0; i < chunks; i++) {
+    await env.USERS.put(`${key}:${i}`, bytes.subarray(i * FORM_FILE_CHUNK_BYTES, (i + 1) * FORM_FILE_CHUNK_BYTES), {
+      expirationTtl: FORM_FILE_TTL,
+      metadata: i === 0 ? { name, type, size: bytes.length, chunks } : undefined
+    });
   }
+  return { id, field, name, type, size: bytes.length, storage: 'kv' };
+}
 
-  const listResponse = await fetch(
-    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
-    {
-      headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+// {name, type, size, body} or null. Looks in R2 first, then KV, so files
+// stored before the bucket was bound stay readable.
+async function readFormFile(env, fullProjectName, id) {
+  const key = `form-file:${fullProjectName}:${id}`;
+  if (env.UPLOADS) {
+    const obj = await env.UPLOADS.get(key);
+    if (obj && formFileExpired(obj)) {
+      await env.UPLOADS.delete(key);
+    } else if (obj) {
+      return {
+        name: obj.customMetadata?.name || 'file',
+        type: obj.httpMetadata?.contentType || 'application/octet-stream',
+        size: obj.size,
+        body: obj.body
+      };
     }
-  );
+  }
 
-  const listResult = await listResponse.json();
-  const existingApp = listResult.result?.find(app =>
-    app.domain === appDomain || app.name === projectName
-  );
+  const first = await env.USERS.getWithMetadata(`${key}:0`, 'arrayBuffer');
+  if (!first.value || !first.metadata) return null;
+  const { name, type, size, chunks } = first.metadata;
+  const data = new Uint8Array(size);
+  data.set(new Uint8Array(first.value), 0);
+  for (let i = 1; i < chunks; i++) {
+    const chunk = await env.USERS.get(`${key}:${i}`, 'arrayBuffer');
+    if (!chunk) return null;
+    data.set(new Uint8Array(chunk), i * FORM_FILE_CHUNK_BYTES);
+  }
+  return { name, type, size, body: data };
+}
 
-  if (existingApp) {
-    const policiesResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${existingApp.id}/policies`,
-      {
-        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
-      }
-    );
+function formFileExpired(obj) {
+  const expires = Number(obj.customMetadata?.expires);
+  return expires > 0 && expires * 1000 < Date.now();
+}
 
-    const policiesResult = await policiesResponse.json();
-    const existingPolicy = policiesResult.result?.[0];
+// Cron: deletes one page of expired form files from R2, resuming where the
+// last run stopped. KV chunks expire on their own.
+async function pruneExpiredFormFiles(env) {
+  if (!env.UPLOADS) return;
+  const cursor = await env.USERS.get('form-file-sweep') || undefined;
+  const page = await env.UPLOADS.list({ prefix: 'form-file:', cursor, include: ['customMetadata'] });
+  const expired = page.objects.filter(formFileExpired).map(o => o.key);
+  if (expired.length > 0) await env.UPLOADS.delete(expired);
+  if (page.truncated) {
+    await env.USERS.put('form-file-sweep', page.cursor);
+  } else {
+    await env.USERS.delete('form-file-sweep');
+  }
+}
 
-    if (existingPolicy) {
-      await fetch(
-        `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${existingApp.id}/policies/${existingPolicy.id}`,
-        {
-          method: 'PUT',
-          headers: {
-            'Authorization': `Bearer ${env.CF_API_TOKEN}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            name: 'Allowed Users',
-            decision: 'allow',
-            include: include
-          })
-        }
-      );
-    }
+async function listFormFileKeys(env, fullProjectName) {
+  const prefix = `form-file:${fullProjectName}:`;
+  const objects = [];
+  const kvKeys = [];
+  let cursor;
+  if (env.UPLOADS) {
+    do {
+      const page = await env.UPLOADS.list({ prefix, cursor });
+      objects.push(...page.objects.map(o => o.key));
+      cursor = page.truncated ? page.cursor : undefined;
+    } while (cursor);
+  }
+  do {
+    const page = await env.USERS.list({ prefix, cursor });
+    kvKeys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return { objects, kvKeys };
+}
 
-    return { status: 'updated', appId: existingApp.id };
+async function deleteFormFiles(env, fullProjectName) {
+  const { objects, kvKeys } = await listFormFileKeys(env, fullProjectName);
+  for (let i = 0; i < objects.length; i += 1000) {
+    await env.UPLOADS.delete(objects.slice(i, i + 1000));
   }
+  for (const key of kvKeys) {
+    await env.USERS.delete(key.name);
+  }
+}
 
-  const createAppResponse = await fetch(
-    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${env.CF_API_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        name: projectName,
-        domain: appDomain,
-        type: 'self_hosted',
-        session_duration: '24h',
-        auto_redirect_to_identity: false
-      })
+// Follows the submissions to a renamed project. Their references hold only
+// the file id, so they stay valid.
+async function moveFormFiles(env, fromName, toName) {
+  const { objects, kvKeys } = await listFormFileKeys(env, fromName);
+  const rename = (name) => `form-file:${toName}:${name.slice(`form-file:${fromName}:`.length)}`;
+
+  for (const name of objects) {
+    const obj = await env.UPLOADS.get(name);
+    if (obj) {
+      await env.UPLOADS.put(rename(name), obj.body, {
+        httpMetadata: obj.httpMetadata,
+        customMetadata: obj.customMetadata
+      });
     }
-  );
-
-  const appResult = await createAppResponse.json();
-
-  if (!createAppResponse.ok) {
-    return { status: 'failed', error: appResult };
+    await env.UPLOADS.delete(name);
   }
-
-  const appId = appResult.result.id;
-
-  const createPolicyResponse = await fetch(
-    `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${appId}/policies`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${env.CF_API_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        name: 'Allowed Users',
-        decision: 'allow',
-        include: include
-      })
+  for (const key of kvKeys) {
+    const { value, metadata } = await env.USERS.getWithMetadata(key.name, 'arrayBuffer');
+    if (value !== null) {
+      const options = copiedExpiration(key);
+      if (metadata) options.metadata = metadata;
+      await env.USERS.put(rename(key.name), value, options);
     }
-  );
-
-  const policyResult = await createPolicyResponse.json();
+    await env.USERS.delete(key.name);
+  }
 
-  if (!createPolicyResponse.ok) {
-    return { status: 'partial', appId: appId, policyError: policyResult };
+  const limits = await env.USERS.get(`form-upload-limits:${fromName}`);
+  if (limits) {
+    await env.USERS.put(`form-upload-limits:${toName}`, limits);
+    await env.USERS.delete(`form-upload-limits:${fromName}`);
   }
+}
 
-  return { status: 'created', appId: appId };
+// Adds an authenticated download URL to each file reference.
+function withFileUrls(files, origin, fullProjectName) {
+  return files.map(({ storage, ...file }) => ({
+    ...file,
+    url: `${origin}/forms/files/${file.id}?project=${encodeURIComponent(fullProjectName)}`
+  }));
 }
 
-async function handleList(env, corsHeaders, username) {
+// GET/PUT/DELETE /forms/files - a project's upload limits
+// GET /forms/files/<id>       - download one uploaded file
+async function handleFormFiles(request, env, corsHeaders, username, path) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
   try {
-    const response = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects`,
-      {
-        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
-      }
-    );
-
-    const result = await response.json();
+    const url = new URL(request.url);
+    const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
+        status: 400,
+        headers: jsonHeaders
+      });
+    }
 
-    if (!response.ok) {
-      return new Response(JSON.stringify({
-        error: 'Failed to list projects',
-        details: result
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only access your own project forms' }), {
+        status: 403,
+        headers: jsonHeaders
       });
     }
+    const fullProjectName = access.fullProjectName;
+    const id = path.slice('/forms/files/'.length);
 
-    // Filter to only this user's projects (prefixed with username-)
-    const userPrefix = `${username}-`;
-    const projects = result.result
-      .filter(p => p.name.startsWith(userPrefix))
-      .map(p => {
-        // Get custom domain if configured (exclude *.pages.dev)
-        const customDomain = (p.domains || []).find(d => !d.endsWith('.pages.dev'));
-        return {
-          name: p.name,
-          shortName: p.name.replace(userPrefix, ''),
-          url: customDomain ? `https://${customDomain}` : `https://${p.name}.pages.dev`,
-          customDomain: customDomain || null,
-          created: p.created_on
-        };
+    if (id) {
+      if (request.method !== 'GET') {
+        return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+      }
+      const file = /^[0-9a-f]{24}$/.test(id) ? await readFormFile(env, fullProjectName, id) : null;
+      if (!file) {
+        return new Response(JSON.stringify({ error: 'File not found (files expire with their submission)' }), {
+          status: 404,
+          headers: jsonHeaders
+        });
+      }
+      // Always an attachment: an uploaded HTML file must not render on this origin
+      return new Response(file.body, {
+        headers: {
+          ...corsHeaders,
+          'Content-Type': file.type,
+          'Content-Length': String(file.size),
+          'Content-Disposition': `attachment; filename="${file.name.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+          'X-Content-Type-Options': 'nosniff',
+          'Cache-Control': 'private, no-store'
+        }
       });
+    }
+
+    if (request.method === 'PUT') {
+      const body = await request.json().catch(() => ({}));
+      const limits = await getFormUploadLimits(env, fullProjectName);
+      if (body.maxBytes !== undefined) {
+        if (!Number.isInteger(body.maxBytes) || body.maxBytes < 1 || body.maxBytes > FORM_FILE_MAX_BYTES) {
+          return new Response(JSON.stringify({
+            error: `maxBytes must be a whole number of bytes up to ${FORM_FILE_MAX_BYTES} (${formatFileLimit(FORM_FILE_MAX_BYTES)})`
+          }), { status: 400, headers: jsonHeaders });
+        }
+        limits.maxBytes = body.maxBytes;
+      }
+      if (body.types !== undefined) {
+        const types = Array.isArray(body.types) ? body.types.map(t => String(t).trim().toLowerCase()) : null;
+        if (!types || types.length > 50) {
+          return new Response(JSON.stringify({
+            error: 'types must be a list of up to 50 MIME types like "application/pdf" or "image/*"'
+          }), { status: 400, headers: jsonHeaders });
+        }
+        const bad = types.find(t => !/^[a-z0-9][a-z0-9.+-]*\/(\*|[a-z0-9][a-z0-9.+-]*)$/.test(t));
+        if (bad !== undefined) {
+          return new Response(JSON.stringify({ error: `Not a MIME type: ${bad}` }), { status: 400, headers: jsonHeaders });
+        }
+        limits.types = [...new Set(types)];
+      }
+      await env.USERS.put(`form-upload-limits:${fullProjectName}`, JSON.stringify(limits));
+    } else if (request.method === 'DELETE') {
+      await env.USERS.delete(`form-upload-limits:${fullProjectName}`);
+    } else if (request.method !== 'GET') {
+      return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
+    }
 
+    const limits = await getFormUploadLimits(env, fullProjectName);
     return new Response(JSON.stringify({
       success: true,
-      username,
-      projects
-    }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+      project: fullProjectName,
+      enabled: limits.types.length > 0,
+      maxBytes: limits.maxBytes,
+      types: limits.types,
+      maxFiles: MAX_FORM_FILES,
+      storage: env.UPLOADS ? 'r2' : 'kv'
+    }), { headers: jsonHeaders });
 
   } catch (error) {
     return new Response(JSON.stringify({
-      error: 'Internal error',
+      error: 'Failed to handle form files',
       message: error.message
     }), {
       status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      headers: jsonHeaders
     });
   }
 }
 
-async function handleUninstall(request, env, corsHeaders, username) {
-  try {
-    const deletedProjects = [];
-    const deletedApps = [];
-    let errors = [];
+// ============================================================
+// FORM SCHEMAS
+// ============================================================
+// An owner can describe a project's form so junk never gets stored: each
+// field's type, whether it's required, a maximum length and a list of
+// allowed values. With `strict`, fields the schema doesn't name are refused
+// too. Fields starting with `_` (_redirect, _subject...) are never checked.
+// A failed submission gets per-field errors: JSON for fetch() callers, and
+// for plain HTML posts the form re-rendered with the visitor's values and
+// the errors next to each field.
+//
+// KV keys:
+//   form-schema:<fullProjectName>   {fields: [{name, label, type, required, maxLength, values}], strict, updated}
+
+const FORM_FIELD_TYPES = ['text', 'email', 'url', 'number', 'file'];
+const MAX_SCHEMA_FIELDS = 50;
+const MAX_SCHEMA_VALUES = 100;
+
+// Returns {schema} normalized for storage, or {error}.
+function normalizeFormSchema(body) {
+  if (!body || !Array.isArray(body.fields) || body.fields.length === 0) {
+    return { error: 'fields must be a non-empty list' };
+  }
+  if (body.fields.length > MAX_SCHEMA_FIELDS) {
+    return { error: `At most ${MAX_SCHEMA_FIELDS} fields` };
+  }
 
-    // Get user record to find API key and machine ID
-    const userData = await getUserByUsername(env, username);
-    const apiKey = userData?.key;
-    const machineId = userData?.machineId;
+  const fields = [];
+  for (const field of body.fields) {
+    const name = typeof field?.name === 'string' ? field.name.trim() : '';
+    if (!name || name.startsWith('_') || name.length > 64) {
+      return { error: 'Each field needs a name of up to 64 characters, not starting with _' };
+    }
+    if (fields.some(f => f.name === name)) {
+      return { error: `${name} is listed twice` };
+    }
+    const type = field.type ?? 'text';
+    if (!FORM_FIELD_TYPES.includes(type)) {
+      return { error: `${name}: type must be one of: ${FORM_FIELD_TYPES.join(', ')}` };
+    }
+    const normalized = { name, type, required: field.required === true };
 
-    // 1. Get all user's Pages projects
-    const projectsResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects`,
-      {
-        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+    if (field.label !== undefined) {
+      if (typeof field.label !== 'string' || field.label.length > 100) {
+        return { error: `${name}: label must be text of up to 100 characters` };
       }
-    );
+      normalized.label = field.label;
+    }
+    if (field.maxLength !== undefined) {
+      if (type === 'file' || !Number.isInteger(field.maxLength) || field.maxLength < 1 || field.maxLength > 10240) {
+        return { error: `${name}: maxLength must be a whole number from 1 to 10240, and not on file fields` };
+      }
+      normalized.maxLength = field.maxLength;
+    }
+    if (field.values !== undefined) {
+      const valid = type !== 'file' && Array.isArray(field.values)
+        && field.values.length > 0 && field.values.length <= MAX_SCHEMA_VALUES
+        && field.values.every(v => type === 'number' ? Number.isFinite(v) : typeof v === 'string');
+      if (!valid) {
+        return {
+          error: `${name}: values must be a list of up to ${MAX_SCHEMA_VALUES} ${type === 'number' ? 'numbers' : 'strings'}, and not on file fields`
+        };
+      }
+      normalized.values = field.values;
+    }
+    fields.push(normalized);
+  }
 
-    const projectsResult = await projectsResponse.json();
+  return { schema: { fields, strict: body.strict === true } };
+}
 
-    if (projectsResponse.ok) {
-      const userPrefix = `${username}-`;
-      const userProjects = projectsResult.result.filter(p => p.name.startsWith(userPrefix));
+async function getFormSchema(env, fullProjectName) {
+  return await env.USERS.get(`form-schema:${fullProjectName}`, 'json');
+}
 
-      // Delete each project
-      for (const project of userProjects) {
-        const deleteResponse = await fetch(
-          `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/pages/projects/${project.name}`,
-          {
-            method: 'DELETE',
-            headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
-          }
-        );
+async function deleteFormSchema(env, fullProjectName) {
+  await env.USERS.delete(`form-schema:${fullProjectName}`);
+}
 
-        if (deleteResponse.ok) {
-          deletedProjects.push(project.name);
-        } else {
-          const errorResult = await deleteResponse.json();
-          errors.push({ type: 'project', name: project.name, error: errorResult });
-        }
+async function moveFormSchema(env, fromName, toName) {
+  const schema = await env.USERS.get(`form-schema:${fromName}`);
+  if (schema) {
+    await env.USERS.put(`form-schema:${toName}`, schema);
+    await env.USERS.delete(`form-schema:${fromName}`);
+  }
+}
+
+// Problem with one value, or null. `value` is present and not blank.
+function checkFieldValue(field, value) {
+  if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+    return 'Must be a single value.';
+  }
+  const text = String(value).trim();
+  if (field.maxLength && text.length > field.maxLength) {
+    return `Must be at most ${field.maxLength} characters.`;
+  }
+  if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+    return 'Enter a valid email address.';
+  }
+  if (field.type === 'url') {
+    let url = null;
+    try { url = new URL(text); } catch {}
+    if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+      return 'Enter a full web address starting with https://.';
+    }
+  }
+  if (field.type === 'number' && !Number.isFinite(Number(text))) {
+    return 'Enter a number.';
+  }
+  if (field.values) {
+    const allowed = field.type === 'number'
+      ? field.values.includes(Number(text))
+      : field.values.includes(text);
+    if (!allowed) {
+      const shown = field.values.slice(0, 10).join(', ');
+      return `Choose one of: ${shown}${field.values.length > 10 ? ', ...' : ''}.`;
+    }
+  }
+  return null;
+}
+
+// Field name -> message for everything wrong with a submission; empty when
+// it passes. `uploads` are the {field, file} entries from parseFormData.
+function validateFormSubmission(schema, data, uploads) {
+  const errors = {};
+  for (const field of schema.fields) {
+    if (field.type === 'file') {
+      if (field.required && !uploads.some(u => u.field === field.name)) {
+        errors[field.name] = 'Attach a file.';
       }
+      continue;
+    }
+    if (uploads.some(u => u.field === field.name)) {
+      errors[field.name] = 'Must be text, not a file.';
+      continue;
     }
+    const value = data[field.name];
+    if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+      if (field.required) errors[field.name] = 'This field is required.';
+      continue;
+    }
+    const problem = checkFieldValue(field, value);
+    if (problem) errors[field.name] = problem;
+  }
 
-    // 2. Get and delete all user's Access apps
-    const appsResponse = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
-      {
-        headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
+  if (schema.strict) {
+    const known = new Set(schema.fields.map(f => f.name));
+    const submitted = [...Object.keys(data), ...uploads.map(u => u.field)];
+    for (const name of submitted) {
+      if (!name.startsWith('_') && !known.has(name)) {
+        errors[name] = 'This form has no such field.';
       }
-    );
+    }
+  }
+  return errors;
+}
 
-    const appsResult = await appsResponse.json();
+// GET/PUT/DELETE /forms/schema - a project's form schema
+async function handleFormSchema(request, env, corsHeaders, username) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const url = new URL(request.url);
+    const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
+        status: 400,
+        headers: jsonHeaders
+      });
+    }
 
-    if (appsResponse.ok) {
-      const userPrefix = `${username}-`;
-      const userApps = appsResult.result.filter(app =>
-        app.name.startsWith(userPrefix) ||
-        (app.domain && app.domain.startsWith(userPrefix))
-      );
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only change your own project forms' }), {
+        status: 403,
+        headers: jsonHeaders
+      });
+    }
+    const fullProjectName = access.fullProjectName;
 
-      for (const app of userApps) {
-        const deleteResponse = await fetch(
-          `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${app.id}`,
-          {
-            method: 'DELETE',
-            headers: { 'Authorization': `Bearer ${env.CF_API_TOKEN}` }
-          }
-        );
+    if (request.method === 'GET') {
+      const schema = await getFormSchema(env, fullProjectName);
+      return new Response(JSON.stringify({ success: true, project: fullProjectName, schema }), { headers: jsonHeaders });
+    }
 
-        if (deleteResponse.ok) {
-          deletedApps.push(app.name);
-        } else {
-          const errorResult = await deleteResponse.json();
-          errors.push({ type: 'access_app', name: app.name, error: errorResult });
-        }
+    if (request.method === 'PUT') {
+      const body = await request.json().catch(() => null);
+      const { schema, error } = normalizeFormSchema(body);
+      if (error) {
+        return new Response(JSON.stringify({ error }), { status: 400, headers: jsonHeaders });
       }
+      schema.updated = new Date().toISOString();
+      await env.USERS.put(`form-schema:${fullProjectName}`, JSON.stringify(schema));
+      return new Response(JSON.stringify({ success: true, project: fullProjectName, schema }), { headers: jsonHeaders });
     }
 
-    // 3. Delete user from KV
-    await env.USERS.delete(`user:${username}`);
-    if (apiKey) {
-      await env.USERS.delete(`key:${apiKey}`);
-    }
-    if (machineId) {
-      await env.USERS.delete(`machine:${machineId}`);
+    if (request.method === 'DELETE') {
+      await deleteFormSchema(env, fullProjectName);
+      return new Response(JSON.stringify({ success: true, project: fullProjectName, schema: null }), { headers: jsonHeaders });
     }
 
-    return new Response(JSON.stringify({
-      success: true,
-      message: 'Account and all resources deleted',
-      deleted: {
-        projectsCount: deletedProjects.length,
-        appsCount: deletedApps.length,
-        userRecord: true
-      },
-      projects: deletedProjects,
-      accessApps: deletedApps,
-      errors: errors.length > 0 ? errors : undefined
-    }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
 
   } catch (error) {
     return new Response(JSON.stringify({
-      error: 'Internal error during uninstall',
+      error: 'Failed to handle form schema',
       message: error.message
     }), {
       status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      headers: jsonHeaders
     });
   }
 }
 
 // ============================================================
-// FORM SUBMISSION HANDLERS
+// FORM SPAM CHALLENGES
 // ============================================================
-
-// Hash IP for privacy (we don't store raw IPs)
-async function hashIP(ip) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(ip + 'bassh-salt');
-  const hash = await crypto.subtle.digest('SHA-256', data);
-  return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 16);
+// Optional per-project check that a submission came from a person's browser,
+// on top of the honeypot and the per-IP rate limit:
+//
+//   turnstile  the form carries a Cloudflare Turnstile widget; its token
+//              (cf-turnstile-response) is checked with the owner's secret key
+//   pow        proof of work, no third party: the page loads
+//              /form-challenge.js, which fetches GET /form/<project>/challenge
+//              and searches for a nonce whose SHA-256 with the challenge
+//              starts with `difficulty` zero bits, sent back as `_pow`
+//
+// Challenges are stateless (signed with the project's powSecret) and last
+// POW_CHALLENGE_TTL; each solution is accepted once. Submissions caught by
+// the honeypot or the challenge are counted per day so the owner can see
+// how much spam the form gets.
+//
+// KV keys:
+//   form-challenge:<fullProjectName>      {mode, turnstileSecret, powSecret, difficulty, updated}
+//   pow-used:<fullProjectName>:<id>       "" until the challenge expires
+//   form-spam:<fullProjectName>:<date>    "" with metadata {honeypot, challenge}; kept FORM_SPAM_DAYS
+
+const FORM_CHALLENGE_MODES = ['turnstile', 'pow'];
+const POW_DIFFICULTY_DEFAULT = 16;              // ~65k hashes, well under a second in a browser
+const POW_DIFFICULTY_RANGE = [8, 24];
+const POW_CHALLENGE_TTL = 10 * 60;              // seconds
+const FORM_SPAM_DAYS = 30;
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+async function getFormChallenge(env, fullProjectName) {
+  return await env.USERS.get(`form-challenge:${fullProjectName}`, 'json');
 }
 
-// Check rate limit for form submissions (10/min per IP per project)
-async function checkFormRateLimit(env, ip, projectName) {
-  const hashedIP = await hashIP(ip);
-  const key = `ratelimit:form:${projectName}:${hashedIP}`;
-  const current = parseInt(await env.USERS.get(key) || '0');
+function describeFormChallenge(settings) {
+  if (!settings) return { enabled: false };
+  return settings.mode === 'pow'
+    ? { enabled: true, mode: 'pow', difficulty: settings.difficulty }
+    : { enabled: true, mode: 'turnstile' };
+}
 
-  if (current >= 10) {
-    return false;
-  }
+// Counts one rejected submission. Like the rate limit counter, racing
+// submissions can lose an increment; it's a report, not a limit.
+async function recordFormSpam(env, fullProjectName, reason) {
+  const key = `form-spam:${fullProjectName}:${new Date().toISOString().slice(0, 10)}`;
+  const { metadata } = await env.USERS.getWithMetadata(key);
+  const counts = { honeypot: 0, challenge: 0, ...(metadata || {}) };
+  counts[reason]++;
+  await env.USERS.put(key, '', { metadata: counts, expirationTtl: (FORM_SPAM_DAYS + 1) * 86400 });
+}
 
-  await env.USERS.put(key, String(current + 1), { expirationTtl: 60 });
-  return true;
+// {honeypot, challenge, total, days: [{date, honeypot, challenge}]} over the
+// last FORM_SPAM_DAYS, newest day first.
+async function formSpamCounts(env, fullProjectName) {
+  const prefix = `form-spam:${fullProjectName}:`;
+  const since = new Date(Date.now() - FORM_SPAM_DAYS * 86400000).toISOString().slice(0, 10);
+  const page = await env.USERS.list({ prefix });
+  const days = page.keys
+    .map(key => ({ date: key.name.slice(prefix.length), honeypot: 0, challenge: 0, ...(key.metadata || {}) }))
+    .filter(day => day.date > since)
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const honeypot = days.reduce((sum, d) => sum + d.honeypot, 0);
+  const challenge = days.reduce((sum, d) => sum + d.challenge, 0);
+  return { honeypot, challenge, total: honeypot + challenge, days };
 }
 
-// Parse form data from request (supports urlencoded and JSON)
-async function parseFormData(request) {
-  const contentType = request.headers.get('Content-Type') || '';
+async function deleteFormChallenge(env, fullProjectName) {
+  await env.USERS.delete(`form-challenge:${fullProjectName}`);
+  const page = await env.USERS.list({ prefix: `form-spam:${fullProjectName}:` });
+  for (const key of page.keys) {
+    await env.USERS.delete(key.name);
+  }
+}
 
-  if (contentType.includes('application/json')) {
-    return await request.json();
+async function moveFormChallenge(env, fromName, toName) {
+  const settings = await env.USERS.get(`form-challenge:${fromName}`);
+  if (settings) {
+    await env.USERS.put(`form-challenge:${toName}`, settings);
+  }
+  const page = await env.USERS.list({ prefix: `form-spam:${fromName}:` });
+  for (const key of page.keys) {
+    await env.USERS.put(`form-spam:${toName}:${key.name.slice(`form-spam:${fromName}:`.length)}`, '', {
+      metadata: key.metadata,
+      expirationTtl: (FORM_SPAM_DAYS + 1) * 86400
+    });
   }
+  await deleteFormChallenge(env, fromName);
+}
 
-  if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
-    const formData = await request.formData();
-    const data = {};
-    for (const [key, value] of formData.entries()) {
-      data[key] = value;
+// `<expires>.<id>.<difficulty>.<signature>`, bound to the project.
+async function issuePowChallenge(settings, fullProjectName) {
+  const expires = Math.floor(Date.now() / 1000) + POW_CHALLENGE_TTL;
+  const id = bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+  const body = `${expires}.${id}.${settings.difficulty}`;
+  return { challenge: `${body}.${await hmacHex(settings.powSecret, `${fullProjectName}.${body}`)}`, expires };
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
     }
-    return data;
+    return bits + Math.clz32(byte) - 24;
   }
+  return bits;
+}
 
-  // Try JSON as fallback
+// `token` is `<challenge>:<nonce>` as sent in `_pow`.
+async function verifyPowSolution(env, fullProjectName, settings, token) {
+  if (typeof token !== 'string' || token.length > 200) return false;
+  const [challenge, nonce, extra] = token.split(':');
+  const [expires, id, difficulty, signature] = challenge.split('.');
+  if (extra !== undefined || !signature || !/^\d{1,16}$/.test(nonce || '')) return false;
+
+  const body = `${expires}.${id}.${difficulty}`;
+  const expected = await hmacHex(settings.powSecret, `${fullProjectName}.${body}`);
+  const now = Math.floor(Date.now() / 1000);
+  if (!timingSafeEqual(signature, expected) || Number(expires) < now) return false;
+  // A challenge issued before the owner raised the difficulty doesn't count
+  if (Number(difficulty) < settings.difficulty) return false;
+
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+  if (leadingZeroBits(hash) < Number(difficulty)) return false;
+
+  const usedKey = `pow-used:${fullProjectName}:${id}`;
+  if (await env.USERS.get(usedKey) !== null) return false;
+  await env.USERS.put(usedKey, '', { expirationTtl: Math.max(60, Number(expires) - now) });
+  return true;
+}
+
+async function verifyTurnstileToken(settings, token, ip) {
+  if (typeof token !== 'string' || !token) return false;
+  const body = new FormData();
+  body.append('secret', settings.turnstileSecret);
+  body.append('response', token);
+  if (ip !== 'unknown') body.append('remoteip', ip);
   try {
-    return await request.json();
+    const response = await fetch(TURNSTILE_VERIFY_URL, { method: 'POST', body });
+    const result = await response.json();
+    return result.success === true;
   } catch {
-    return {};
+    return false;
   }
 }
 
-// Handle form submission (public endpoint - no auth required)
-async function handleFormSubmit(request, env, corsHeaders, projectName) {
-  try {
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+async function passesFormChallenge(env, fullProjectName, settings, formData, turnstileToken, ip) {
+  return settings.mode === 'pow'
+    ? await verifyPowSolution(env, fullProjectName, settings, formData._pow)
+    : await verifyTurnstileToken(settings, turnstileToken, ip);
+}
 
-    // Rate limit check
-    const allowed = await checkFormRateLimit(env, ip, projectName);
-    if (!allowed) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Rate limit exceeded. Please try again later.'
-      }), {
-        status: 429,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+// GET /form/<project>/challenge - public; hands a proof-of-work challenge to the page
+async function handleFormChallengeIssue(request, env, corsHeaders, projectName) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+  try {
+    const fullProjectName = await resolveMovedProject(env, projectName);
+    const settings = await getFormChallenge(env, fullProjectName);
+    if (settings?.mode !== 'pow') {
+      return new Response(JSON.stringify({ error: 'This form has no proof-of-work challenge' }), {
+        status: 404,
+        headers: jsonHeaders
       });
     }
+    const { challenge, expires } = await issuePowChallenge(settings, fullProjectName);
+    return new Response(JSON.stringify({
+      success: true,
+      algorithm: 'SHA-256',
+      challenge,
+      difficulty: settings.difficulty,
+      expires: new Date(expires * 1000).toISOString()
+    }), { headers: jsonHeaders });
 
-    // Parse form data
-    const formData = await parseFormData(request);
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Failed to issue challenge',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
+    });
+  }
+}
 
-    // Check payload size (10KB limit)
-    const payloadSize = JSON.stringify(formData).length;
-    if (payloadSize > 10240) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Payload too large. Maximum 10KB allowed.'
-      }), {
-        status: 413,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+// GET/PUT/DELETE /forms/challenge - a project's spam challenge, and its spam counts
+async function handleFormChallenge(request, env, corsHeaders, username) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+  try {
+    const url = new URL(request.url);
+    const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
+    if (!projectName) {
+      return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
+        status: 400,
+        headers: jsonHeaders
       });
     }
 
-    // Check honeypot field (spam protection)
-    if (formData._honeypot) {
-      // Silently accept but don't store (looks like spam)
-      const redirect = formData._redirect || formData._next;
-      if (redirect) {
-        return Response.redirect(redirect, 302);
-      }
-      return new Response(JSON.stringify({ success: true, id: 'ignored' }), {
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only change your own project forms' }), {
+        status: 403,
+        headers: jsonHeaders
       });
     }
+    const fullProjectName = access.fullProjectName;
+    let settings = await getFormChallenge(env, fullProjectName);
 
-    // Separate special fields from user data
-    const userData = {};
-    let redirect = null;
+    if (request.method === 'PUT') {
+      const body = await request.json().catch(() => ({}));
+      if (!FORM_CHALLENGE_MODES.includes(body.mode)) {
+        return new Response(JSON.stringify({ error: `mode must be one of: ${FORM_CHALLENGE_MODES.join(', ')}` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+      settings = { ...(settings || {}), mode: body.mode, updated: new Date().toISOString() };
 
-    for (const [key, value] of Object.entries(formData)) {
-      if (key.startsWith('_')) {
-        if (key === '_redirect' || key === '_next') {
-          redirect = value;
+      if (body.mode === 'turnstile') {
+        if (body.secret !== undefined && (typeof body.secret !== 'string' || !body.secret.trim() || body.secret.length > 200)) {
+          return new Response(JSON.stringify({ error: 'secret must be your Turnstile widget\'s secret key' }), {
+            status: 400,
+            headers: jsonHeaders
+          });
+        }
+        if (body.secret) settings.turnstileSecret = body.secret.trim();
+        if (!settings.turnstileSecret) {
+          return new Response(JSON.stringify({ error: 'Turnstile needs the widget\'s secret key in `secret`' }), {
+            status: 400,
+            headers: jsonHeaders
+          });
         }
-        // Skip other special fields (_honeypot, _subject, etc.)
       } else {
-        userData[key] = value;
+        const difficulty = body.difficulty ?? settings.difficulty ?? POW_DIFFICULTY_DEFAULT;
+        const [min, max] = POW_DIFFICULTY_RANGE;
+        if (!Number.isInteger(difficulty) || difficulty < min || difficulty > max) {
+          return new Response(JSON.stringify({ error: `difficulty must be a whole number of bits from ${min} to ${max}` }), {
+            status: 400,
+            headers: jsonHeaders
+          });
+        }
+        settings.difficulty = difficulty;
+        settings.powSecret = settings.powSecret || bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
       }
+      await env.USERS.put(`form-challenge:${fullProjectName}`, JSON.stringify(settings));
+    } else if (request.method === 'DELETE') {
+      await env.USERS.delete(`form-challenge:${fullProjectName}`);
+      settings = null;
+    } else if (request.method !== 'GET') {
+      return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405, headers: jsonHeaders });
     }
 
-    // Build submission record
-    const timestamp = Date.now();
-    const uuid = crypto.randomUUID();
-    const submission = {
-      _meta: {
-        submitted: new Date(timestamp).toISOString(),
-        ip: await hashIP(ip),
-        userAgent: request.headers.get('User-Agent') || '',
-        referer: request.headers.get('Referer') || ''
-      },
-      data: userData
-    };
+    return new Response(JSON.stringify({
+      success: true,
+      project: fullProjectName,
+      ...describeFormChallenge(settings),
+      spam: await formSpamCounts(env, fullProjectName)
+    }), { headers: jsonHeaders });
 
-    // Store in FORMS KV with 90-day TTL
-    const key = `${projectName}:${timestamp}:${uuid}`;
-    await env.FORMS.put(key, JSON.stringify(submission), {
-      expirationTtl: 90 * 24 * 60 * 60 // 90 days
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Failed to handle form challenge',
+      message: error.message
+    }), {
+      status: 500,
+      headers: jsonHeaders
     });
+  }
+}
 
-    // Respond based on request type
-    const acceptHeader = request.headers.get('Accept') || '';
+// ============================================================
+// FORM NOTIFICATIONS
+// ============================================================
+// Emails a project's form submissions to the addresses its owner lists, as
+// they arrive (`instant`) or once a day (`digest`, from the cron trigger in
+// wrangler.toml). An address gets nothing until it confirms, except the
+// account emails of the owner or the team's members, which are verified
+// already. Every email carries a link that takes its recipient off the list.
+// Instant mode sends at most NOTIFY_INSTANT_PER_HOUR emails per project; the
+// rest are still in `bassh forms`.
+//
+// The daily cron only queues a digest run; the every-5-minutes cron sends
+// FORM_DIGESTS_PER_RUN of them at a time, so a big account can't run one
+// invocation out of subrequests and leave the last projects without theirs.
+//
+// KV keys:
+//   form-notify:<fullProjectName>   {mode, useSubject, origin, lastDigest, recipients: {email: {token, confirmed, added}}}
+//     metadata: {mode, lastDigest} so the digest run finds its projects without reads
+//   form-digest-run                 {started, cursor} while a day's digests are going out
+//   notify-token:<token>            {project, email}  one per recipient, for its confirm and stop links
+//   notify-count:<fullProjectName>:<hour>   instant emails sent that hour (2h TTL)
+
+const NOTIFY_MODES = ['instant', 'digest'];
+const MAX_NOTIFY_RECIPIENTS = 10;
+const NOTIFY_INSTANT_PER_HOUR = 30;
+const NOTIFY_DIGEST_ENTRIES = 50;
+const FORM_DIGESTS_PER_RUN = 10;
+
+async function getFormNotify(env, fullProjectName) {
+  return env.USERS.get(`form-notify:${fullProjectName}`, 'json');
+}
+
+async function putFormNotify(env, fullProjectName, settings) {
+  await env.USERS.put(`form-notify:${fullProjectName}`, JSON.stringify(settings), {
+    metadata: { mode: settings.mode, lastDigest: settings.lastDigest || null }
+  });
+}
+
+async function deleteFormNotify(env, fullProjectName) {
+  const settings = await getFormNotify(env, fullProjectName);
+  if (!settings) return;
+  for (const recipient of Object.values(settings.recipients)) {
+    await env.USERS.delete(`notify-token:${recipient.token}`);
+  }
+  await env.USERS.delete(`form-notify:${fullProjectName}`);
+}
+
+// On rename the settings move, and every recipient's links follow them
+async function moveFormNotify(env, fromName, toName) {
+  const settings = await getFormNotify(env, fromName);
+  if (!settings) return;
+  await putFormNotify(env, toName, settings);
+  for (const [email, recipient] of Object.entries(settings.recipients)) {
+    await env.USERS.put(`notify-token:${recipient.token}`, JSON.stringify({ project: toName, email }));
+  }
+  await env.USERS.delete(`form-notify:${fromName}`);
+}
+
+// Addresses that need no confirmation: the owner's account email, or for a
+// team its members'.
+async function trustedNotifyEmails(env, owner) {
+  const user = await getUserByUsername(env, owner);
+  if (user) return user.email ? [user.email] : [];
+  const emails = [];
+  for (const member of await listTeamMembers(env, owner)) {
+    const memberData = await getUserByUsername(env, member.username);
+    if (memberData?.email) emails.push(memberData.email);
+  }
+  return emails;
+}
+
+function notifyLink(origin, action, token) {
+  return `${origin}/forms/notify/${action}?token=${token}`;
+}
+
+function confirmedRecipients(settings) {
+  return Object.entries(settings.recipients).filter(([, recipient]) => recipient.confirmed);
+}
+
+function describeFormNotify(settings) {
+  if (!settings) return { enabled: false };
+  return {
+    enabled: true,
+    mode: settings.mode,
+    useSubject: settings.useSubject,
+    recipients: Object.entries(settings.recipients).map(([email, r]) => ({ email, confirmed: r.confirmed }))
+  };
+}
+
+// Email one submission to an instant-mode project's confirmed recipients
+async function notifySubmission(env, fullProjectName, settings, submission) {
+  const recipients = confirmedRecipients(settings);
+  if (recipients.length === 0 || !emailConfigured(env)) return;
+
+  const countKey = `notify-count:${fullProjectName}:${currentHour()}`;
+  const sent = parseInt(await env.USERS.get(countKey) || '0');
+  if (sent >= NOTIFY_INSTANT_PER_HOUR) return;
+  await env.USERS.put(countKey, String(sent + 1), { expirationTtl: 7200 });
+
+  const subject = (settings.useSubject && submission._meta.subject) || `New submission on ${fullProjectName}`;
+  const replyTo = isValidEmail(submission.data.email) ? submission.data.email : undefined;
+  for (const [email, recipient] of recipients) {
+    const result = await sendEmail(env, {
+      to: email,
+      subject,
+      replyTo,
+      html: submissionEmail({
+        project: fullProjectName,
+        submission,
+        stopUrl: notifyLink(settings.origin, 'stop', recipient.token)
+      })
+    });
+    if (!result.ok) console.error('Form notification failed:', email, result.error);
+  }
+}
 
-    if (redirect) {
-      return Response.redirect(redirect, 302);
+// Email a digest-mode project's submissions since its last digest
+async function sendFormDigest(env, fullProjectName) {
+  const settings = await getFormNotify(env, fullProjectName);
+  if (!settings) return;
+  const since = settings.lastDigest ? Date.parse(settings.lastDigest) : 0;
+  const now = new Date().toISOString();
+
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.FORMS.list({ prefix: `${fullProjectName}:`, cursor });
+    for (const key of page.keys) {
+      const timestamp = parseInt(key.name.slice(fullProjectName.length + 1));
+      if (timestamp > since) keys.push(key.name);
     }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
 
-    if (acceptHeader.includes('application/json')) {
-      return new Response(JSON.stringify({
-        success: true,
-        id: uuid,
-        message: 'Form submitted successfully'
-      }), {
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  const recipients = confirmedRecipients(settings);
+  if (keys.length > 0 && recipients.length > 0) {
+    // Newest first; keys sort oldest first by their timestamp
+    const submissions = [];
+    for (const name of keys.slice(-NOTIFY_DIGEST_ENTRIES).reverse()) {
+      const submission = await env.FORMS.get(name, 'json');
+      if (submission) submissions.push(submission);
+    }
+    const total = keys.length;
+    for (const [email, recipient] of recipients) {
+      const result = await sendEmail(env, {
+        to: email,
+        subject: `${total} new submission${total === 1 ? '' : 's'} on ${fullProjectName}`,
+        html: submissionDigestEmail({
+          project: fullProjectName,
+          submissions,
+          more: total - submissions.length,
+          stopUrl: notifyLink(settings.origin, 'stop', recipient.token)
+        })
       });
+      if (!result.ok) console.error('Form digest failed:', email, result.error);
     }
+  }
 
-    // Default: return simple HTML thank you page
-    return new Response(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Thank You</title>
-        <style>
-          body { font-family: system-ui; text-align: center; padding: 50px; }
-          h1 { color: #22c55e; }
-        </style>
-      </head>
-      <body>
-        <h1>Thank You!</h1>
-        <p>Your submission has been received.</p>
-      </body>
-      </html>
-    `, {
-      headers: { ...corsHeaders, 'Content-Type': 'text/html' }
-    });
+  await putFormNotify(env, fullProjectName, { ...settings, lastDigest: now });
+}
 
-  } catch (error) {
-    return new Response(JSON.stringify({
-      success: false,
-      error: 'Failed to process form submission',
-      message: error.message
-    }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
-  }
+const FORM_DIGEST_CRON = '0 8 * * *'; // must match wrangler.toml
+
+// Daily cron: queue a digest for every project that chose one
+async function startFormDigests(env) {
+  if (!emailConfigured(env)) return;
+  await env.USERS.put('form-digest-run', JSON.stringify({ started: new Date().toISOString(), cursor: null }));
 }
 
-// Handle form listing (authenticated)
-async function handleFormsList(request, env, corsHeaders, username) {
+// Every-5-minutes cron: send the next FORM_DIGESTS_PER_RUN digests of the
+// queued run. A project whose lastDigest is newer than the run already had
+// its digest, so resuming at the start of a page repeats nothing.
+async function sendFormDigests(env) {
+  if (!emailConfigured(env)) return;
+  const run = await env.USERS.get('form-digest-run', 'json');
+  if (!run) return;
+
+  let sent = 0;
+  let cursor = run.cursor || undefined;
+  do {
+    const page = await env.USERS.list({ prefix: 'form-notify:', cursor });
+    for (const key of page.keys) {
+      if (key.metadata?.mode !== 'digest') continue;
+      if (key.metadata.lastDigest && key.metadata.lastDigest >= run.started) continue;
+      if (sent === FORM_DIGESTS_PER_RUN) {
+        await env.USERS.put('form-digest-run', JSON.stringify({ ...run, cursor: cursor || null }));
+        return;
+      }
+      sent++;
+      try {
+        await sendFormDigest(env, key.name.slice('form-notify:'.length));
+      } catch (e) {
+        console.error('Form digest failed:', key.name, e.message);
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  await env.USERS.delete('form-digest-run');
+}
+
+// GET/PUT/DELETE /forms/notify?project=<name>
+//   PUT {emails, mode: 'instant'|'digest', useSubject} - fields left out keep
+//   their value. The first PUT without emails uses the account's own address.
+//   New addresses are sent a confirmation link.
+async function handleFormNotify(request, env, corsHeaders, username, origin) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
   try {
     const url = new URL(request.url);
     const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
-
     if (!projectName) {
       return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
         status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        headers: jsonHeaders
       });
     }
 
-    // Build full project name and verify ownership
-    const fullProjectName = projectName.startsWith(`${username}-`)
-      ? projectName
-      : `${username}-${projectName}`;
-
-    if (!fullProjectName.startsWith(`${username}-`)) {
-      return new Response(JSON.stringify({ error: 'You can only access your own project forms' }), {
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only manage notifications for your own projects' }), {
         status: 403,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        headers: jsonHeaders
       });
     }
+    const fullProjectName = access.fullProjectName;
+    const settings = await getFormNotify(env, fullProjectName);
 
-    // List submissions from FORMS KV
-    const listResult = await env.FORMS.list({ prefix: `${fullProjectName}:` });
+    if (request.method === 'GET') {
+      return new Response(JSON.stringify({
+        success: true,
+        project: fullProjectName,
+        ...describeFormNotify(settings)
+      }), { headers: jsonHeaders });
+    }
 
-    // Fetch all submissions
-    const submissions = [];
-    for (const key of listResult.keys) {
-      const value = await env.FORMS.get(key.name, 'json');
-      if (value) {
-        submissions.push({
-          id: key.name.split(':')[2], // Extract UUID
-          ...value
+    if (request.method === 'DELETE') {
+      await deleteFormNotify(env, fullProjectName);
+      return new Response(JSON.stringify({ success: true, project: fullProjectName, enabled: false }), {
+        headers: jsonHeaders
+      });
+    }
+
+    if (request.method !== 'PUT') {
+      return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+        status: 405,
+        headers: jsonHeaders
+      });
+    }
+
+    if (!emailConfigured(env)) {
+      return new Response(JSON.stringify({ error: 'Email service not configured.' }), {
+        status: 500,
+        headers: jsonHeaders
+      });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const next = settings || { mode: 'instant', useSubject: true, recipients: {} };
+
+    if (body.mode !== undefined) {
+      if (!NOTIFY_MODES.includes(body.mode)) {
+        return new Response(JSON.stringify({ error: `mode must be one of: ${NOTIFY_MODES.join(', ')}` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+      // A new digest starts from now, not from every stored submission
+      if (body.mode === 'digest' && next.mode !== 'digest') next.lastDigest = new Date().toISOString();
+      next.mode = body.mode;
+    }
+    if (body.useSubject !== undefined) {
+      if (typeof body.useSubject !== 'boolean') {
+        return new Response(JSON.stringify({ error: 'useSubject must be true or false' }), {
+          status: 400,
+          headers: jsonHeaders
         });
       }
+      next.useSubject = body.useSubject;
     }
 
-    // Sort by timestamp descending (newest first)
-    submissions.sort((a, b) =>
-      new Date(b._meta.submitted) - new Date(a._meta.submitted)
-    );
+    const trusted = await trustedNotifyEmails(env, username);
+    let emails = body.emails;
+    if (emails === undefined && !settings) emails = trusted;
+    const invited = [];
+
+    if (emails !== undefined) {
+      if (!Array.isArray(emails)) {
+        return new Response(JSON.stringify({ error: 'emails must be a list of addresses' }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+      emails = [...new Set(emails.map(e => String(e).toLowerCase().trim()).filter(Boolean))];
+      const invalid = emails.find(e => !isValidEmail(e));
+      if (invalid) {
+        return new Response(JSON.stringify({ error: `Invalid email: ${invalid}` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+      if (emails.length === 0) {
+        return new Response(JSON.stringify({
+          error: 'No recipients. List some addresses, or attach an email to your account with `bassh email` first.'
+        }), { status: 400, headers: jsonHeaders });
+      }
+      if (emails.length > MAX_NOTIFY_RECIPIENTS) {
+        return new Response(JSON.stringify({ error: `At most ${MAX_NOTIFY_RECIPIENTS} recipients per project` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+
+      const recipients = {};
+      for (const email of emails) {
+        if (next.recipients[email]) {
+          recipients[email] = next.recipients[email];
+          continue;
+        }
+        const token = bytesToHex(crypto.getRandomValues(new Uint8Array(24)));
+        recipients[email] = { token, confirmed: trusted.includes(email), added: new Date().toISOString() };
+        await env.USERS.put(`notify-token:${token}`, JSON.stringify({ project: fullProjectName, email }));
+        if (!recipients[email].confirmed) invited.push(email);
+      }
+      for (const [email, recipient] of Object.entries(next.recipients)) {
+        if (!recipients[email]) await env.USERS.delete(`notify-token:${recipient.token}`);
+      }
+      next.recipients = recipients;
+    }
+
+    next.origin = origin;
+    await putFormNotify(env, fullProjectName, next);
+
+    // Same per-address limit as sign-in links, so this can't be used to flood someone
+    const unsent = [];
+    for (const email of invited) {
+      const sent = await checkEmailRateLimit(env, email) && (await sendEmail(env, {
+        to: email,
+        subject: `Confirm form notifications for ${fullProjectName}`,
+        html: notifyConfirmEmail({
+          project: fullProjectName,
+          addedBy: username,
+          confirmUrl: notifyLink(origin, 'confirm', next.recipients[email].token)
+        })
+      })).ok;
+      if (!sent) unsent.push(email);
+    }
 
     return new Response(JSON.stringify({
       success: true,
       project: fullProjectName,
-      count: submissions.length,
-      submissions
-    }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      ...describeFormNotify(next),
+      confirmationSent: invited.filter(e => !unsent.includes(e)),
+      ...(unsent.length ? { confirmationFailed: unsent } : {})
+    }), { headers: jsonHeaders });
+  } catch (e) {
+    return new Response(JSON.stringify({ error: 'Internal error', message: e.message }), {
+      status: 500,
+      headers: jsonHeaders
     });
+  }
+}
 
-  } catch (error) {
-    return new Response(JSON.stringify({
-      error: 'Failed to list forms',
-      message: error.message
-    }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+// GET/POST /forms/notify/confirm?token=… and /forms/notify/stop?token=… -
+// the links in notification emails. Anyone holding the email may use them.
+// GET only shows a button that POSTs back: mail scanners open links, and
+// must not confirm an address or unsubscribe anyone by doing so.
+async function handleFormNotifyLink(request, env, corsHeaders, action) {
+  const htmlHeaders = { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' };
+  const errorPage = (msg) => new Response(oauthErrorPage(msg), { status: 400, headers: htmlHeaders });
+
+  const token = request.method === 'POST'
+    ? (await request.formData().catch(() => null))?.get('token')
+    : new URL(request.url).searchParams.get('token');
+  const data = token ? await env.USERS.get(`notify-token:${token}`, 'json') : null;
+  const settings = data ? await getFormNotify(env, data.project) : null;
+  const recipient = settings?.recipients[data.email];
+  if (!recipient || recipient.token !== token) {
+    return errorPage('This link is no longer valid. The address may already be off the list.');
+  }
+
+  if (request.method === 'GET') {
+    return new Response(notifyLinkPage({ action, project: data.project, email: data.email, token }), {
+      headers: htmlHeaders
     });
   }
+
+  if (action === 'confirm') {
+    recipient.confirmed = true;
+    await putFormNotify(env, data.project, settings);
+    return new Response(signinDonePage({
+      headline: 'Notifications confirmed',
+      message: `Form submissions to ${data.project} will be emailed to ${data.email}.`
+    }), { headers: htmlHeaders });
+  }
+
+  delete settings.recipients[data.email];
+  await env.USERS.delete(`notify-token:${token}`);
+  await putFormNotify(env, data.project, settings);
+  return new Response(signinDonePage({
+    headline: 'Unsubscribed',
+    message: `${data.email} won't get form submissions from ${data.project} any more.`
+  }), { headers: htmlHeaders });
 }
 
-// Handle form deletion (authenticated)
-async function handleFormsDelete(request, env, corsHeaders, username) {
+// ============================================================
+// FORM WEBHOOKS
+// ============================================================
+// POSTs each stored submission to the URLs a project's owner registers (a
+// CRM, Slack). Bodies are signed: X-Bassh-Signature is `t=<unix>,v1=<hex>`,
+// the HMAC-SHA256 of `<t>.<body>` under the webhook's secret, which is only
+// shown when the webhook is created. Slack incoming-webhook URLs get a Slack
+// message instead of the JSON event.
+//
+// A failed delivery is retried by the every-5-minutes cron trigger after
+// each of WEBHOOK_RETRY_DELAYS, then marked failed. Deliveries are kept for
+// 30 days so the owner can see them and replay failures.
+//
+// KV keys:
+//   webhook:<fullProjectName>:<id>   {url, secret, format, created}
+//     metadata: {url, format, created} so listing needs no extra reads
+//   webhook-delivery:<fullProjectName>:<deliveryId>   {hook, submission, status, attempts, responseStatus, error, created, lastAttempt, nextAttempt}
+//     metadata: the same record; status is retrying, delivered or failed; submission is the FORMS key
+//   webhook-retry:<nextAttemptMs>:<fullProjectName>:<deliveryId>   due retries, oldest first
+
+const MAX_WEBHOOKS_PER_PROJECT = 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_DELAYS = [5, 30, 120, 360, 1440]; // minutes after each failed attempt
+const WEBHOOK_DELIVERY_TTL = 30 * 86400; // seconds
+const WEBHOOK_RETRIES_PER_RUN = 100;
+const WEBHOOK_REPLAY_LIMIT = 20;
+const MAX_WEBHOOK_URL_LENGTH = 900; // leaves room for format and created in 1024 bytes of metadata
+
+function webhookFormat(url) {
+  return new URL(url).hostname === 'hooks.slack.com' ? 'slack' : 'json';
+}
+
+async function listFormWebhooks(env, fullProjectName) {
+  const hooks = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `webhook:${fullProjectName}:`, cursor });
+    for (const key of page.keys) {
+      hooks.push({ id: key.name.slice(`webhook:${fullProjectName}:`.length), ...(key.metadata || {}) });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return hooks;
+}
+
+async function listWebhookDeliveries(env, fullProjectName) {
+  const deliveries = [];
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: `webhook-delivery:${fullProjectName}:`, cursor });
+    for (const key of page.keys) {
+      deliveries.push({ id: key.name.slice(`webhook-delivery:${fullProjectName}:`.length), ...(key.metadata || {}) });
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return deliveries.sort((a, b) => b.created.localeCompare(a.created));
+}
+
+async function putWebhookDelivery(env, fullProjectName, deliveryId, delivery) {
+  await env.USERS.put(`webhook-delivery:${fullProjectName}:${deliveryId}`, JSON.stringify(delivery), {
+    metadata: delivery,
+    expiration: Math.floor(Date.parse(delivery.created) / 1000) + WEBHOOK_DELIVERY_TTL
+  });
+}
+
+async function deleteFormWebhooks(env, fullProjectName) {
+  for (const hook of await listFormWebhooks(env, fullProjectName)) {
+    await env.USERS.delete(`webhook:${fullProjectName}:${hook.id}`);
+  }
+  for (const delivery of await listWebhookDeliveries(env, fullProjectName)) {
+    await env.USERS.delete(`webhook-delivery:${fullProjectName}:${delivery.id}`);
+  }
+}
+
+// On rename the webhooks and their history move; pending retries find the
+// new name through the `moved:` record.
+async function moveFormWebhooks(env, fromName, toName) {
+  for (const hook of await listFormWebhooks(env, fromName)) {
+    const value = await env.USERS.get(`webhook:${fromName}:${hook.id}`);
+    await env.USERS.put(`webhook:${toName}:${hook.id}`, value, {
+      metadata: { url: hook.url, format: hook.format, created: hook.created }
+    });
+    await env.USERS.delete(`webhook:${fromName}:${hook.id}`);
+  }
+  for (const { id, ...delivery } of await listWebhookDeliveries(env, fromName)) {
+    delivery.submission = `${toName}:${delivery.submission.slice(fromName.length + 1)}`;
+    await putWebhookDelivery(env, toName, id, delivery);
+    await env.USERS.delete(`webhook-delivery:${fromName}:${id}`);
+  }
+}
+
+function webhookBody(format, fullProjectName, submissionKey, submission) {
+  if (format === 'slack') {
+    const escape = (value) => String(typeof value === 'string' ? value : JSON.stringify(value))
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const fields = Object.entries(submission.data).map(([key, value]) => `*${escape(key)}*: ${escape(value)}`);
+    const title = submission._meta.subject ? `${escape(submission._meta.subject)} (${fullProjectName})` : `New submission on ${fullProjectName}`;
+    return JSON.stringify({ text: [`*${title}*`, ...fields].join('\n') });
+  }
+  return JSON.stringify({
+    event: 'form.submission',
+    project: fullProjectName,
+    id: submissionKey.split(':').pop(),
+    submitted: submission._meta.submitted,
+    subject: submission._meta.subject || null,
+    data: submission.data,
+    ...(submission.files ? { files: submission.files.map(({ storage, ...file }) => file) } : {})
+  });
+}
+
+// One POST to the webhook; updates and saves `delivery`. Failures are queued
+// for another try unless `retry` is false (manual replays).
+async function attemptWebhookDelivery(env, fullProjectName, deliveryId, delivery, { retry = true } = {}) {
+  const hook = await env.USERS.get(`webhook:${fullProjectName}:${delivery.hook}`, 'json');
+  const submission = await env.FORMS.get(delivery.submission, 'json');
+  const now = new Date();
+  let ok = false;
+  let responseStatus = null;
+  let error = null;
+
+  if (!hook) {
+    error = 'Webhook was removed';
+  } else if (!submission) {
+    error = 'Submission no longer stored';
+  } else {
+    const body = webhookBody(hook.format, fullProjectName, delivery.submission, submission);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    try {
+      const response = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'bassh-webhooks',
+          'X-Bassh-Event': 'form.submission',
+          'X-Bassh-Delivery': deliveryId,
+          'X-Bassh-Signature': `t=${timestamp},v1=${await hmacHex(hook.secret, `${timestamp}.${body}`)}`
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      ok = response.ok;
+      responseStatus = response.status;
+      if (!ok) error = `HTTP ${response.status}`;
+    } catch (e) {
+      error = (e.message || 'Request failed').slice(0, 200);
+    }
+  }
+
+  delivery.attempts += 1;
+  delivery.lastAttempt = now.toISOString();
+  delivery.responseStatus = responseStatus;
+  delivery.error = error;
+  delivery.nextAttempt = null;
+
+  const delay = WEBHOOK_RETRY_DELAYS[delivery.attempts - 1];
+  if (ok) {
+    delivery.status = 'delivered';
+  } else if (retry && hook && submission && delay !== undefined) {
+    const due = now.getTime() + delay * 60000;
+    delivery.status = 'retrying';
+    delivery.nextAttempt = new Date(due).toISOString();
+    await env.USERS.put(`webhook-retry:${String(due).padStart(13, '0')}:${fullProjectName}:${deliveryId}`, '', {
+      expirationTtl: WEBHOOK_DELIVERY_TTL
+    });
+  } else {
+    delivery.status = 'failed';
+  }
+  await putWebhookDelivery(env, fullProjectName, deliveryId, delivery);
+  return delivery;
+}
+
+// Called from handleFormSubmit (via waitUntil) for every stored submission
+async function deliverSubmission(env, fullProjectName, submissionKey, hooks) {
+  for (const hook of hooks) {
+    const deliveryId = bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+    const delivery = {
+      hook: hook.id,
+      submission: submissionKey,
+      status: 'retrying',
+      attempts: 0,
+      created: new Date().toISOString()
+    };
+    await attemptWebhookDelivery(env, fullProjectName, deliveryId, delivery);
+  }
+}
+
+// Cron trigger: retry deliveries whose backoff has passed
+async function retryWebhookDeliveries(env) {
+  const now = Date.now();
+  let done = 0;
+  let cursor;
+  do {
+    const page = await env.USERS.list({ prefix: 'webhook-retry:', cursor });
+    for (const key of page.keys) {
+      const [, due, project, deliveryId] = key.name.split(':');
+      if (parseInt(due) > now || done >= WEBHOOK_RETRIES_PER_RUN) return;
+      await env.USERS.delete(key.name);
+      const fullProjectName = await resolveMovedProject(env, project);
+      const delivery = await env.USERS.get(`webhook-delivery:${fullProjectName}:${deliveryId}`, 'json');
+      // A replay may have settled it already
+      if (delivery?.status !== 'retrying') continue;
+      try {
+        await attemptWebhookDelivery(env, fullProjectName, deliveryId, delivery);
+      } catch (e) {
+        console.error('Webhook retry failed:', key.name, e.message);
+      }
+      done++;
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+}
+
+// /forms/webhooks?project=<name>
+//   GET                          webhooks, without their secrets
+//   POST {url}                   register one; the response has its secret
+//   DELETE /<id>                 remove one
+//   GET /deliveries[?status=]    newest first, last 30 days
+//   POST /replay {ids?}          re-send those deliveries, or every failed one
+async function handleFormWebhooks(request, env, corsHeaders, username, path) {
+  const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
   try {
     const url = new URL(request.url);
     const projectName = url.searchParams.get('project') || request.headers.get('X-Project-Name');
-
     if (!projectName) {
       return new Response(JSON.stringify({ error: 'Project name required (?project= query param)' }), {
         status: 400,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        headers: jsonHeaders
       });
     }
 
-    // Build full project name and verify ownership
-    const fullProjectName = projectName.startsWith(`${username}-`)
-      ? projectName
-      : `${username}-${projectName}`;
-
-    if (!fullProjectName.startsWith(`${username}-`)) {
-      return new Response(JSON.stringify({ error: 'You can only delete your own project forms' }), {
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
+      return new Response(JSON.stringify({ error: 'You can only manage webhooks for your own projects' }), {
         status: 403,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        headers: jsonHeaders
       });
     }
+    const fullProjectName = access.fullProjectName;
+    const sub = path.slice('/forms/webhooks'.length);
 
-    // List and delete all submissions for this project
-    const listResult = await env.FORMS.list({ prefix: `${fullProjectName}:` });
+    if (sub === '' && request.method === 'GET') {
+      const hooks = await listFormWebhooks(env, fullProjectName);
+      return new Response(JSON.stringify({ success: true, project: fullProjectName, webhooks: hooks }), {
+        headers: jsonHeaders
+      });
+    }
 
-    let deleted = 0;
-    for (const key of listResult.keys) {
-      await env.FORMS.delete(key.name);
-      deleted++;
+    if (sub === '' && request.method === 'POST') {
+      const body = await request.json().catch(() => ({}));
+      let hookUrl;
+      try {
+        hookUrl = new URL(body.url);
+      } catch {
+        hookUrl = null;
+      }
+      if (!hookUrl || hookUrl.protocol !== 'https:') {
+        return new Response(JSON.stringify({ error: 'url must be an https:// URL' }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+      if (hookUrl.href.length > MAX_WEBHOOK_URL_LENGTH) {
+        return new Response(JSON.stringify({ error: `url can be at most ${MAX_WEBHOOK_URL_LENGTH} characters` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+      const hooks = await listFormWebhooks(env, fullProjectName);
+      if (hooks.length >= MAX_WEBHOOKS_PER_PROJECT) {
+        return new Response(JSON.stringify({ error: `A project can have at most ${MAX_WEBHOOKS_PER_PROJECT} webhooks` }), {
+          status: 400,
+          headers: jsonHeaders
+        });
+      }
+
+      const id = bytesToHex(crypto.getRandomValues(new Uint8Array(6)));
+      const hook = {
+        url: hookUrl.href,
+        secret: `whsec_${bytesToHex(crypto.getRandomValues(new Uint8Array(24)))}`,
+        format: webhookFormat(hookUrl.href),
+        created: new Date().toISOString()
+      };
+      await env.USERS.put(`webhook:${fullProjectName}:${id}`, JSON.stringify(hook), {
+        metadata: { url: hook.url, format: hook.format, created: hook.created }
+      });
+      return new Response(JSON.stringify({
+        success: true,
+        project: fullProjectName,
+        webhook: { id, ...hook },
+        message: 'Save the secret now; it is not shown again.'
+      }), { status: 201, headers: jsonHeaders });
     }
 
-    return new Response(JSON.stringify({
-      success: true,
-      project: fullProjectName,
-      deleted,
-      message: `Deleted ${deleted} submission(s)`
-    }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-    });
+    if (sub === '/deliveries' && request.method === 'GET') {
+      const status = url.searchParams.get('status');
+      const hooks = Object.fromEntries((await listFormWebhooks(env, fullProjectName)).map(h => [h.id, h.url]));
+      const deliveries = (await listWebhookDeliveries(env, fullProjectName))
+        .filter(d => !status || d.status === status)
+        .slice(0, 100)
+        .map(d => ({ ...d, url: hooks[d.hook] || null }));
+      return new Response(JSON.stringify({ success: true, project: fullProjectName, deliveries }), {
+        headers: jsonHeaders
+      });
+    }
 
-  } catch (error) {
-    return new Response(JSON.stringify({
-      error: 'Failed to delete forms',
-      message: error.message
-    }), {
+    if (sub === '/replay' && request.method === 'POST') {
+      const body = await request.json().catch(() => ({}));
+      const all = await listWebhookDeliveries(env, fullProjectName);
+      const chosen = Array.isArray(body.ids)
+        ? all.filter(d => body.ids.includes(d.id))
+        : all.filter(d => d.status === 'failed');
+      if (Array.isArray(body.ids) && chosen.length < body.ids.length) {
+        return new Response(JSON.stringify({ error: 'Unknown delivery id' }), {
+          status: 404,
+          headers: jsonHeaders
+        });
+      }
+
+      const replayed = [];
+      for (const { id, ...delivery } of chosen.slice(0, WEBHOOK_REPLAY_LIMIT)) {
+        const result = await attemptWebhookDelivery(env, fullProjectName, id, delivery, { retry: false });
+        replayed.push({ id, ...result });
+      }
+      return new Response(JSON.stringify({
+        success: true,
+        project: fullProjectName,
+        replayed,
+        remaining: Math.max(chosen.length - WEBHOOK_REPLAY_LIMIT, 0)
+      }), { headers: jsonHeaders });
+    }
+
+    const hookId = sub.slice(1);
+    if (hookId && !hookId.includes('/') && request.method === 'DELETE') {
+      if (!(await env.USERS.get(`webhook:${fullProjectName}:${hookId}`))) {
+        return new Response(JSON.stringify({ error: 'Webhook not found' }), {
+          status: 404,
+          headers: jsonHeaders
+        });
+      }
+      await env.USERS.delete(`webhook:${fullProjectName}:${hookId}`);
+      return new Response(JSON.stringify({ success: true, project: fullProjectName, deleted: hookId }), {
+        headers: jsonHeaders
+      });
+    }
+
+    return new Response(JSON.stringify({ error: 'Not found' }), {
+      status: 404,
+      headers: jsonHeaders
+    });
+  } catch (e) {
+    return new Response(JSON.stringify({ error: 'Internal error', message: e.message }), {
       status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      headers: jsonHeaders
     });
   }
 }
@@ -2303,6 +9337,23 @@ async function handleFormsDelete(request, env, corsHeaders, username) {
 // DELETE HANDLER
 // ============================================================
 
+// Everything kept about a project outside Pages: its deploy history, its OTP
+// encryption key and its forms' submissions, settings and uploaded files. Whoever creates the same
+// name later must not inherit any of it. Every path that deletes a project
+// (DELETE /, uninstall, redirect stub cleanup) calls this, so a new kind of
+// per-project data only needs adding here.
+async function deleteProjectData(env, fullProjectName) {
+  await deleteDeploymentRecords(env, fullProjectName);
+  await deleteFormSubmissions(env, fullProjectName);
+  await deleteFormNotify(env, fullProjectName);
+  await deleteFormWebhooks(env, fullProjectName);
+  await deleteFormUploadLimits(env, fullProjectName);
+  await deleteFormFiles(env, fullProjectName);
+  await deleteFormSchema(env, fullProjectName);
+  await deleteFormChallenge(env, fullProjectName);
+  await env.USERS.delete(`otp-key:${fullProjectName}`);
+}
+
 async function handleDelete(request, env, corsHeaders, username) {
   try {
     const url = new URL(request.url);
@@ -2315,18 +9366,15 @@ async function handleDelete(request, env, corsHeaders, username) {
       });
     }
 
-    // Add username prefix if not already present
-    const fullProjectName = projectName.startsWith(`${username}-`)
-      ? projectName
-      : `${username}-${projectName}`;
-
-    // Verify project belongs to user
-    if (!fullProjectName.startsWith(`${username}-`)) {
+    // Resolve the full project name and verify ownership
+    const access = await authorizeProject(env, username, projectName);
+    if (!access.ok) {
       return new Response(JSON.stringify({ error: 'You can only delete your own projects' }), {
         status: 403,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
+    const fullProjectName = access.fullProjectName;
 
     // Delete the Pages project
     const deleteResponse = await fetch(
@@ -2349,8 +9397,12 @@ async function handleDelete(request, env, corsHeaders, username) {
       });
     }
 
-    // Also delete any Access app
-    const appDomain = `${fullProjectName}.pages.dev`;
+    await deleteProjectData(env, fullProjectName);
+    await unregisterProject(env, fullProjectName);
+
+    // Also delete any Access apps (production and previews)
+    const appDomains = [`${fullProjectName}.pages.dev`, `*.${fullProjectName}.pages.dev`];
+    const appNames = [fullProjectName, `${fullProjectName}-previews`];
     const listResponse = await fetch(
       `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps`,
       {
@@ -2359,11 +9411,11 @@ async function handleDelete(request, env, corsHeaders, username) {
     );
 
     const listResult = await listResponse.json();
-    const existingApp = listResult.result?.find(app =>
-      app.domain === appDomain || app.name === fullProjectName
+    const existingApps = (listResult.result || []).filter(app =>
+      appDomains.includes(app.domain) || appNames.includes(app.name)
     );
 
-    if (existingApp) {
+    for (const existingApp of existingApps) {
       await fetch(
         `https://api.cloudflare.com/client/v4/accounts/${env.CF_ACCOUNT_ID}/access/apps/${existingApp.id}`,
         {
@@ -1,12 +1,13 @@
 // MCP (Model Context Protocol) endpoint for bassh.
 //
-// Exposes the bassh deploy/list/delete/forms surface as MCP tools so Claude
+// Exposes the bassh deploy/list/delete/history/forms surface as MCP tools so Claude
 // Cowork and Claude Desktop can invoke them via Custom Connectors. Spec:
 // https://modelcontextprotocol.io — Streamable HTTP transport, JSON-RPC 2.0.
 //
 // Auth: Bearer with an existing bassh API key (sk_…). The connector add-flow
 // in Cowork prompts the user for the key once; subsequent requests carry it
-// in `Authorization: Bearer sk_…`.
+// in `Authorization: Bearer sk_…`. Scoped keys are held to their scopes and
+// project allowlist per tool (TOOL_ACCESS) since the handlers never re-auth.
 //
 // We don't re-implement the deploy logic. Each tool call constructs a fake
 // Request and hands it to the existing handler with the authenticated
@@ -33,11 +34,37 @@ const OTP_EMAILS_SCHEMA = {
   description: "Comma-separated email allowlist for magic-link login. Each visitor enters their email and receives a one-time link. Supports whole-domain entries via '@example.com'. Mutually exclusive with `password`.",
 };
 
+const WHOLE_SITE_SCHEMA = {
+  type: "boolean",
+  description: "With `password` or `otp_emails`, also encrypt images, PDFs, scripts and every other non-HTML file (decrypted in the visitor's browser by a service worker). Without it only HTML pages are encrypted and other files are readable by direct URL.",
+};
+
 const CUSTOM_DOMAIN_SCHEMA = {
   type: "string",
   description: "Optional custom domain to attach (e.g. 'preview.example.com'). The response includes CNAME instructions; DNS must be configured before the domain resolves.",
 };
 
+const MESSAGE_SCHEMA = {
+  type: "string",
+  description: "Optional short note describing this deploy (e.g. 'fix pricing typo'). Shown in the project's deployment history.",
+};
+
+const BRANCH_SCHEMA = {
+  type: "string",
+  description: "Optional branch name (e.g. 'pr-42'). Deploys a preview at https://<branch>.<project>.pages.dev and leaves production untouched. Omit for a production deploy.",
+};
+
+const TEAM_SCHEMA = {
+  type: "string",
+  description: "Optional team name (see whoami). Acts on the team's projects instead of the user's, as far as the user's role in the team allows. Omit for the user's own projects.",
+};
+
+const FILE_HASH_SCHEMA = {
+  type: "string",
+  description: "First 32 hex characters of the SHA-256 of the file's raw bytes.",
+  pattern: "^[0-9a-f]{32}$",
+};
+
 const TOOLS = [
   {
     name: "deploy_html",
@@ -51,6 +78,9 @@ const TOOLS = [
         password: PASSWORD_SCHEMA,
         otp_emails: OTP_EMAILS_SCHEMA,
         custom_domain: CUSTOM_DOMAIN_SCHEMA,
+        message: MESSAGE_SCHEMA,
+        branch: BRANCH_SCHEMA,
+        team: TEAM_SCHEMA,
       },
       required: ["html"],
     },
@@ -58,7 +88,7 @@ const TOOLS = [
   {
     name: "deploy_files",
     description:
-      "Deploy a multi-file static site. Use this for HTML+CSS+JS bundles, multiple pages, or anything more than a single HTML doc. Each file's content must be base64-encoded. Otherwise identical to deploy_html.",
+      "Deploy a multi-file static site. Use this for HTML+CSS+JS bundles, multiple pages, or anything more than a single HTML doc. Each file's content must be base64-encoded. To redeploy only what changed, call check_deploy first and pass `hash` instead of `content_base64` for files it didn't list as missing. Otherwise identical to deploy_html.",
     inputSchema: {
       type: "object",
       properties: {
@@ -70,22 +100,59 @@ const TOOLS = [
             properties: {
               path: { type: "string", description: "Path relative to site root, e.g. 'index.html' or 'styles/main.css'." },
               content_base64: { type: "string", description: "File content, base64-encoded." },
+              hash: FILE_HASH_SCHEMA,
             },
-            required: ["path", "content_base64"],
+            required: ["path"],
           },
         },
         project_name: PROJECT_NAME_SCHEMA,
         password: PASSWORD_SCHEMA,
         otp_emails: OTP_EMAILS_SCHEMA,
+        whole_site: WHOLE_SITE_SCHEMA,
         custom_domain: CUSTOM_DOMAIN_SCHEMA,
+        message: MESSAGE_SCHEMA,
+        branch: BRANCH_SCHEMA,
+        team: TEAM_SCHEMA,
       },
       required: ["files"],
     },
   },
+  {
+    name: "check_deploy",
+    description:
+      "Before redeploying an existing project with deploy_files, send every file's path and hash. Returns the paths whose content must be uploaded; the rest can be sent to deploy_files as `hash` only.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        files: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "Path relative to site root." },
+              hash: FILE_HASH_SCHEMA,
+            },
+            required: ["path", "hash"],
+          },
+        },
+        project_name: { type: "string", description: "Short name of the project being redeployed." },
+        password: PASSWORD_SCHEMA,
+        otp_emails: OTP_EMAILS_SCHEMA,
+        whole_site: WHOLE_SITE_SCHEMA,
+        team: TEAM_SCHEMA,
+      },
+      required: ["files", "project_name"],
+    },
+  },
   {
     name: "list_projects",
-    description: "List the user's deployed bassh projects. Returns name, URL, custom domain (if any), and creation date for each.",
-    inputSchema: { type: "object", properties: {} },
+    description: "List the user's deployed bassh projects, or a team's. Returns name, URL, custom domain (if any), and creation date for each.",
+    inputSchema: { type: "object", properties: { team: TEAM_SCHEMA } },
+  },
+  {
+    name: "get_usage",
+    description: "Usage summary for the user's projects, or a team's: per project the deployment count, last deploy time, live site size in bytes, protection mode, custom domains and stored form submissions, plus account totals and quota limits. Use this when the user asks how much they're using or why a deploy hit a limit.",
+    inputSchema: { type: "object", properties: { team: TEAM_SCHEMA } },
   },
   {
     name: "delete_project",
@@ -94,6 +161,59 @@ const TOOLS = [
       type: "object",
       properties: {
         project_name: { type: "string", description: "Short name (the part after `<username>-`), e.g. 'my-landing-page'." },
+        team: TEAM_SCHEMA,
+      },
+      required: ["project_name"],
+    },
+  },
+  {
+    name: "list_deployments",
+    description: "List a project's deployment history, newest first. Each entry has the deployment id, creation time, file count, size in bytes, message, protection mode, and whether it is the live one.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_name: { type: "string", description: "Short name of the project." },
+        team: TEAM_SCHEMA,
+      },
+      required: ["project_name"],
+    },
+  },
+  {
+    name: "rollback_deployment",
+    description: "Make an earlier deployment of a project live again. Get the id from list_deployments. Confirm with the user before calling.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_name: { type: "string", description: "Short name of the project." },
+        deployment_id: { type: "string", description: "Deployment id from list_deployments." },
+        team: TEAM_SCHEMA,
+      },
+      required: ["project_name", "deployment_id"],
+    },
+  },
+  {
+    name: "list_previews",
+    description: "List a project's preview deployments, one entry per branch, with the stable preview URL and the latest deployment.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_name: { type: "string", description: "Short name of the project." },
+        team: TEAM_SCHEMA,
+      },
+      required: ["project_name"],
+    },
+  },
+  {
+    name: "prune_previews",
+    description: "Delete preview deployments of a project. Limit to one branch and/or to deployments older than a number of days; to delete every preview, pass all instead. Production is never touched.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_name: { type: "string", description: "Short name of the project." },
+        branch: { type: "string", description: "Only prune this branch's previews." },
+        older_than_days: { type: "integer", minimum: 1, description: "Only prune previews created more than this many days ago." },
+        all: { type: "boolean", description: "Delete every preview. Needed when neither branch nor older_than_days is given." },
+        team: TEAM_SCHEMA,
       },
       required: ["project_name"],
     },
@@ -105,13 +225,27 @@ const TOOLS = [
       type: "object",
       properties: {
         project_name: { type: "string", description: "Short name of the project." },
+        team: TEAM_SCHEMA,
       },
       required: ["project_name"],
     },
   },
+  {
+    name: "get_form_file",
+    description: "Fetch a file uploaded through a project's form (a CV, a photo). Submissions from get_form_submissions list their uploads under `files`, each with an `id`. Images come back as images, text files as text, anything else as an embedded resource. Files over 5 MB can't be returned here; give the user the file's `url` to download with their API key instead.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_name: { type: "string", description: "Short name of the project." },
+        file_id: { type: "string", description: "The file's `id` from get_form_submissions." },
+        team: TEAM_SCHEMA,
+      },
+      required: ["project_name", "file_id"],
+    },
+  },
   {
     name: "whoami",
-    description: "Sanity check: returns the bassh username that the supplied API key belongs to.",
+    description: "Sanity check: returns the bassh username that the supplied API key belongs to, and the teams it's in with its role in each.",
     inputSchema: { type: "object", properties: {} },
   },
 ];
@@ -131,6 +265,7 @@ const ERR_METHOD_NOT_FOUND = -32601;
 const ERR_INVALID_PARAMS = -32602;
 const ERR_INTERNAL = -32603;
 const ERR_UNAUTHORIZED = -32001;
+const ERR_FORBIDDEN = -32003;
 
 // Build a minimal CORS header set for /mcp responses.
 function mcpCors() {
@@ -173,9 +308,26 @@ async function callDeploy({ env, username, payload, originUrl, handleDeploy }) {
   return await resp.json();
 }
 
-async function callList({ env, username, handleList }) {
+async function callDeployCheck({ env, username, payload, originUrl, handleDeployCheck }) {
+  const fakeReq = new Request(originUrl + "/deploy/check", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const cors = { "Access-Control-Allow-Origin": "*" };
+  const resp = await handleDeployCheck(fakeReq, env, cors, username);
+  return await resp.json();
+}
+
+async function callList({ env, username, key, handleList }) {
+  const cors = { "Access-Control-Allow-Origin": "*" };
+  const resp = await handleList(env, cors, username, key.projects);
+  return await resp.json();
+}
+
+async function callUsage({ env, username, key, handleUsage }) {
   const cors = { "Access-Control-Allow-Origin": "*" };
-  const resp = await handleList(env, cors, username);
+  const resp = await handleUsage(env, cors, username, key.projects);
   return await resp.json();
 }
 
@@ -197,7 +349,139 @@ async function callFormsList({ env, username, projectName, originUrl, handleForm
   return await resp.json();
 }
 
+const MCP_FILE_LIMIT = 5 * 1024 * 1024;
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return btoa(binary);
+}
+
+async function callFormFile({ env, username, projectName, fileId, originUrl, handleFormFiles }) {
+  const path = `/forms/files/${encodeURIComponent(fileId)}`;
+  const uri = `${originUrl}${path}?project=${encodeURIComponent(projectName)}`;
+  const cors = { "Access-Control-Allow-Origin": "*" };
+  const resp = await handleFormFiles(new Request(uri, { method: "GET" }), env, cors, username, path);
+  if (!resp.ok) return asMcpContent(await resp.json());
+
+  const size = Number(resp.headers.get("Content-Length"));
+  if (size > MCP_FILE_LIMIT) {
+    await resp.body?.cancel();
+    return asMcpContent({ error: `File is ${size} bytes, over the ${MCP_FILE_LIMIT}-byte limit for this tool. Download it from ${uri} with the API key.` });
+  }
+  const mimeType = resp.headers.get("Content-Type");
+  const bytes = new Uint8Array(await resp.arrayBuffer());
+  if (mimeType.startsWith("image/")) {
+    return { content: [{ type: "image", data: bytesToBase64(bytes), mimeType }], isError: false };
+  }
+  if (mimeType.startsWith("text/")) {
+    return { content: [{ type: "text", text: new TextDecoder().decode(bytes) }], isError: false };
+  }
+  return {
+    content: [{ type: "resource", resource: { uri, mimeType, blob: bytesToBase64(bytes) } }],
+    isError: false,
+  };
+}
+
+async function callDeploymentsList({ env, username, projectName, originUrl, handleDeploymentsList }) {
+  const fakeReq = new Request(`${originUrl}/deployments?project=${encodeURIComponent(projectName)}`, {
+    method: "GET",
+  });
+  const cors = { "Access-Control-Allow-Origin": "*" };
+  const resp = await handleDeploymentsList(fakeReq, env, cors, username);
+  return await resp.json();
+}
+
+async function callRollback({ env, username, projectName, deploymentId, originUrl, handleRollback }) {
+  const fakeReq = new Request(originUrl + "/deployments/rollback", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ project: projectName, deploymentId }),
+  });
+  const cors = { "Access-Control-Allow-Origin": "*" };
+  const resp = await handleRollback(fakeReq, env, cors, username);
+  return await resp.json();
+}
+
+async function callPreviews({ env, username, projectName, method, branch, olderThan, all, originUrl, handlePreviews }) {
+  const params = new URLSearchParams({ project: projectName });
+  if (branch) params.set("branch", branch);
+  if (olderThan) params.set("olderThan", String(olderThan));
+  if (all === true) params.set("all", "true");
+  const fakeReq = new Request(`${originUrl}/previews?${params}`, { method });
+  const cors = { "Access-Control-Allow-Origin": "*" };
+  const resp = await handlePreviews(fakeReq, env, cors, username);
+  return await resp.json();
+}
+
+// Scope each tool needs when the bearer is a scoped API key, mirroring the
+// HTTP routes. `deploy` tools always prefix the username onto project_name.
+// The same scopes are checked against the user's role when a tool names a team.
+// A tool missing from this map can't be called at all, so a new tool has to
+// be given a rule here before anyone can use it.
+const TOOL_ACCESS = {
+  whoami: { scope: null },
+  deploy_html: { scope: "deploy", project: "deploy" },
+  deploy_files: { scope: "deploy", project: "deploy" },
+  check_deploy: { scope: "deploy", project: "deploy" },
+  list_projects: { scope: "list" },
+  get_usage: { scope: "list" },
+  delete_project: { scope: "delete", project: "name" },
+  list_deployments: { scope: "list", project: "name" },
+  rollback_deployment: { scope: "deploy", project: "name" },
+  list_previews: { scope: "list", project: "name" },
+  prune_previews: { scope: "delete", project: "name" },
+  get_form_submissions: { scope: "forms:read", project: "name" },
+  get_form_file: { scope: "forms:read", project: "name" },
+};
+
+function checkToolAccess(name, args, ctx) {
+  const access = TOOL_ACCESS[name];
+  if (!access) {
+    throw { code: ERR_FORBIDDEN, message: `${name} has no access rule, so it can't be called.` };
+  }
+
+  let fullProjectName;
+  if (access.project) {
+    const projectName = typeof args?.project_name === "string" ? args.project_name : "";
+    if (!projectName) {
+      fullProjectName = null;
+    } else if (access.project === "name" && projectName.startsWith(`${ctx.username}-`)) {
+      fullProjectName = projectName;
+    } else {
+      fullProjectName = `${ctx.username}-${projectName}`;
+    }
+  }
+
+  if (!ctx.keyAllows(ctx.key, access.scope, fullProjectName)) {
+    throw { code: ERR_FORBIDDEN, message: `This API key isn't allowed to call ${name} here.` };
+  }
+}
+
+// A tool called with `team` runs as the team: the handlers and the key's
+// project allowlist see the team name in place of the username.
+async function withTeam(name, args, ctx) {
+  if (!TOOL_ACCESS[name]?.scope || args?.team === undefined) return ctx;
+  if (typeof args.team !== "string" || !args.team) {
+    throw { code: ERR_INVALID_PARAMS, message: "`team` must be a team name." };
+  }
+  const team = args.team.toLowerCase().trim();
+  const denied = await ctx.checkTeamAccess(ctx.env, ctx.username, team, TOOL_ACCESS[name].scope);
+  if (denied) {
+    throw { code: ERR_FORBIDDEN, message: denied.error };
+  }
+  return { ...ctx, username: team };
+}
+
 async function dispatchToolCall(name, args, ctx) {
+  if (!TOOLS.some((tool) => tool.name === name)) {
+    throw { code: ERR_METHOD_NOT_FOUND, message: `Unknown tool: ${name}` };
+  }
+  ctx = await withTeam(name, args, ctx);
+  checkToolAccess(name, args, ctx);
+
   switch (name) {
     case "deploy_html": {
       if (!args || typeof args.html !== "string") {
@@ -210,6 +494,8 @@ async function dispatchToolCall(name, args, ctx) {
       if (args.password) payload.password = args.password;
       if (args.otp_emails) payload.otpEmails = args.otp_emails;
       if (args.custom_domain) payload.customDomain = args.custom_domain;
+      if (args.message) payload.message = args.message;
+      if (args.branch) payload.branch = args.branch;
       return asMcpContent(await callDeploy({ ...ctx, payload }));
     }
 
@@ -218,22 +504,48 @@ async function dispatchToolCall(name, args, ctx) {
         throw { code: ERR_INVALID_PARAMS, message: "`files` is required and must be a non-empty array." };
       }
       const files = args.files.map((f) => {
-        if (!f || typeof f.path !== "string" || typeof f.content_base64 !== "string") {
-          throw { code: ERR_INVALID_PARAMS, message: "Each file needs `path` and `content_base64`." };
+        if (!f || typeof f.path !== "string") {
+          throw { code: ERR_INVALID_PARAMS, message: "Each file needs `path`." };
+        }
+        if (typeof f.content_base64 === "string") {
+          return { path: f.path, content: f.content_base64 };
         }
-        return { path: f.path, content: f.content_base64 };
+        if (typeof f.hash === "string") {
+          return { path: f.path, hash: f.hash };
+        }
+        throw { code: ERR_INVALID_PARAMS, message: "Each file needs `content_base64` or `hash`." };
       });
       const payload = { files };
       if (args.project_name) payload.projectName = args.project_name;
       if (args.password) payload.password = args.password;
       if (args.otp_emails) payload.otpEmails = args.otp_emails;
+      if (args.whole_site) payload.wholeSite = true;
       if (args.custom_domain) payload.customDomain = args.custom_domain;
+      if (args.message) payload.message = args.message;
+      if (args.branch) payload.branch = args.branch;
       return asMcpContent(await callDeploy({ ...ctx, payload }));
     }
 
+    case "check_deploy": {
+      if (!args || !Array.isArray(args.files) || typeof args.project_name !== "string") {
+        throw { code: ERR_INVALID_PARAMS, message: "`files` and `project_name` are required." };
+      }
+      const payload = {
+        projectName: args.project_name,
+        files: args.files.map((f) => ({ path: f?.path, hash: f?.hash })),
+      };
+      if (args.password) payload.password = args.password;
+      if (args.otp_emails) payload.otpEmails = args.otp_emails;
+      if (args.whole_site) payload.wholeSite = true;
+      return asMcpContent(await callDeployCheck({ ...ctx, payload }));
+    }
+
     case "list_projects":
       return asMcpContent(await callList(ctx));
 
+    case "get_usage":
+      return asMcpContent(await callUsage(ctx));
+
     case "delete_project": {
       if (!args || typeof args.project_name !== "string") {
         throw { code: ERR_INVALID_PARAMS, message: "`project_name` is required." };
@@ -241,6 +553,45 @@ async function dispatchToolCall(name, args, ctx) {
       return asMcpContent(await callDelete({ ...ctx, projectName: args.project_name }));
     }
 
+    case "list_deployments": {
+      if (!args || typeof args.project_name !== "string") {
+        throw { code: ERR_INVALID_PARAMS, message: "`project_name` is required." };
+      }
+      return asMcpContent(await callDeploymentsList({ ...ctx, projectName: args.project_name }));
+    }
+
+    case "rollback_deployment": {
+      if (!args || typeof args.project_name !== "string" || typeof args.deployment_id !== "string") {
+        throw { code: ERR_INVALID_PARAMS, message: "`project_name` and `deployment_id` are required." };
+      }
+      return asMcpContent(await callRollback({
+        ...ctx,
+        projectName: args.project_name,
+        deploymentId: args.deployment_id,
+      }));
+    }
+
+    case "list_previews": {
+      if (!args || typeof args.project_name !== "string") {
+        throw { code: ERR_INVALID_PARAMS, message: "`project_name` is required." };
+      }
+      return asMcpContent(await callPreviews({ ...ctx, projectName: args.project_name, method: "GET" }));
+    }
+
+    case "prune_previews": {
+      if (!args || typeof args.project_name !== "string") {
+        throw { code: ERR_INVALID_PARAMS, message: "`project_name` is required." };
+      }
+      return asMcpContent(await callPreviews({
+        ...ctx,
+        projectName: args.project_name,
+        method: "DELETE",
+        branch: args.branch,
+        olderThan: args.older_than_days,
+        all: args.all,
+      }));
+    }
+
     case "get_form_submissions": {
       if (!args || typeof args.project_name !== "string") {
         throw { code: ERR_INVALID_PARAMS, message: "`project_name` is required." };
@@ -248,9 +599,19 @@ async function dispatchToolCall(name, args, ctx) {
       return asMcpContent(await callFormsList({ ...ctx, projectName: args.project_name }));
     }
 
+    case "get_form_file": {
+      if (!args || typeof args.project_name !== "string" || typeof args.file_id !== "string") {
+        throw { code: ERR_INVALID_PARAMS, message: "`project_name` and `file_id` are required." };
+      }
+      return await callFormFile({ ...ctx, projectName: args.project_name, fileId: args.file_id });
+    }
+
     case "whoami":
       return {
-        content: [{ type: "text", text: JSON.stringify({ username: ctx.username }) }],
+        content: [{
+          type: "text",
+          text: JSON.stringify({ username: ctx.username, teams: await ctx.listUserTeams(ctx.env, ctx.username) }),
+        }],
         isError: false,
       };
 
@@ -261,7 +622,7 @@ async function dispatchToolCall(name, args, ctx) {
 
 // Entry point. Wired into src/index.js as `POST /mcp` (and OPTIONS for CORS).
 //
-// Imports `getUserByKey` and the four `handle*` functions via the deps argument
+// Imports `getUserByKey` and the `handle*` functions via the deps argument
 // so this module stays decoupled from src/index.js's exact export shape.
 export async function handleMCP(request, env, deps) {
   const cors = mcpCors();
@@ -303,11 +664,21 @@ export async function handleMCP(request, env, deps) {
   const ctx = {
     env,
     username,
+    key: user,
+    keyAllows: deps.keyAllows,
+    checkTeamAccess: deps.checkTeamAccess,
+    listUserTeams: deps.listUserTeams,
     originUrl: new URL(request.url).origin,
     handleDeploy: deps.handleDeploy,
+    handleDeployCheck: deps.handleDeployCheck,
     handleList: deps.handleList,
+    handleUsage: deps.handleUsage,
     handleDelete: deps.handleDelete,
     handleFormsList: deps.handleFormsList,
+    handleFormFiles: deps.handleFormFiles,
+    handleDeploymentsList: deps.handleDeploymentsList,
+    handleRollback: deps.handleRollback,
+    handlePreviews: deps.handlePreviews,
   };
 
   for (const msg of requests) {
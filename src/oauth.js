@@ -362,10 +362,13 @@ export async function handleOAuthToken(request, env) {
 // MCP token resolution helper (used by /mcp Bearer auth path)
 // ============================================================
 // Called from src/mcp.js: looks up an mcp_… access token in KV and returns
-// the same shape `getUserByKey` returns. Returns null if invalid/expired.
+// the same shape `getUserByKey` returns. Returns null if invalid/expired, or
+// if the account has since been deleted or suspended by the operator.
 export async function getUserByMcpToken(env, token) {
   if (!token || !token.startsWith("mcp_")) return null;
   const data = await env.USERS.get(`mcp-token:${token}`, "json");
   if (!data) return null;
+  const user = await env.USERS.get(`user:${data.username}`, "json");
+  if (!user || user.suspended) return null;
   return { username: data.username };
 }
@@ -0,0 +1,58 @@
+// Browser side of the proof-of-work form challenge, served at
+// /form-challenge.js. A site includes it with a <script> tag from the
+// worker; it catches submits of any form posting to this worker's /form/
+// URLs, solves a fresh challenge and adds the answer as `_pow` before
+// sending. Pages that submit with fetch() call window.basshSolveChallenge
+// (formActionUrl) and send the result as `_pow` themselves.
+
+export const FORM_CHALLENGE_SCRIPT = `(function () {
+  var origin = new URL(document.currentScript.src).origin;
+
+  function zeroBits(bytes) {
+    var bits = 0;
+    for (var i = 0; i < bytes.length; i++) {
+      if (bytes[i] !== 0) return bits + Math.clz32(bytes[i]) - 24;
+      bits += 8;
+    }
+    return bits;
+  }
+
+  async function solve(action) {
+    var resp = await fetch(action.replace(/\\/$/, '') + '/challenge', { cache: 'no-store' });
+    var data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || 'Challenge unavailable');
+    var encoder = new TextEncoder();
+    for (var nonce = 0; ; nonce++) {
+      var token = data.challenge + ':' + nonce;
+      var hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(token)));
+      if (zeroBits(hash) >= data.difficulty) return token;
+    }
+  }
+
+  window.basshSolveChallenge = solve;
+
+  document.addEventListener('submit', async function (event) {
+    var form = event.target;
+    if (form.action.indexOf(origin + '/form/') !== 0) return;
+    event.preventDefault();
+    var buttons = form.querySelectorAll('[type=submit]');
+    buttons.forEach(function (b) { b.disabled = true; });
+    try {
+      var field = form.querySelector('input[name=_pow]');
+      if (!field) {
+        field = document.createElement('input');
+        field.type = 'hidden';
+        field.name = '_pow';
+        form.appendChild(field);
+      }
+      field.value = await solve(form.action);
+      // submit() doesn't fire this event again
+      form.submit();
+      buttons.forEach(function (b) { b.disabled = false; });
+    } catch (err) {
+      buttons.forEach(function (b) { b.disabled = false; });
+      alert('Could not send the form: ' + err.message);
+    }
+  }, true);
+})();
+`;
@@ -30,7 +30,7 @@ ${siteHeader({ active: "" })}
     </div>
   </div>
   <div class="callout warn">
-    ⚠ This is the only time we show this key. Save it. If you lose it, generate a new one with <code class="inline">bassh key --regenerate</code>.
+    ⚠ This is the only time we show this key. Save it. If you lose it, generate a new one with <code class="inline">bassh key --regenerate</code> or <a href="/signin">sign in with your email</a>.
   </div>
 
   <h2>Add bassh to Claude Cowork</h2>
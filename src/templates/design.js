@@ -356,8 +356,9 @@ export const EMAIL_TOKENS = {
 const EMAIL_FONT = "'Inconsolata', ui-monospace, SFMono-Regular, Menlo, monospace";
 
 // Build an HTML email body. `headline` is shown bold, `bodyHtml` is the message,
-// `cta` is { href, label } for the action button (optional).
-export function emailBody({ headline, bodyHtml, cta }) {
+// `cta` is { href, label } for the action button (optional). `footerHtml`
+// replaces the "didn't request this" line for emails nobody asked for by hand.
+export function emailBody({ headline, bodyHtml, cta, footerHtml }) {
   const button = cta
     ? `<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="margin: 24px 0;"><tr><td>
         <a href="${cta.href}"
@@ -372,6 +373,6 @@ export function emailBody({ headline, bodyHtml, cta }) {
     <div style="font-size:15px;color:${EMAIL_TOKENS.textDim};line-height:1.6;">${bodyHtml}</div>
     ${button}
     <hr style="border:0;border-top:1px solid ${EMAIL_TOKENS.border};margin:32px 0 16px;">
-    <p style="font-size:12px;color:${EMAIL_TOKENS.textDim};margin:0;">If you didn't request this, you can safely ignore this email.</p>
+    <p style="font-size:12px;color:${EMAIL_TOKENS.textDim};margin:0;">${footerHtml || "If you didn't request this, you can safely ignore this email."}</p>
   </div>`;
 }
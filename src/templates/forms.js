@@ -0,0 +1,96 @@
+// Shown to a site's visitor when a form post fails the project's schema: the
+// form again, rebuilt from the schema, with what they typed and an error by
+// each field. It posts back to the same /form/<project> URL. Plain styling
+// on purpose: it stands in for the owner's site, not for bassh.
+//
+// A proof-of-work challenge is solved here by loading /form-challenge.js. A
+// Turnstile widget only runs on the owner's site, so with Turnstile the page
+// lists the errors and sends the visitor back there instead.
+
+import { escapeHtml } from "./design.js";
+
+function fieldInput(field, value) {
+  const id = `f-${escapeHtml(field.name)}`;
+  const name = escapeHtml(field.name);
+  const required = field.required ? " required" : "";
+  const text = value === undefined || value === null ? "" : String(value);
+
+  if (field.type === "file") {
+    return `<input id="${id}" type="file" name="${name}"${required}>`;
+  }
+  if (field.values) {
+    const options = field.values.map((option) => {
+      const selected = String(option) === text.trim() ? " selected" : "";
+      return `<option value="${escapeHtml(option)}"${selected}>${escapeHtml(option)}</option>`;
+    }).join("");
+    return `<select id="${id}" name="${name}"${required}><option value=""></option>${options}</select>`;
+  }
+  const maxLength = field.maxLength ? ` maxlength="${field.maxLength}"` : "";
+  if (field.type === "text" && (text.includes("\n") || text.length > 80 || !field.maxLength || field.maxLength > 255)) {
+    return `<textarea id="${id}" name="${name}" rows="4"${maxLength}${required}>${escapeHtml(text)}</textarea>`;
+  }
+  return `<input id="${id}" type="${field.type}" name="${name}" value="${escapeHtml(text)}"${maxLength}${required}>`;
+}
+
+// `data` is the submitted fields, files left out; `errors` maps field names to
+// messages; `challenge` is the project's spam challenge mode, if any.
+export function formErrorPage({ action, schema, data, errors, challenge }) {
+  const known = new Set(schema.fields.map((f) => f.name));
+  const multipart = schema.fields.some((f) => f.type === "file");
+
+  const fields = schema.fields.map((field) => {
+    const error = errors[field.name];
+    return `<div class="field${error ? " invalid" : ""}">
+      <label for="f-${escapeHtml(field.name)}">${escapeHtml(field.label || field.name)}${field.required ? " *" : ""}</label>
+      ${fieldInput(field, data[field.name])}
+      ${error ? `<div class="error">${escapeHtml(error)}</div>` : ""}
+      ${field.type === "file" && !error ? `<div class="hint">Attach the file again.</div>` : ""}
+    </div>`;
+  }).join("\n");
+
+  // Fields the schema doesn't list ride along unchanged, unless they were the problem
+  const hidden = Object.entries(data)
+    .filter(([name, value]) => !known.has(name) && !errors[name] && typeof value !== "object")
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join("\n");
+
+  const unexpected = Object.keys(errors).filter((name) => !known.has(name));
+
+  const form = challenge === "turnstile"
+    ? `<ul>${Object.entries(errors).map(([name, error]) => {
+        const field = schema.fields.find((f) => f.name === name);
+        return `<li><strong>${escapeHtml(field?.label || name)}:</strong> ${escapeHtml(error)}</li>`;
+      }).join("")}</ul>
+  <button type="button" onclick="history.back()">Go back and fix</button>`
+    : `<form method="POST" action="${escapeHtml(action)}"${multipart ? ` enctype="multipart/form-data"` : ""}>
+    ${fields}
+    ${hidden}
+    <button type="submit">Send</button>
+  </form>${challenge === "pow" ? `\n  <script src="/form-challenge.js"></script>` : ""}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Please check the form</title>
+  <style>
+    body { font-family: system-ui; max-width: 560px; margin: 0 auto; padding: 40px 20px; color: #111; }
+    h1 { font-size: 24px; color: #dc2626; }
+    .field { margin-bottom: 18px; }
+    label { display: block; font-weight: 600; margin-bottom: 6px; }
+    input, select, textarea { width: 100%; box-sizing: border-box; padding: 8px; font: inherit; border: 1px solid #ccc; border-radius: 6px; }
+    .invalid input, .invalid select, .invalid textarea { border-color: #dc2626; }
+    .error { color: #dc2626; font-size: 14px; margin-top: 4px; }
+    .hint { color: #666; font-size: 14px; margin-top: 4px; }
+    button { padding: 10px 20px; font: inherit; border: 0; border-radius: 6px; background: #111; color: #fff; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>Please check the form</h1>
+  <p>Some answers need fixing before this can be sent.</p>
+  ${unexpected.length && challenge !== "turnstile" ? `<p class="error">Not part of this form: ${unexpected.map(escapeHtml).join(", ")}</p>` : ""}
+  ${form}
+</body>
+</html>`;
+}
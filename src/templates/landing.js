@@ -24,6 +24,7 @@ ${siteHeader({ active: "" })}
       <button class="btn btn-primary btn-block" type="submit" id="submit-btn" style="margin-top: 16px;">Get started</button>
     </form>
     <div class="status" id="status" style="text-align: center;"></div>
+    <p style="font-size: 13px; color: var(--text-dim); margin-top: 16px; text-align: center;">Already have an account? <a href="/signin">Sign in</a>.</p>
   </div>
 </section>
 
@@ -49,6 +50,8 @@ ${siteFooter()}
   const form = document.getElementById('signup-form');
   const status = document.getElementById('status');
   const btn = document.getElementById('submit-btn');
+  // Invite links look like https://bassh.io/?invite=<code>
+  const invite = new URLSearchParams(location.search).get('invite') || undefined;
 
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -66,12 +69,14 @@ ${siteFooter()}
       const resp = await fetch('/signup/request', {
         method: 'POST',
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ email })
+        body: JSON.stringify({ email, invite })
       });
       const data = await resp.json();
       if (resp.ok && data.success) {
         status.className = 'status ok';
-        status.textContent = '✓ Check your email for a verification link. It expires in 1 hour.';
+        status.textContent = data.approval
+          ? '✓ Check your email for a verification link. Once verified, your signup waits for approval.'
+          : '✓ Check your email for a verification link. It expires in 1 hour.';
         form.reset();
       } else {
         status.className = 'status err';
@@ -0,0 +1,88 @@
+// Form notification emails: one per submission in instant mode, one a day
+// in digest mode. Both end with a link that takes the recipient off the list.
+// The confirm and stop links land on notifyLinkPage, which POSTs back so mail
+// scanners that prefetch URLs can't act on them.
+
+import { baseHead, siteHeader, siteFooter, emailBody, escapeHtml, EMAIL_TOKENS } from "./design.js";
+
+function fieldsTable(data) {
+  const rows = Object.entries(data).map(([key, value]) => {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return `<tr>
+      <td style="padding:6px 12px 6px 0;vertical-align:top;font-weight:600;color:${EMAIL_TOKENS.text};white-space:nowrap;">${escapeHtml(key)}</td>
+      <td style="padding:6px 0;vertical-align:top;white-space:pre-wrap;word-break:break-word;">${escapeHtml(text)}</td>
+    </tr>`;
+  });
+  if (rows.length === 0) return `<p><em>No fields.</em></p>`;
+  return `<table role="presentation" cellspacing="0" cellpadding="0" border="0" style="width:100%;border-collapse:collapse;">${rows.join("")}</table>`;
+}
+
+function stopFooter(project, stopUrl) {
+  return `You get these because you're on the form notifications for ${escapeHtml(project)}. <a href="${escapeHtml(stopUrl)}" style="color:${EMAIL_TOKENS.textDim};">Stop these emails</a>.`;
+}
+
+export function submissionEmail({ project, submission, stopUrl }) {
+  return emailBody({
+    headline: `New submission on ${project}`,
+    bodyHtml: `<p style="margin-top:0;">Received ${escapeHtml(submission._meta.submitted.replace("T", " ").slice(0, 16))} UTC.</p>${fieldsTable(submission.data)}`,
+    footerHtml: stopFooter(project, stopUrl)
+  });
+}
+
+// `more` counts submissions left out to keep the email a sensible size.
+export function submissionDigestEmail({ project, submissions, more, stopUrl }) {
+  const entries = submissions.map(submission => `
+    <div style="border-top:1px solid ${EMAIL_TOKENS.border};padding:12px 0;">
+      <div style="font-size:13px;margin-bottom:6px;">${escapeHtml(submission._meta.submitted.replace("T", " ").slice(0, 16))} UTC${submission._meta.subject ? ` · ${escapeHtml(submission._meta.subject)}` : ""}</div>
+      ${fieldsTable(submission.data)}
+    </div>`);
+  const rest = more > 0
+    ? `<p>And ${more} more. See them all with <code>bassh forms -n ${escapeHtml(project)}</code>.</p>`
+    : "";
+  return emailBody({
+    headline: `${submissions.length + more} new submission${submissions.length + more === 1 ? "" : "s"} on ${project}`,
+    bodyHtml: `${entries.join("")}${rest}`,
+    footerHtml: stopFooter(project, stopUrl)
+  });
+}
+
+// Sent when an address is added, so nobody gets submissions they didn't opt into.
+export function notifyConfirmEmail({ project, addedBy, confirmUrl }) {
+  return emailBody({
+    headline: `Get form submissions from ${project}?`,
+    bodyHtml: `<p><strong>${escapeHtml(addedBy)}</strong> wants to email you the form submissions their site <strong>${escapeHtml(project)}</strong> receives. Nothing is sent until you confirm.</p>`,
+    cta: { href: confirmUrl, label: "Send me submissions" }
+  });
+}
+
+// Shown by the confirm and stop links before anything changes.
+export function notifyLinkPage({ action, project, email, token }) {
+  const confirm = action === "confirm";
+  const headline = confirm ? "Confirm notifications" : "Stop notifications";
+  const message = confirm
+    ? `Email form submissions to <strong style="color: var(--text);">${escapeHtml(project)}</strong> to <strong style="color: var(--text);">${escapeHtml(email)}</strong>?`
+    : `Stop emailing form submissions to <strong style="color: var(--text);">${escapeHtml(project)}</strong> to <strong style="color: var(--text);">${escapeHtml(email)}</strong>?`;
+  const label = confirm ? "Confirm" : "Unsubscribe";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+${baseHead(`${headline} — bassh`)}
+</head>
+<body>
+${siteHeader({ active: "" })}
+
+<div class="container-narrow" style="padding-top: 56px; padding-bottom: 56px;">
+  <h1>${headline}</h1>
+  <p style="color: var(--text-dim);">${message}</p>
+
+  <form method="POST" action="/forms/notify/${confirm ? "confirm" : "stop"}">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button class="btn btn-primary btn-block" type="submit" style="margin-top: 24px;">${label}</button>
+  </form>
+</div>
+
+${siteFooter()}
+</body>
+</html>`;
+}
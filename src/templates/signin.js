@@ -0,0 +1,134 @@
+// Sign-in / account recovery pages. The form at /signin posts to
+// /signin/request via fetch; the emailed link lands on signinConfirmPage,
+// which POSTs back so link scanners that prefetch URLs can't use it up.
+
+import { baseHead, siteHeader, siteFooter, escapeHtml } from "./design.js";
+
+export function signinPage() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+${baseHead("Sign in — bassh")}
+</head>
+<body>
+${siteHeader({ active: "" })}
+
+<div class="container-narrow" style="padding-top: 56px; padding-bottom: 56px;">
+  <h1>Sign in</h1>
+  <p style="color: var(--text-dim); margin-top: 0;">Lost your API key? Enter the email on your account and we'll send you a link to create a new one.</p>
+
+  <form id="signin-form" novalidate style="margin-top: 32px;">
+    <label for="email" class="upper">Your email</label>
+    <input id="email" type="email" name="email" required autocomplete="email" placeholder="you@example.com">
+    <button class="btn btn-primary btn-block" type="submit" id="submit-btn" style="margin-top: 16px;">Send sign-in link</button>
+  </form>
+  <div class="status" id="status" style="text-align: center;"></div>
+
+  <p style="font-size: 13px; color: var(--text-dim); margin-top: 24px; text-align: center;">
+    Registered from the terminal? Attach an email first with <code class="inline">bassh email you@example.com</code>.
+    No account yet? <a href="/">Sign up</a>.
+  </p>
+</div>
+
+${siteFooter()}
+
+<script>
+  const form = document.getElementById('signin-form');
+  const status = document.getElementById('status');
+  const btn = document.getElementById('submit-btn');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    status.className = 'status';
+    status.textContent = '';
+    const email = document.getElementById('email').value.trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+      status.className = 'status err';
+      status.textContent = 'Please enter a valid email.';
+      return;
+    }
+    btn.disabled = true;
+    btn.textContent = 'Sending…';
+    try {
+      const resp = await fetch('/signin/request', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({ email })
+      });
+      const data = await resp.json();
+      if (resp.ok && data.success) {
+        status.className = 'status ok';
+        status.textContent = '✓ If that email is on an account, a sign-in link is on its way. It expires in 1 hour.';
+        form.reset();
+      } else {
+        status.className = 'status err';
+        status.textContent = data.error || 'Something went wrong. Try again in a minute.';
+      }
+    } catch (err) {
+      status.className = 'status err';
+      status.textContent = 'Network error. Check your connection.';
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Send sign-in link';
+    }
+  });
+</script>
+</body>
+</html>`;
+}
+
+// `deviceName` is set when the request came from `bassh login` on a computer;
+// otherwise approving mints a new primary API key.
+export function signinConfirmPage({ username, token, deviceName }) {
+  const action = deviceName !== undefined
+    ? `<p style="color: var(--text-dim);">A computer${deviceName ? ` called <strong style="color: var(--text);">${escapeHtml(deviceName)}</strong>` : ""} is asking to sign in as <strong style="color: var(--text);">${escapeHtml(username)}</strong>. Approve only if you just ran <code class="inline">bassh login</code> there.</p>`
+    : `<p style="color: var(--text-dim);">Signing in as <strong style="color: var(--text);">${escapeHtml(username)}</strong> creates a new API key. Your old key stops working.</p>`;
+  const label = deviceName !== undefined ? "Approve this computer" : "Create a new API key";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+${baseHead("Confirm sign-in — bassh")}
+</head>
+<body>
+${siteHeader({ active: "" })}
+
+<div class="container-narrow" style="padding-top: 56px; padding-bottom: 56px;">
+  <h1>Confirm sign-in</h1>
+  ${action}
+
+  <form method="POST" action="/signin/verify">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button class="btn btn-primary btn-block" type="submit" style="margin-top: 24px;">${label}</button>
+  </form>
+
+  <p style="font-size: 13px; color: var(--text-dim); margin-top: 24px; text-align: center;">
+    Didn't request this? Close this page; the link expires in 1 hour.
+  </p>
+</div>
+
+${siteFooter()}
+</body>
+</html>`;
+}
+
+// Shown after a link finishes its job: a computer approved, an email attached.
+export function signinDonePage({ headline, message }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+${baseHead(`${headline} — bassh`)}
+</head>
+<body>
+${siteHeader({ active: "" })}
+
+<div class="container-narrow" style="padding-top: 80px; padding-bottom: 80px; text-align: center;">
+  <h1><span style="color: var(--neon);">✓</span> ${escapeHtml(headline)}</h1>
+  <p style="color: var(--text-dim); max-width: 480px; margin: 16px auto 32px;">${escapeHtml(message)}</p>
+  <a class="btn btn-secondary" href="/">Back to bassh.io</a>
+</div>
+
+${siteFooter()}
+</body>
+</html>`;
+}
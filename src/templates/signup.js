@@ -0,0 +1,80 @@
+// Username chooser, shown when a web signup opens its verification link.
+// Availability is checked as you type against /signup/username; the form
+// POSTs back to /signup/verify, which creates the account.
+
+import { baseHead, siteHeader, siteFooter, escapeHtml } from "./design.js";
+
+// `fixed` is set when an invite reserved the username, so there's nothing to pick.
+export function signupUsernamePage({ email, token, suggestion, fixed = false, error = "" }) {
+  const safeSuggestion = escapeHtml(suggestion);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+${baseHead("Choose a username — bassh")}
+</head>
+<body>
+${siteHeader({ active: "" })}
+
+<div class="container-narrow" style="padding-top: 56px; padding-bottom: 56px;">
+  <h1>Choose a username</h1>
+  <p style="color: var(--text-dim); margin-top: 0;">Email verified: <strong style="color: var(--text);">${escapeHtml(email)}</strong>. Your username is part of every site address, like <code class="inline"><span id="preview">${safeSuggestion || "you"}</span>-site.pages.dev</code>.</p>
+
+  <form id="username-form" method="POST" action="/signup/verify" style="margin-top: 32px;">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <label for="username" class="upper">Username</label>
+    <input id="username" type="text" name="username" value="${safeSuggestion}" required autocomplete="username"
+      autocapitalize="none" spellcheck="false" maxlength="20" pattern="[a-z0-9][a-z0-9_\\-]{2,19}"${fixed ? " readonly" : ""}>
+    <div class="status${error ? " err" : ""}" id="status">${fixed ? "Reserved for you by your invite." : escapeHtml(error)}</div>
+    <button class="btn btn-primary btn-block" type="submit" id="submit-btn" style="margin-top: 16px;">Create account</button>
+  </form>
+
+  <p style="font-size: 13px; color: var(--text-dim); margin-top: 24px; text-align: center;">
+    3–20 characters: lowercase letters, digits, <code class="inline">-</code> and <code class="inline">_</code>, starting with a letter or digit.
+  </p>
+</div>
+
+${siteFooter()}
+${fixed ? "" : `
+<script>
+  const input = document.getElementById('username');
+  const status = document.getElementById('status');
+  const preview = document.getElementById('preview');
+  const btn = document.getElementById('submit-btn');
+  const token = ${JSON.stringify(token).replace(/</g, "\\u003c")};
+  let timer = null;
+  let latest = 0;
+
+  async function check() {
+    const name = input.value.trim().toLowerCase();
+    preview.textContent = name || 'you';
+    if (!name) {
+      status.className = 'status';
+      status.textContent = '';
+      return;
+    }
+    const seq = ++latest;
+    try {
+      const resp = await fetch('/signup/username?token=' + encodeURIComponent(token) + '&name=' + encodeURIComponent(name));
+      const data = await resp.json();
+      if (seq !== latest) return;
+      status.className = data.available ? 'status ok' : 'status err';
+      status.textContent = data.available ? '✓ ' + name + ' is available' : (data.error || name + ' is taken');
+      btn.disabled = !data.available;
+    } catch (err) {
+      if (seq !== latest) return;
+      status.className = 'status';
+      status.textContent = '';
+      btn.disabled = false;
+    }
+  }
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(check, 250);
+  });
+  if (input.value) check();
+</script>`}
+</body>
+</html>`;
+}
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { createWorld, hmacHex } from './helpers.js';
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte !== 0) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+}
+
+// What form-challenge.js does in the visitor's browser
+function solve(challenge) {
+  const difficulty = Number(challenge.split('.')[2]);
+  for (let nonce = 0; ; nonce++) {
+    const token = `${challenge}:${nonce}`;
+    if (leadingZeroBits(crypto.createHash('sha256').update(token).digest()) >= difficulty) return token;
+  }
+}
+
+async function powForm(difficulty = 8) {
+  const world = createWorld();
+  const { key } = await world.register('alice');
+  await world.deploy(key, 'site');
+  const response = await world.request('/forms/challenge?project=site', { method: 'PUT', key, body: { mode: 'pow', difficulty } });
+  assert.equal(response.status, 200);
+
+  return {
+    world,
+    key,
+    async challenge() {
+      const issued = await world.request('/form/alice-site/challenge');
+      assert.equal(issued.status, 200);
+      return (await issued.json()).challenge;
+    }
+  };
+}
+
+describe('proof-of-work challenges', () => {
+  it('accepts a solved challenge once', async () => {
+    const { world, challenge } = await powForm();
+    const token = solve(await challenge());
+
+    assert.equal((await world.submit('alice-site', { message: 'hi', _pow: token })).status, 200);
+    assert.equal((await world.submit('alice-site', { message: 'again', _pow: token })).status, 403);
+  });
+
+  it('refuses a missing or malformed solution', async () => {
+    const { world } = await powForm();
+    for (const fields of [{}, { _pow: 'x:1' }, { _pow: 'a.b.c.d:1:2' }]) {
+      const response = await world.submit('alice-site', { message: 'hi', ...fields });
+      assert.equal(response.status, 403, JSON.stringify(fields));
+    }
+  });
+
+  it('refuses a nonce that misses the difficulty', async () => {
+    const { world, challenge } = await powForm(16);
+    const issued = await challenge();
+    let nonce = 0;
+    while (leadingZeroBits(crypto.createHash('sha256').update(`${issued}:${nonce}`).digest()) >= 16) nonce++;
+
+    const response = await world.submit('alice-site', { message: 'hi', _pow: `${issued}:${nonce}` });
+    assert.equal(response.status, 403);
+  });
+
+  it('refuses a challenge whose difficulty was edited', async () => {
+    const { world, challenge } = await powForm();
+    const [expires, id, , signature] = (await challenge()).split('.');
+    const token = solve([expires, id, '1', signature].join('.'));
+
+    const response = await world.submit('alice-site', { message: 'hi', _pow: token });
+    assert.equal(response.status, 403);
+  });
+
+  it('refuses an expired challenge', async () => {
+    const { world } = await powForm();
+    const { powSecret } = await world.env.USERS.get('form-challenge:alice-site', 'json');
+    const signedFor = offset => {
+      const body = `${Math.floor(Date.now() / 1000) + offset}.${crypto.randomBytes(8).toString('hex')}.8`;
+      return solve(`${body}.${hmacHex(powSecret, `alice-site.${body}`)}`);
+    };
+
+    assert.equal((await world.submit('alice-site', { message: 'hi', _pow: signedFor(60) })).status, 200);
+    assert.equal((await world.submit('alice-site', { message: 'hi', _pow: signedFor(-1) })).status, 403);
+  });
+
+  it('refuses challenges issued before the difficulty went up', async () => {
+    const { world, key, challenge } = await powForm(8);
+    const token = solve(await challenge());
+    await world.request('/forms/challenge?project=site', { method: 'PUT', key, body: { mode: 'pow', difficulty: 12 } });
+
+    const response = await world.submit('alice-site', { message: 'hi', _pow: token });
+    assert.equal(response.status, 403);
+  });
+});
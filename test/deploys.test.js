@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, sha256Hex } from './helpers.js';
+
+// How the CLI names a file's content: the first 32 hex chars of its SHA-256
+function assetHash(text) {
+  return sha256Hex(text).slice(0, 32);
+}
+
+function file(path, text) {
+  return { path, content: Buffer.from(text).toString('base64') };
+}
+
+async function deployed() {
+  const world = createWorld();
+  const { key } = await world.register('alice');
+  const response = await world.deploy(key, 'docs', [file('index.html', '<h1>v1</h1>'), file('app.css', 'a{}')]);
+  assert.equal(response.status, 200);
+  return { world, key };
+}
+
+function check(world, key, files, options = {}) {
+  return world.request('/deploy/check', { method: 'POST', key, body: { projectName: 'docs', files, ...options } });
+}
+
+describe('incremental deploys', () => {
+  it('asks for every file on a project that does not exist yet', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    const response = await world.request('/deploy/check', {
+      method: 'POST',
+      key,
+      body: { projectName: 'new', files: [{ path: 'index.html', hash: assetHash('x') }] }
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).missing, ['index.html']);
+  });
+
+  it('asks only for files Pages does not already store', async () => {
+    const { world, key } = await deployed();
+    const response = await check(world, key, [
+      { path: 'index.html', hash: assetHash('<h1>v2</h1>') },
+      { path: 'app.css', hash: assetHash('a{}') }
+    ]);
+    assert.deepEqual((await response.json()).missing, ['index.html']);
+  });
+
+  it('deploys unchanged files by hash without uploading them again', async () => {
+    const { world, key } = await deployed();
+    const response = await world.deploy(key, 'docs', [
+      file('index.html', '<h1>v2</h1>'),
+      { path: 'app.css', hash: assetHash('a{}') }
+    ]);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).files, { total: 2, uploaded: 1, reused: 1 });
+  });
+
+  it('asks for a hash-only file again once Pages has dropped it', async () => {
+    const { world, key } = await deployed();
+    world.cf.assets.delete(assetHash('a{}'));
+
+    const response = await world.deploy(key, 'docs', [
+      file('index.html', '<h1>v2</h1>'),
+      { path: 'app.css', hash: assetHash('a{}') }
+    ]);
+    assert.equal(response.status, 409);
+    assert.deepEqual((await response.json()).missing, ['app.css']);
+  });
+
+  it('always asks for content that is encrypted on the server', async () => {
+    const { world, key } = await deployed();
+    const files = [{ path: 'index.html', hash: assetHash('<h1>v1</h1>') }];
+
+    const response = await check(world, key, files, { password: 'secret' });
+    assert.deepEqual((await response.json()).missing, ['index.html']);
+
+    const deploy = await world.request('/', { method: 'POST', key, body: { projectName: 'docs', files, password: 'secret' } });
+    assert.equal(deploy.status, 400);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, hmacHex, sha256Hex } from './helpers.js';
+
+// Headers the CLI sends for a device-signed request
+function signed(device, method, path, body = '', { timestamp = Math.floor(Date.now() / 1000), secret = device.secret } = {}) {
+  return {
+    'X-Device-ID': device.id,
+    'X-Device-Timestamp': String(timestamp),
+    'X-Device-Signature': hmacHex(secret, `${timestamp}\n${method}\n${path}\n${sha256Hex(body)}`)
+  };
+}
+
+async function enrolled() {
+  const world = createWorld();
+  const { device } = await world.register('alice', { machineId: 'machine-1', device: true });
+  return { world, device };
+}
+
+describe('device signatures', () => {
+  it('signs in a request signed with the device secret', async () => {
+    const { world, device } = await enrolled();
+    const response = await world.request('/me', { headers: signed(device, 'GET', '/me') });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).username, 'alice');
+  });
+
+  it('covers the body', async () => {
+    const { world, device } = await enrolled();
+    const path = `/devices/${device.id}`;
+    const headers = signed(device, 'PATCH', path, JSON.stringify({ name: 'laptop' }));
+
+    const response = await world.request(path, { method: 'PATCH', headers, body: { name: 'laptop' } });
+    assert.equal(response.status, 200);
+
+    const tampered = await world.request(path, { method: 'PATCH', headers, body: { name: 'evil' } });
+    assert.equal(tampered.status, 401);
+  });
+
+  it('covers the query string', async () => {
+    const { world, device } = await enrolled();
+    const response = await world.request('/?project=other', { headers: signed(device, 'GET', '/') });
+    assert.equal(response.status, 401);
+  });
+
+  it('refuses a timestamp outside the signature window', async () => {
+    const { world, device } = await enrolled();
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    const response = await world.request('/me', { headers: signed(device, 'GET', '/me', '', { timestamp }) });
+    assert.equal(response.status, 401);
+  });
+
+  it('refuses a signature made with another secret', async () => {
+    const { world, device } = await enrolled();
+    const response = await world.request('/me', { headers: signed(device, 'GET', '/me', '', { secret: 'not-the-secret' }) });
+    assert.equal(response.status, 401);
+  });
+
+  it('refuses the bare machine ID once the machine has a device', async () => {
+    const { world } = await enrolled();
+    const response = await world.request('/me', { headers: { 'X-Machine-ID': 'machine-1' } });
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+const SCHEMA = {
+  strict: true,
+  fields: [
+    { name: 'name', required: true, maxLength: 40 },
+    { name: 'email', type: 'email', required: true },
+    { name: 'site', type: 'url' },
+    { name: 'age', type: 'number' },
+    { name: 'plan', values: ['basic', 'pro'] },
+    { name: 'size', type: 'number', values: [1, 2, 3] }
+  ]
+};
+
+async function withSchema(schema = SCHEMA) {
+  const world = createWorld();
+  const { key } = await world.register('alice');
+  await world.deploy(key, 'site');
+  const response = await world.request('/forms/schema?project=site', { method: 'PUT', key, body: schema });
+  assert.equal(response.status, 200);
+  return { world, key };
+}
+
+describe('form schemas', () => {
+  it('refuses a schema it cannot enforce', async () => {
+    const { world, key } = await withSchema();
+    for (const fields of [
+      [{ name: 'a', type: 'date' }],
+      [{ name: 'a' }, { name: 'a' }],
+      [{ name: '_private' }],
+      [{ name: 'cv', type: 'file', values: ['a'] }]
+    ]) {
+      const response = await world.request('/forms/schema?project=site', { method: 'PUT', key, body: { fields } });
+      assert.equal(response.status, 400, JSON.stringify(fields));
+    }
+  });
+
+  it('reports every invalid field', async () => {
+    const { world } = await withSchema();
+    const response = await world.submit('alice-site', {
+      name: 'x'.repeat(41),
+      email: 'nope',
+      site: 'javascript:alert(1)',
+      age: 'abc',
+      plan: 'gold',
+      size: '4'
+    });
+    assert.equal(response.status, 400);
+    const { errors } = await response.json();
+    assert.deepEqual(Object.keys(errors).sort(), ['age', 'email', 'name', 'plan', 'site', 'size']);
+    assert.equal((await world.env.FORMS.list()).keys.length, 0);
+  });
+
+  it('requires required fields', async () => {
+    const { world } = await withSchema();
+    const response = await world.submit('alice-site', { email: 'ann@example.com' });
+    assert.equal(response.status, 400);
+    assert.deepEqual(Object.keys((await response.json()).errors), ['name']);
+  });
+
+  it('stores a valid submission', async () => {
+    const { world } = await withSchema();
+    const response = await world.submit('alice-site', {
+      name: 'Ann',
+      email: 'ann@example.com',
+      site: 'https://ann.example',
+      age: '41',
+      plan: 'pro',
+      size: '2'
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await world.env.FORMS.list({ prefix: 'alice-site:' })).keys.length, 1);
+  });
+
+  it('refuses unknown fields only when strict', async () => {
+    const { world } = await withSchema();
+    const strict = await world.submit('alice-site', { name: 'Ann', email: 'ann@example.com', extra: '1' });
+    assert.equal(strict.status, 400);
+    assert.deepEqual(Object.keys((await strict.json()).errors), ['extra']);
+
+    const { world: relaxed } = await withSchema({ ...SCHEMA, strict: false });
+    const response = await relaxed.submit('alice-site', { name: 'Ann', email: 'ann@example.com', extra: '1' });
+    assert.equal(response.status, 200);
+  });
+});
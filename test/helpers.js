@@ -0,0 +1,219 @@
+// Test doubles for the Worker: an in-memory KV namespace, a fake of the
+// Cloudflare Pages API behind globalThis.fetch, and a client that drives
+// worker.fetch the way the CLI does.
+import crypto from 'node:crypto';
+import worker from '../src/index.js';
+
+export class MemoryKV {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry?.expiration && entry.expiration * 1000 <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key, type = 'text') {
+    const entry = this.entry(key);
+    if (!entry) return null;
+    if (type === 'arrayBuffer') {
+      return typeof entry.value === 'string'
+        ? new TextEncoder().encode(entry.value).buffer
+        : entry.value.slice().buffer;
+    }
+    const text = typeof entry.value === 'string' ? entry.value : new TextDecoder().decode(entry.value);
+    return type === 'json' ? JSON.parse(text) : text;
+  }
+
+  async getWithMetadata(key, type) {
+    return { value: await this.get(key, type), metadata: this.entry(key)?.metadata ?? null };
+  }
+
+  // Refuses what Workers KV refuses, so code that would fail in
+  // production fails here too
+  async put(key, value, { metadata = null, expiration, expirationTtl } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    if (new TextEncoder().encode(key).length > 512) {
+      throw new Error('KV PUT failed: 414 UTF-8 encoded length exceeds key length limit of 512.');
+    }
+    if (expirationTtl !== undefined && expirationTtl < 60) {
+      throw new Error(`KV PUT failed: 400 Invalid expiration_ttl of ${expirationTtl}. Expiration TTL must be at least 60.`);
+    }
+    if (expiration !== undefined && expiration < now + 60) {
+      throw new Error(`KV PUT failed: 400 Invalid expiration of ${expiration}. Expiration times must be at least 60 seconds in the future.`);
+    }
+    if (metadata !== null && new TextEncoder().encode(JSON.stringify(metadata)).length > 1024) {
+      throw new Error('KV PUT failed: 413 Metadata length exceeds limit of 1024 bytes');
+    }
+    if (typeof value !== 'string') {
+      value = new Uint8Array(ArrayBuffer.isView(value) ? value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength) : value);
+    }
+    if (expirationTtl) expiration = now + expirationTtl;
+    this.entries.set(key, { value, metadata, expiration });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = '', cursor, limit = 1000 } = {}) {
+    const names = [...this.entries.keys()].filter(name => name.startsWith(prefix) && this.entry(name)).sort();
+    const start = cursor ? Number(cursor) : 0;
+    const done = start + limit >= names.length;
+    return {
+      keys: names.slice(start, start + limit).map(name => {
+        const { metadata, expiration } = this.entries.get(name);
+        return { name, metadata, ...(expiration ? { expiration } : {}) };
+      }),
+      list_complete: done,
+      cursor: done ? undefined : String(start + limit)
+    };
+  }
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Small, so a handful of projects already spans two pages
+const PROJECTS_PER_PAGE = 10;
+
+// Answers the Pages API calls a deploy makes. `cf.projects` maps a project
+// name to its creation time; names in `cf.undeletable` refuse DELETE.
+function pagesApi(cf, path, method, body) {
+  let match;
+  if (path === '/pages/projects' && method === 'POST') {
+    cf.projects.set(JSON.parse(body).name, new Date().toISOString());
+    return json({ success: true });
+  }
+  if ((match = path.match(/^\/pages\/projects(?:\?page=(\d+))?$/))) {
+    const page = Number(match[1] || 1);
+    const projects = [...cf.projects].slice((page - 1) * PROJECTS_PER_PAGE, page * PROJECTS_PER_PAGE);
+    return json({
+      success: true,
+      result: projects.map(([name, created]) => ({ name, created_on: created, domains: [`${name}.pages.dev`] })),
+      result_info: { page, total_pages: Math.max(1, Math.ceil(cf.projects.size / PROJECTS_PER_PAGE)) }
+    });
+  }
+  if ((match = path.match(/^\/pages\/projects\/([^/?]+)(.*)$/))) {
+    const [, name, rest] = match;
+    if (!cf.projects.has(name)) return json({ success: false }, 404);
+    if (rest === '' && method === 'GET') {
+      const live = cf.deployments.get(name)?.findLast(d => !d.branch);
+      return json({ result: { name, created_on: cf.projects.get(name), canonical_deployment: live ? { id: live.id } : null } });
+    }
+    if (rest === '' && method === 'DELETE') {
+      if (cf.undeletable.has(name)) return json({ success: false, errors: ['Project is locked'] }, 500);
+      cf.projects.delete(name);
+      return json({ success: true });
+    }
+    if (rest === '/upload-token') return json({ result: { jwt: `jwt-${name}` } });
+    if (rest === '/deployments' && method === 'POST') {
+      const deployment = { id: crypto.randomBytes(4).toString('hex'), branch: body.get('branch') };
+      cf.deployments.set(name, [...(cf.deployments.get(name) || []), deployment]);
+      return json({ success: true, result: { ...deployment, manifest: JSON.parse(body.get('manifest')) } });
+    }
+    if (rest.startsWith('/deployments?')) {
+      return json({ success: true, result: [], result_info: { total_pages: 1 } });
+    }
+  }
+  if (path === '/pages/assets/check-missing') {
+    return json({ result: JSON.parse(body).hashes.filter(hash => !cf.assets.has(hash)) });
+  }
+  if (path === '/pages/assets/upload') {
+    for (const asset of JSON.parse(body)) cf.assets.add(asset.key);
+    return json({ success: true });
+  }
+  if (path === '/pages/assets/upsert-hashes') return json({ success: true });
+  if (path.startsWith('/access/apps')) return json({ success: true, result: [] });
+  return json({ success: false, errors: [`Not faked: ${method} ${path}`] }, 500);
+}
+
+// A fresh account: KV namespaces, env vars and a faked Cloudflare API.
+// `outbound(url, init)` may answer other fetches (webhooks, Turnstile);
+// returning nothing falls through to the fakes.
+export function createWorld(vars = {}, outbound = null) {
+  const env = {
+    USERS: new MemoryKV(),
+    FORMS: new MemoryKV(),
+    CF_ACCOUNT_ID: 'account',
+    CF_API_TOKEN: 'token',
+    ...vars
+  };
+  // `requests` records every outbound fetch
+  const cf = { projects: new Map(), deployments: new Map(), assets: new Set(), undeletable: new Set(), requests: [] };
+  const pending = [];
+  let visitors = 0;
+  const ctx = { waitUntil: promise => pending.push(promise) };
+  const apiBase = 'https://api.cloudflare.com/client/v4';
+  const accountPath = `/accounts/${env.CF_ACCOUNT_ID}`;
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input);
+    const method = init.method || 'GET';
+    cf.requests.push({ url, method, headers: new Headers(init.headers), body: init.body });
+    const answer = outbound && await outbound(url, init);
+    if (answer) return answer;
+    if (url.startsWith(apiBase)) {
+      const path = url.slice(apiBase.length);
+      return pagesApi(cf, path.startsWith(accountPath) ? path.slice(accountPath.length) : path, method, init.body);
+    }
+    if (url.startsWith('https://api.resend.com/')) return json({ id: 'email' });
+    return json({ error: `Not faked: ${method} ${url}` }, 500);
+  };
+
+  async function request(path, { method = 'GET', key, headers = {}, body } = {}) {
+    const init = { method, headers: { ...(key ? { 'X-API-Key': key } : {}), ...headers } };
+    if (body instanceof FormData || typeof body === 'string' || ArrayBuffer.isView(body)) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.body = JSON.stringify(body);
+      init.headers['Content-Type'] = 'application/json';
+    }
+    return worker.fetch(new Request(`https://api.example${path}`, init), env, ctx);
+  }
+
+  return {
+    env,
+    cf,
+    request,
+
+    // Register through the API; returns the response body
+    async register(username, fields = {}) {
+      const response = await request('/register', { method: 'POST', body: { username, ...fields } });
+      return response.json();
+    },
+
+    // One-file deploy of `projectName` (short name)
+    deploy(key, projectName, files = [{ path: 'index.html', content: btoa('<h1>hi</h1>') }]) {
+      return request('/', { method: 'POST', key, body: { projectName, files } });
+    },
+
+    // Public form post from a new visitor
+    submit(fullProjectName, fields, headers = {}) {
+      return request(`/form/${fullProjectName}`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'CF-Connecting-IP': `203.0.113.${++visitors % 250}`, ...headers },
+        body: fields
+      });
+    },
+
+    // Wait for work handed to ctx.waitUntil
+    async settle() {
+      while (pending.length) await pending.shift();
+    }
+  };
+}
+
+export function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+export function hmacHex(secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
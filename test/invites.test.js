@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+const admin = { 'Authorization': 'Bearer admin-token' };
+
+async function inviteOnly(vars = {}) {
+  const world = createWorld({ ADMIN_TOKEN: 'admin-token', INVITE_ONLY: 'true', ...vars });
+  return {
+    world,
+    async invite(fields) {
+      const response = await world.request('/admin/invites', { method: 'POST', headers: admin, body: fields });
+      assert.equal(response.status, 200);
+      return (await response.json()).code;
+    },
+    register(username, registrationCode) {
+      return world.request('/register', { method: 'POST', body: { username, registrationCode } });
+    }
+  };
+}
+
+async function error(response) {
+  return (await response.json()).error;
+}
+
+describe('invite codes', () => {
+  it('lets anyone register while signups are open', async () => {
+    const world = createWorld();
+    const response = await world.request('/register', { method: 'POST', body: { username: 'alice' } });
+    assert.equal(response.status, 200);
+  });
+
+  it('requires a code when invite-only', async () => {
+    const { register } = await inviteOnly();
+    const missing = await register('alice');
+    assert.equal(missing.status, 403);
+    assert.match(await error(missing), /invite code is required/);
+
+    const unknown = await register('alice', 'not-a-code');
+    assert.equal(unknown.status, 403);
+    assert.match(await error(unknown), /Invalid registration code/);
+  });
+
+  it('counts uses against maxUses', async () => {
+    const { invite, register } = await inviteOnly();
+    const code = await invite({ maxUses: 2 });
+    assert.equal((await register('alice', code)).status, 200);
+    assert.equal((await register('bob', code)).status, 200);
+
+    const third = await register('carol', code);
+    assert.equal(third.status, 403);
+    assert.match(await error(third), /used up/);
+  });
+
+  it('refuses an expired code', async () => {
+    const { world, invite, register } = await inviteOnly();
+    const code = await invite({ expiresInDays: 7 });
+    const record = await world.env.USERS.get(`invite:${code}`, 'json');
+    await world.env.USERS.put(`invite:${code}`, JSON.stringify({ ...record, expires: '2020-01-01T00:00:00Z' }));
+
+    const response = await register('alice', code);
+    assert.equal(response.status, 403);
+    assert.match(await error(response), /expired/);
+  });
+
+  it('holds a code reserved for a username', async () => {
+    const { invite, register } = await inviteOnly();
+    const code = await invite({ username: 'dave' });
+
+    const other = await register('eve', code);
+    assert.equal(other.status, 403);
+    assert.match(await error(other), /reserved for the username 'dave'/);
+    assert.equal((await register('dave', code)).status, 200);
+  });
+
+  it('sends email-domain codes to web signup', async () => {
+    const { world, invite, register } = await inviteOnly();
+    const code = await invite({ emailDomain: 'acme.com', maxUses: 5 });
+
+    const cli = await register('frank', code);
+    assert.equal(cli.status, 403);
+    assert.match(await error(cli), /@acme\.com addresses/);
+
+    const wrong = await world.request('/signup/request', { method: 'POST', body: { email: 'frank@other.com', invite: code } });
+    assert.equal(wrong.status, 403);
+  });
+
+  it('still accepts the legacy REGISTRATION_CODE', async () => {
+    const { register } = await inviteOnly({ REGISTRATION_CODE: 'legacy-code' });
+    assert.equal((await register('alice', 'legacy-code')).status, 200);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, sha256Hex } from './helpers.js';
+
+async function withKey(fields) {
+  const world = createWorld();
+  const { key } = await world.register('alice');
+  const response = await world.request('/keys', { method: 'POST', key, body: { label: 'ci', ...fields } });
+  assert.equal(response.status, 200);
+  return { world, primary: key, scoped: await response.json() };
+}
+
+describe('scoped API keys', () => {
+  it('allows the routes its scopes cover', async () => {
+    const { world, scoped } = await withKey({ scopes: ['list'] });
+    const response = await world.request('/', { key: scoped.key });
+    assert.equal(response.status, 200);
+  });
+
+  it('refuses routes outside its scopes', async () => {
+    const { world, scoped } = await withKey({ scopes: ['list'] });
+    const response = await world.deploy(scoped.key, 'docs');
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /'deploy' scope/);
+  });
+
+  it('keeps account routes to keys with the account scope', async () => {
+    const { world, scoped } = await withKey({ scopes: ['deploy', 'list', 'delete', 'forms:read', 'forms:write'] });
+    for (const [path, method] of [['/keys', 'GET'], ['/key', 'GET'], ['/uninstall', 'POST']]) {
+      const response = await world.request(path, { method, key: scoped.key });
+      assert.equal(response.status, 403, `${method} ${path}`);
+    }
+  });
+
+  it('splits form access into read and write', async () => {
+    const { world, primary, scoped } = await withKey({ scopes: ['forms:read'] });
+    await world.deploy(primary, 'docs');
+    assert.equal((await world.request('/forms?project=docs', { key: scoped.key })).status, 200);
+    assert.equal((await world.request('/forms?project=docs', { method: 'DELETE', key: scoped.key })).status, 403);
+  });
+
+  it('only reaches the projects on its allowlist', async () => {
+    const { world, scoped } = await withKey({ scopes: ['deploy', 'list'], projects: ['docs'] });
+    assert.equal((await world.deploy(scoped.key, 'docs')).status, 200);
+
+    const other = await world.deploy(scoped.key, 'other');
+    assert.equal(other.status, 403);
+    assert.match((await other.json()).error, /alice-other/);
+
+    const unnamed = await world.request('/deployments', { key: scoped.key });
+    assert.equal(unnamed.status, 403);
+    assert.match((await unnamed.json()).error, /Name the project/);
+  });
+
+  it('keeps a full allowlist of long project names through listing and relabelling', async () => {
+    const projects = Array.from({ length: 20 }, (_, i) => `marketing-site-for-the-spring-product-launch-${String(i).padStart(2, '0')}`);
+    const { world, primary, scoped } = await withKey({ scopes: ['deploy'], projects });
+
+    const listed = (await (await world.request('/keys', { key: primary })).json()).keys.find(k => k.id === scoped.id);
+    assert.equal(listed.projects.length, 20);
+    assert.ok(!('projectCount' in listed));
+
+    const relabelled = await world.request(`/keys/${scoped.id}`, { method: 'PATCH', key: primary, body: { label: 'deploys' } });
+    assert.equal(relabelled.status, 200);
+    assert.deepEqual((await relabelled.json()).projects, scoped.projects);
+    assert.equal((await world.deploy(scoped.key, projects[19])).status, 200);
+  });
+
+  it('stops working once revoked', async () => {
+    const { world, primary, scoped } = await withKey({ scopes: ['list'] });
+    assert.equal((await world.request(`/keys/${scoped.id}`, { method: 'DELETE', key: primary })).status, 200);
+    assert.equal((await world.request('/', { key: scoped.key })).status, 401);
+  });
+
+  it('stops working once expired', async () => {
+    const { world, scoped } = await withKey({ scopes: ['list'], expiresInDays: 1 });
+    const recordKey = `keyhash:${sha256Hex(scoped.key)}`;
+    const record = await world.env.USERS.get(recordKey, 'json');
+    await world.env.USERS.put(recordKey, JSON.stringify({ ...record, expires: '2020-01-01T00:00:00Z' }));
+    assert.equal((await world.request('/', { key: scoped.key })).status, 401);
+  });
+
+  it('keeps working through its last minute', async () => {
+    const { world, scoped } = await withKey({ scopes: ['list'], expiresInDays: 1 });
+    const recordKey = `keyhash:${sha256Hex(scoped.key)}`;
+    const record = await world.env.USERS.get(recordKey, 'json');
+    await world.env.USERS.put(recordKey, JSON.stringify({ ...record, expires: new Date(Date.now() + 30000).toISOString() }));
+    assert.equal((await world.request('/', { key: scoped.key })).status, 200);
+  });
+});
@@ -0,0 +1,16 @@
+const EMAIL_MESSAGE = `
+export class EmailMessage {
+  constructor(from, to, raw) {
+    this.from = from;
+    this.to = to;
+    this.raw = raw;
+  }
+}
+`;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'cloudflare:email') {
+    return { url: `data:text/javascript,${encodeURIComponent(EMAIL_MESSAGE)}`, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
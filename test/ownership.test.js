@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+// bob signed up in 2023-01 and bob-x in 2023-06, so a legacy `bob-x-*`
+// project is bob's `x-*` if it predates bob-x, and ambiguous otherwise.
+async function legacyAccounts(vars) {
+  const world = createWorld(vars);
+  const keys = {};
+  for (const [username, created] of [['bob', '2023-01-01T00:00:00Z'], ['bob-x', '2023-06-01T00:00:00Z']]) {
+    keys[username] = (await world.register(username)).key;
+    const record = await world.env.USERS.get(`user:${username}`, 'json');
+    await world.env.USERS.put(`user:${username}`, JSON.stringify({ ...record, created }));
+  }
+  return { world, keys };
+}
+
+describe('project ownership', () => {
+  it('records the owner on first deploy and refuses everyone else', async () => {
+    const world = createWorld();
+    const alice = (await world.register('alice')).key;
+    const aliceX = (await world.register('alice-x')).key;
+
+    assert.equal((await world.deploy(alice, 'x-site')).status, 200);
+    assert.equal((await world.env.USERS.get('project:alice-x-site', 'json')).owner, 'alice');
+
+    const deploy = await world.deploy(aliceX, 'site');
+    assert.equal(deploy.status, 403);
+    assert.match((await deploy.json()).error, /taken by another account/);
+    assert.equal((await world.request('/?project=alice-x-site', { method: 'DELETE', key: aliceX })).status, 403);
+    assert.ok(world.cf.projects.has('alice-x-site'));
+  });
+
+  it('claims a legacy project for its only possible owner', async () => {
+    const { world, keys } = await legacyAccounts();
+    world.cf.projects.set('bob-x-old', '2023-03-01T00:00:00Z');
+
+    const response = await world.request('/list', { key: keys.bob });
+    assert.deepEqual((await response.json()).projects.map(p => p.name), ['bob-x-old']);
+    assert.equal((await world.env.USERS.get('project:bob-x-old', 'json')).owner, 'bob');
+  });
+
+  it('leaves an ambiguous legacy project unclaimed until an admin assigns it', async () => {
+    const { world, keys } = await legacyAccounts({ ADMIN_TOKEN: 'admin-token' });
+    world.cf.projects.set('bob-x-site', '2024-01-01T00:00:00Z');
+    const admin = { 'Authorization': 'Bearer admin-token' };
+
+    for (const key of [keys.bob, keys['bob-x']]) {
+      assert.equal((await world.request('/?project=bob-x-site', { method: 'DELETE', key })).status, 403);
+    }
+    assert.equal((await world.deploy(keys.bob, 'x-site')).status, 403);
+
+    const list = await (await world.request('/admin/projects', { headers: admin })).json();
+    const project = list.projects.find(p => p.name === 'bob-x-site');
+    assert.equal(project.owner, null);
+    assert.deepEqual(project.candidates.sort(), ['bob', 'bob-x']);
+
+    const assign = await world.request('/admin/projects/bob-x-site', { method: 'PUT', headers: admin, body: { owner: 'bob-x' } });
+    assert.equal(assign.status, 200);
+    assert.equal((await world.deploy(keys['bob-x'], 'site')).status, 200);
+  });
+
+  it('lists every owned project, past the first page of the Pages listing', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    for (let i = 0; i < 12; i++) {
+      assert.equal((await world.deploy(key, `site${i}`)).status, 200);
+    }
+
+    const { projects } = await (await world.request('/list', { key })).json();
+    assert.equal(projects.length, 12);
+  });
+});
+
+describe('project deletion', () => {
+  it('leaves nothing for whoever creates the name next', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    const files = [{ path: 'index.html', content: btoa('<h1>members</h1>') }];
+    const deployOtp = () => world.request('/', { method: 'POST', key, body: { projectName: 'club', files, otpEmails: 'ann@example.com' } });
+
+    assert.equal((await deployOtp()).status, 200);
+    const { key: firstKey } = await world.env.USERS.get('otp-key:alice-club', 'json');
+
+    assert.equal((await world.request('/?project=club', { method: 'DELETE', key })).status, 200);
+    assert.equal(await world.env.USERS.get('otp-key:alice-club'), null);
+
+    assert.equal((await deployOtp()).status, 200);
+    const { key: secondKey } = await world.env.USERS.get('otp-key:alice-club', 'json');
+    assert.notEqual(secondKey, firstKey);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+async function account(vars) {
+  const world = createWorld({ ADMIN_TOKEN: 'admin-token', ...vars });
+  const { key } = await world.register('alice');
+  return { world, key };
+}
+
+function file(n, bytes = 2) {
+  return { path: `page${n}.html`, content: Buffer.alloc(bytes, 'a').toString('base64') };
+}
+
+describe('quotas', () => {
+  it('caps the number of projects but not redeploys', async () => {
+    const { world, key } = await account({ QUOTA_PROJECTS: '1' });
+    assert.equal((await world.deploy(key, 'a')).status, 200);
+
+    const second = await world.deploy(key, 'b');
+    assert.equal(second.status, 403);
+    const body = await second.json();
+    assert.equal(body.code, 'project_limit');
+    assert.equal(body.limit, 1);
+
+    assert.equal((await world.deploy(key, 'a')).status, 200);
+  });
+
+  it('caps files and megabytes per deploy', async () => {
+    const { world, key } = await account({ QUOTA_DEPLOY_FILES: '2', QUOTA_DEPLOY_MB: '1' });
+
+    const files = await world.deploy(key, 'a', [file(1), file(2), file(3)]);
+    assert.equal(files.status, 413);
+    assert.equal((await files.json()).code, 'deploy_files_limit');
+
+    const size = await world.deploy(key, 'a', [file(1, 1100000)]);
+    assert.equal(size.status, 413);
+    assert.equal((await size.json()).code, 'deploy_size_limit');
+
+    assert.equal((await world.deploy(key, 'a', [file(1), file(2)])).status, 200);
+  });
+
+  it('rate-limits deploys per hour with Retry-After', async () => {
+    const { world, key } = await account({ QUOTA_DEPLOYS_PER_HOUR: '2' });
+    assert.equal((await world.deploy(key, 'a')).status, 200);
+    assert.equal((await world.deploy(key, 'a')).status, 200);
+
+    const third = await world.deploy(key, 'a');
+    assert.equal(third.status, 429);
+    assert.equal((await third.json()).code, 'deploy_rate_limit');
+    const retryAfter = Number(third.headers.get('Retry-After'));
+    assert.ok(retryAfter > 0 && retryAfter <= 3600);
+  });
+
+  it('stops taking submissions at the limit until some are cleared', async () => {
+    const { world, key } = await account({ QUOTA_SUBMISSIONS: '2' });
+    await world.deploy(key, 'a');
+    assert.equal((await world.submit('alice-a', { message: 'one' })).status, 200);
+    assert.equal((await world.submit('alice-a', { message: 'two' })).status, 200);
+
+    const third = await world.submit('alice-a', { message: 'three' });
+    assert.equal(third.status, 403);
+    assert.equal((await third.json()).code, 'submission_limit');
+
+    assert.equal((await world.request('/forms?project=a', { method: 'DELETE', key })).status, 200);
+    assert.equal((await world.submit('alice-a', { message: 'four' })).status, 200);
+  });
+
+  it('lets an admin override the default for one user', async () => {
+    const { world, key } = await account({ QUOTA_PROJECTS: '1' });
+    await world.deploy(key, 'a');
+
+    const override = await world.request('/admin/users/alice/quota', {
+      method: 'PUT',
+      headers: { 'Authorization': 'Bearer admin-token' },
+      body: { projects: 2 }
+    });
+    assert.equal(override.status, 200);
+    assert.equal((await world.deploy(key, 'b')).status, 200);
+    assert.equal((await world.deploy(key, 'c')).status, 403);
+  });
+});
@@ -0,0 +1,5 @@
+// Loaded with `node --import`. `cloudflare:email` only exists inside the
+// Workers runtime, so the loader below swaps in a stand-in for Node.
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);
@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+describe('account rename', () => {
+  it('moves a form submission that is about to expire', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    await world.deploy(key, 'site');
+    assert.equal((await world.submit('alice-site', { name: 'Lee' })).status, 200);
+
+    const [name] = [...world.env.FORMS.entries.keys()].filter(k => k.startsWith('alice-site:'));
+    world.env.FORMS.entries.get(name).expiration = Math.floor(Date.now() / 1000) + 30;
+
+    const response = await world.request('/rename', { method: 'POST', key, body: { username: 'alicia' } });
+    assert.equal(response.status, 200);
+    const moved = [...world.env.FORMS.entries.keys()].filter(k => k.startsWith('alicia-site:'));
+    assert.equal(moved.length, 1);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+describe('upload sessions', () => {
+  it('stages and deploys a file however deep its path', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    const path = `${'docs/reference/'.repeat(40)}index.html`;
+    const bytes = new TextEncoder().encode('<h1>deep</h1>');
+
+    const opened = await world.request('/upload/sessions', {
+      method: 'POST',
+      key,
+      body: { projectName: 'docs', files: [{ path, size: bytes.length }] }
+    });
+    assert.equal(opened.status, 200);
+    const { sessionId } = await opened.json();
+
+    const status = async () => (await (await world.request(`/upload/sessions/${sessionId}`, { key })).json()).missing;
+    assert.deepEqual(await status(), [{ path, chunk: 0 }]);
+
+    const put = await world.request(`/upload/sessions/${sessionId}?path=${encodeURIComponent(path)}&chunk=0`, { method: 'PUT', key, body: bytes });
+    assert.equal(put.status, 200);
+    assert.deepEqual(await status(), []);
+
+    assert.equal((await world.request(`/upload/sessions/${sessionId}/finalize`, { method: 'POST', key })).status, 200);
+  });
+});
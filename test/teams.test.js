@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+async function teamWithProjects(count) {
+  const world = createWorld();
+  const { key } = await world.register('alice');
+  assert.equal((await world.request('/teams', { method: 'POST', key, body: { name: 'acme' } })).status, 200);
+  for (let i = 0; i < count; i++) {
+    const response = await world.request('/', {
+      method: 'POST',
+      key,
+      headers: { 'X-Team': 'acme' },
+      body: { projectName: `site${i}`, files: [{ path: 'index.html', content: btoa('hi') }] }
+    });
+    assert.equal(response.status, 200);
+  }
+  return { world, key };
+}
+
+function registered(world, owner) {
+  return [...world.env.USERS.entries.keys()].filter(name => name.startsWith(`owner:${owner}:`));
+}
+
+describe('team deletion', () => {
+  it('deletes projects past the first page of the Pages listing', async () => {
+    const { world, key } = await teamWithProjects(12);
+
+    const response = await world.request('/teams/acme', { method: 'DELETE', key });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).projects.length, 12);
+    assert.equal(world.cf.projects.size, 0);
+    assert.deepEqual(registered(world, 'acme'), []);
+    assert.equal(await world.env.USERS.get('team:acme'), null);
+  });
+
+  it('keeps the team name while a project is left', async () => {
+    const { world, key } = await teamWithProjects(2);
+    world.cf.undeletable.add('acme-site1');
+
+    const response = await world.request('/teams/acme', { method: 'DELETE', key });
+    assert.equal(response.status, 502);
+    assert.notEqual(await world.env.USERS.get('team:acme'), null);
+    assert.deepEqual(registered(world, 'acme'), ['owner:acme:acme-site1']);
+
+    const taken = await world.request('/teams', { method: 'POST', key: (await world.register('mallory')).key, body: { name: 'acme' } });
+    assert.notEqual(taken.status, 200);
+  });
+});
+
+describe('account deletion', () => {
+  it('deletes every project, however many pages they span', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    for (let i = 0; i < 12; i++) {
+      assert.equal((await world.deploy(key, `site${i}`)).status, 200);
+    }
+
+    const response = await world.request('/uninstall', { method: 'POST', key });
+    assert.equal(response.status, 200);
+    assert.equal(world.cf.projects.size, 0);
+    assert.deepEqual(registered(world, 'alice'), []);
+  });
+
+  it('keeps the account while a project is left', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    await world.deploy(key, 'site');
+    world.cf.undeletable.add('alice-site');
+
+    const response = await world.request('/uninstall', { method: 'POST', key });
+    assert.equal(response.status, 502);
+    assert.notEqual(await world.env.USERS.get('user:alice'), null);
+    assert.equal((await world.request('/me', { key })).status, 200);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+async function jobsForm(limits) {
+  const world = createWorld();
+  const { key } = await world.register('alice');
+  await world.deploy(key, 'jobs');
+  if (limits) {
+    const response = await world.request('/forms/files?project=jobs', { method: 'PUT', key, body: limits });
+    assert.equal(response.status, 200);
+  }
+  return { world, key };
+}
+
+function application(file) {
+  const form = new FormData();
+  form.append('name', 'Ann');
+  form.append('cv', file);
+  return form;
+}
+
+describe('form file uploads', () => {
+  it('refuses files until the owner turns uploads on', async () => {
+    const { world } = await jobsForm();
+    const response = await world.submit('alice-jobs', application(new File(['%PDF'], 'cv.pdf', { type: 'application/pdf' })));
+    assert.equal(response.status, 415);
+  });
+
+  it('stores an accepted file and serves it to the owner only', async () => {
+    const { world, key } = await jobsForm({ types: ['application/pdf'] });
+    const bytes = new Uint8Array(3000).map((_, i) => i % 251);
+    const response = await world.submit('alice-jobs', application(new File([bytes], 'cv.pdf', { type: 'application/pdf' })));
+    assert.equal(response.status, 200);
+
+    const { submissions } = await (await world.request('/forms?project=jobs', { key })).json();
+    const [stored] = submissions[0].files;
+    assert.equal(stored.name, 'cv.pdf');
+    assert.equal(stored.size, bytes.length);
+
+    const url = new URL(stored.url);
+    const download = await world.request(url.pathname + url.search, { key });
+    assert.equal(download.status, 200);
+    assert.deepEqual(new Uint8Array(await download.arrayBuffer()), bytes);
+    assert.equal((await world.request(url.pathname + url.search)).status, 401);
+  });
+
+  it('enforces the type and size limits', async () => {
+    const { world } = await jobsForm({ types: ['application/pdf'], maxBytes: 1024 });
+
+    const html = await world.submit('alice-jobs', application(new File(['<script>'], 'cv.html', { type: 'text/html' })));
+    assert.equal(html.status, 415);
+
+    const big = await world.submit('alice-jobs', application(new File([new Uint8Array(2048)], 'cv.pdf', { type: 'application/pdf' })));
+    assert.equal(big.status, 413);
+  });
+
+  it('moves a stored file that is about to expire with the account', async () => {
+    const { world, key } = await jobsForm({ types: ['application/pdf'] });
+    const response = await world.submit('alice-jobs', application(new File(['%PDF'], 'cv.pdf', { type: 'application/pdf' })));
+    assert.equal(response.status, 200);
+    for (const [name, entry] of world.env.USERS.entries) {
+      if (name.startsWith('form-file:')) entry.expiration = Math.floor(Date.now() / 1000) + 30;
+    }
+
+    assert.equal((await world.request('/rename', { method: 'POST', key, body: { username: 'alicia' } })).status, 200);
+    const moved = [...world.env.USERS.entries.keys()].filter(name => name.startsWith('form-file:alicia-jobs:'));
+    assert.ok(moved.length > 0);
+  });
+
+  it('refuses limits it cannot apply', async () => {
+    const { world, key } = await jobsForm();
+    for (const limits of [{ types: ['pdf'] }, { maxBytes: 26 * 1024 * 1024 }]) {
+      const response = await world.request('/forms/files?project=jobs', { method: 'PUT', key, body: limits });
+      assert.equal(response.status, 400, JSON.stringify(limits));
+    }
+  });
+});
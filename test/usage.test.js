@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from './helpers.js';
+
+async function usage(world, key) {
+  const response = await world.request('/usage', { key });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+describe('usage summary', () => {
+  it('covers projects past the first page of the Pages listing', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    for (let i = 0; i < 12; i++) {
+      assert.equal((await world.deploy(key, `site${i}`)).status, 200);
+    }
+
+    const { projects, totals } = await usage(world, key);
+    assert.equal(projects.length, 12);
+    assert.equal(totals.projects, 12);
+  });
+
+  it('counts the bytes of a deploy made through an upload session', async () => {
+    const world = createWorld();
+    const { key } = await world.register('alice');
+    const page = new TextEncoder().encode('<h1>big site</h1>');
+    const data = new Uint8Array(3000).map((_, i) => i % 251);
+
+    const opened = await world.request('/upload/sessions', {
+      method: 'POST',
+      key,
+      body: { projectName: 'big', files: [{ path: 'index.html', size: page.length }, { path: 'data.bin', size: data.length }] }
+    });
+    assert.equal(opened.status, 200);
+    const { sessionId } = await opened.json();
+    for (const [path, bytes] of [['index.html', page], ['data.bin', data]]) {
+      const put = await world.request(`/upload/sessions/${sessionId}?path=${path}&chunk=0`, { method: 'PUT', key, body: bytes });
+      assert.equal(put.status, 200);
+    }
+    assert.equal((await world.request(`/upload/sessions/${sessionId}/finalize`, { method: 'POST', key })).status, 200);
+
+    const { projects, totals } = await usage(world, key);
+    assert.equal(projects[0].bytes, page.length + data.length);
+    assert.equal(totals.bytes, page.length + data.length);
+  });
+});
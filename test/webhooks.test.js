@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, hmacHex } from './helpers.js';
+
+async function withWebhook(url = 'https://crm.example/in', status = 200) {
+  const deliveries = [];
+  const world = createWorld({}, async (target, init) => {
+    if (target !== url) return null;
+    deliveries.push({ headers: new Headers(init.headers), body: init.body });
+    return new Response('', { status });
+  });
+  const { key } = await world.register('alice');
+  await world.deploy(key, 'site');
+  const response = await world.request('/forms/webhooks?project=site', { method: 'POST', key, body: { url } });
+  assert.equal(response.status, 201);
+  return { world, key, deliveries, webhook: (await response.json()).webhook };
+}
+
+describe('form webhooks', () => {
+  it('signs the exact body with the webhook secret', async () => {
+    const { world, deliveries, webhook } = await withWebhook();
+    await world.submit('alice-site', { name: 'Lee', _subject: 'Quote' });
+    await world.settle();
+
+    assert.equal(deliveries.length, 1);
+    const [{ headers, body }] = deliveries;
+    const [, timestamp, signature] = headers.get('X-Bassh-Signature').match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+    assert.equal(signature, hmacHex(webhook.secret, `${timestamp}.${body}`));
+    assert.equal(headers.get('X-Bassh-Event'), 'form.submission');
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.project, 'alice-site');
+    assert.deepEqual(payload.data, { name: 'Lee' });
+  });
+
+  it('gives each webhook its own secret', async () => {
+    const { world, key, webhook } = await withWebhook();
+    const response = await world.request('/forms/webhooks?project=site', { method: 'POST', key, body: { url: 'https://crm.example/other' } });
+    const other = (await response.json()).webhook;
+    assert.match(other.secret, /^whsec_/);
+    assert.notEqual(other.secret, webhook.secret);
+  });
+
+  it('does not show the secret again', async () => {
+    const { world, key, webhook } = await withWebhook();
+    const list = await (await world.request('/forms/webhooks?project=site', { key })).json();
+    assert.equal(list.webhooks.length, 1);
+    assert.equal(list.webhooks[0].id, webhook.id);
+    assert.ok(!JSON.stringify(list).includes(webhook.secret));
+  });
+
+  it('only accepts https URLs', async () => {
+    const { world, key } = await withWebhook();
+    const response = await world.request('/forms/webhooks?project=site', { method: 'POST', key, body: { url: 'http://crm.example/in' } });
+    assert.equal(response.status, 400);
+  });
+
+  it('refuses a URL too long to list', async () => {
+    const { world, key } = await withWebhook();
+    const url = `https://crm.example/in?token=${'a'.repeat(1000)}`;
+    const response = await world.request('/forms/webhooks?project=site', { method: 'POST', key, body: { url } });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /at most \d+ characters/);
+  });
+
+  it('queues a failed delivery for retry', async () => {
+    const { world, key, deliveries } = await withWebhook('https://crm.example/in', 503);
+    await world.submit('alice-site', { name: 'Lee' });
+    await world.settle();
+
+    assert.equal(deliveries.length, 1);
+    const list = await (await world.request('/forms/webhooks/deliveries?project=site', { key })).json();
+    assert.equal(list.deliveries[0].status, 'retrying');
+    assert.equal(list.deliveries[0].responseStatus, 503);
+  });
+});